@@ -13,6 +13,13 @@ const logger = require('./services/logger');
 // Import Routes
 const authRoutes = require('./routes/authRoutes');
 const userRoutes = require('./routes/userRoutes');
+const adminUserRoutes = require('./routes/adminUserRoutes');
+const adminRoleRoutes = require('./routes/adminRoleRoutes');
+const auditLogRoutes = require('./routes/auditLogRoutes');
+const apiKeyRoutes = require('./routes/apiKeyRoutes');
+const smsRoutes = require('./routes/smsRoutes');
+const accountDeletionRoutes = require('./routes/accountDeletionRoutes');
+const adminCustomerRoutes = require('./routes/adminCustomerRoutes');
 const riderRoutes = require('./routes/riderRoutes');
 const uploadRoutes = require('./routes/uploadRoutes');
 const cmsRoutes = require('./routes/cmsRoutes');
@@ -20,6 +27,11 @@ const chatRoutes = require('./routes/chat');
 const reviewRoutes = require('./routes/review');
 const storageRoutes = require('./routes/storage');
 const enquiryRoutes = require('./routes/enquiryRoutes');
+const bookingRoutes = require('./routes/bookingRoutes');
+const priestRoutes = require('./routes/priestRoutes');
+const muhurthamRoutes = require('./routes/muhurthamRoutes');
+const templeRoutes = require('./routes/templeRoutes');
+const sevaRoutes = require('./routes/sevaRoutes');
 const spiritualRoutes = require('./routes/spiritualRoutes');
 
 const app = express();
@@ -189,12 +201,24 @@ const API_V1 = '/api/v1';
 
 app.use(`${API_V1}/auth`, authRoutes);
 app.use(`${API_V1}/user`, userRoutes);
+app.use(`${API_V1}/admin-users`, adminUserRoutes);
+app.use(`${API_V1}/admin-roles`, adminRoleRoutes);
+app.use(`${API_V1}/audit-logs`, auditLogRoutes);
+app.use(`${API_V1}/api-keys`, apiKeyRoutes);
+app.use(`${API_V1}/sms`, smsRoutes);
+app.use(`${API_V1}/account-deletions`, accountDeletionRoutes);
+app.use(`${API_V1}/admin-customers`, adminCustomerRoutes);
 app.use(`${API_V1}/riders`, riderRoutes);
 app.use(`${API_V1}/upload`, uploadRoutes);
 app.use(`${API_V1}/chat`, chatRoutes);
 app.use(`${API_V1}/reviews`, reviewRoutes);
 app.use(`${API_V1}/storage`, storageRoutes);
 app.use(`${API_V1}/enquiries`, enquiryRoutes);
+app.use(`${API_V1}/bookings`, bookingRoutes);
+app.use(`${API_V1}/priests`, priestRoutes);
+app.use(`${API_V1}/muhurtham`, muhurthamRoutes);
+app.use(`${API_V1}/temples`, templeRoutes);
+app.use(`${API_V1}/sevas`, sevaRoutes);
 
 // Customer Auth Routes (OTP) - Mount before generic routes
 app.use(`${API_V1}/customer-auth`, (req, res, next) => {
@@ -203,6 +227,8 @@ app.use(`${API_V1}/customer-auth`, (req, res, next) => {
 });
 const customerAuthRoutes = require('./routes/customerAuthRoutes');
 app.use(`${API_V1}/customer-auth`, customerAuthRoutes);
+const customerRoutes = require('./routes/customerRoutes');
+app.use(`${API_V1}/customer`, customerRoutes);
 
 // Spiritual routes BEFORE cms routes (more specific paths first)
 app.use(`${API_V1}`, spiritualRoutes);  // Gita, Mantras, Panchangam
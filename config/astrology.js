@@ -0,0 +1,67 @@
+/**
+ * Astrology reference lists
+ * Canonical spellings used for sankalpam details (family member profiles, bookings).
+ */
+
+const NAKSHATRAS = [
+    'Ashwini',
+    'Bharani',
+    'Krittika',
+    'Rohini',
+    'Mrigashira',
+    'Ardra',
+    'Punarvasu',
+    'Pushya',
+    'Ashlesha',
+    'Magha',
+    'Purva Phalguni',
+    'Uttara Phalguni',
+    'Hasta',
+    'Chitra',
+    'Swati',
+    'Vishakha',
+    'Anuradha',
+    'Jyeshtha',
+    'Mula',
+    'Purva Ashadha',
+    'Uttara Ashadha',
+    'Shravana',
+    'Dhanishta',
+    'Shatabhisha',
+    'Purva Bhadrapada',
+    'Uttara Bhadrapada',
+    'Revati'
+];
+
+const RASHIS = [
+    'Mesha',
+    'Vrishabha',
+    'Mithuna',
+    'Karka',
+    'Simha',
+    'Kanya',
+    'Tula',
+    'Vrishchika',
+    'Dhanu',
+    'Makara',
+    'Kumbha',
+    'Meena'
+];
+
+/**
+ * Map user input to the canonical spelling (case/space insensitive)
+ * @param {string[]} list NAKSHATRAS or RASHIS
+ * @param {string} value
+ * @returns {string|null} Canonical value or null if not in the list
+ */
+const toCanonical = (list, value) => {
+    if (typeof value !== 'string') return null;
+    const key = value.replace(/\s+/g, '').toLowerCase();
+    return list.find(item => item.replace(/\s+/g, '').toLowerCase() === key) || null;
+};
+
+module.exports = {
+    NAKSHATRAS,
+    RASHIS,
+    toCanonical
+};
@@ -12,6 +12,9 @@ const optionalEnvVars = {
     NODE_ENV: 'development',
     PORT: '5000',
     JWT_EXPIRES_IN: '1h',
+    JWT_REFRESH_EXPIRES_IN_DAYS: '7',
+    CUSTOMER_JWT_EXPIRES_IN: '1h',
+    CUSTOMER_REFRESH_EXPIRES_IN_DAYS: '30',
 
     // CORS
     FRONTEND_URL: 'http://localhost:3000',
@@ -24,6 +27,13 @@ const optionalEnvVars = {
     R2_BUCKET_NAME: '',
     R2_PUBLIC_DOMAIN: '',
 
+    // Mail (MAIL_TRANSPORT defaults in config.mail - console would log reset links in production)
+    MAIL_FROM: 'BookMySeva <no-reply@bookmyseva.com>',
+    MAIL_FILE_DIR: 'logs/mail',
+
+    // SMS
+    SMS_FILE_DIR: 'logs/sms',
+
     // Rate Limiting
     RATE_LIMIT_WINDOW_MS: '900000', // 15 minutes
     RATE_LIMIT_MAX_REQUESTS: '100',
@@ -62,6 +72,22 @@ const validateEnv = () => {
         process.env.NODE_ENV = 'development';
     }
 
+    // Development transports write message bodies (reset links, OTPs) to logs / disk
+    const devTransports = ['console', 'file'];
+    if (process.env.NODE_ENV === 'production' && devTransports.includes(process.env.MAIL_TRANSPORT)) {
+        throw new Error(`MAIL_TRANSPORT "${process.env.MAIL_TRANSPORT}" is not allowed in production`);
+    }
+    const devSmsProviders = (process.env.SMS_PROVIDERS || '').split(',').map(name => name.trim()).filter(name => devTransports.includes(name));
+    if (process.env.NODE_ENV === 'production' && devSmsProviders.length) {
+        throw new Error(`SMS_PROVIDERS "${devSmsProviders.join(', ')}" is not allowed in production`);
+    }
+
+    // Local key files are for tests - whoever can write one could mint Google sign-ins
+    const jwksUri = process.env.GOOGLE_JWKS_URI;
+    if (process.env.NODE_ENV === 'production' && jwksUri && !jwksUri.startsWith('https://')) {
+        throw new Error('GOOGLE_JWKS_URI must be an https:// URL in production');
+    }
+
     return true;
 };
 
@@ -86,8 +112,53 @@ const config = {
     jwt: {
         secret: process.env.SECRET_KEY,
         expiresIn: process.env.JWT_EXPIRES_IN || '1h',
+        refreshExpiresInDays: parseInt(process.env.JWT_REFRESH_EXPIRES_IN_DAYS || '7', 10),
         issuer: 'bookmyseva',
-        audience: 'bookmyseva-users'
+        audience: 'bookmyseva-users',
+        // Customer (FrontendUser) tokens use their own audience so they can never pass verifyToken
+        customer: {
+            expiresIn: process.env.CUSTOMER_JWT_EXPIRES_IN || '1h',
+            refreshExpiresInDays: parseInt(process.env.CUSTOMER_REFRESH_EXPIRES_IN_DAYS || '30', 10),
+            audience: 'bookmyseva-customers'
+        }
+    },
+
+    // Account security
+    security: {
+        lockout: {
+            threshold: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD || '5', 10), // failures before first lock
+            baseMinutes: parseInt(process.env.LOGIN_LOCKOUT_BASE_MINUTES || '1', 10), // doubles per extra failure
+            maxMinutes: parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES || '1440', 10) // 24 hours
+        }
+    },
+
+    // Customer OTPs (SMS / email)
+    otp: {
+        length: 6,
+        expiryMinutes: parseInt(process.env.OTP_EXPIRY_MINUTES || '5', 10),
+        maxAttempts: parseInt(process.env.OTP_MAX_ATTEMPTS || '5', 10), // wrong guesses before the code is invalidated
+        resendCooldownSeconds: parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS || '60', 10),
+        dailyLimit: parseInt(process.env.OTP_DAILY_LIMIT || '10', 10), // codes per phone/email per 24 hours
+        hashKey: process.env.OTP_HASH_KEY // Falls back to SECRET_KEY
+    },
+
+    // Customer privacy (data export / account deletion)
+    privacy: {
+        deletionGraceDays: parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || '14', 10)
+    },
+
+    // Audit trail
+    audit: {
+        retentionDays: parseInt(process.env.AUDIT_LOG_RETENTION_DAYS || '365', 10) // 0 = keep forever
+    },
+
+    // Two-factor authentication (TOTP)
+    twoFactor: {
+        issuer: process.env.TWO_FACTOR_ISSUER || 'BookMySeva Admin',
+        encryptionKey: process.env.TWO_FACTOR_ENCRYPTION_KEY, // Falls back to SECRET_KEY
+        enforceForSuperadmin: process.env.TWO_FACTOR_ENFORCE_SUPERADMIN === 'true',
+        pendingTokenExpiresIn: '5m',
+        pendingTokenAudience: 'bookmyseva-2fa'
     },
 
     // CORS
@@ -119,6 +190,48 @@ const config = {
         templateId: process.env.MSG91_TEMPLATE_ID
     },
 
+    // SMS delivery
+    sms: {
+        // Ordered failover list: 'msg91' | 'http' | 'console' | 'file'
+        providers: (process.env.SMS_PROVIDERS || (process.env.NODE_ENV === 'production' ? 'msg91' : 'console'))
+            .split(',')
+            .map(name => name.trim())
+            .filter(Boolean),
+        fileDir: process.env.SMS_FILE_DIR || 'logs/sms',
+        // Second HTTP gateway (JSON POST with bearer key)
+        http: {
+            url: process.env.SMS_HTTP_URL,
+            apiKey: process.env.SMS_HTTP_API_KEY,
+            senderId: process.env.SMS_HTTP_SENDER_ID
+        },
+        // Shared secret expected in the ?token= of delivery report webhooks
+        webhookSecret: process.env.SMS_WEBHOOK_SECRET
+    },
+
+    // Mail
+    mail: {
+        // 'console' | 'file' | 'http' (console / file are refused in production)
+        transport: process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'http' : 'console'),
+        from: process.env.MAIL_FROM || 'BookMySeva <no-reply@bookmyseva.com>',
+        fileDir: process.env.MAIL_FILE_DIR || 'logs/mail',
+        httpUrl: process.env.MAIL_HTTP_URL,
+        httpApiKey: process.env.MAIL_HTTP_API_KEY
+    },
+
+    // Google sign-in (customer ID token verification)
+    google: {
+        // OAuth client ids the ID token may be issued for (web, Android, iOS)
+        clientIds: (process.env.GOOGLE_CLIENT_IDS || '')
+            .split(',')
+            .map(id => id.trim())
+            .filter(Boolean),
+        // https:// URL or file:// path (local test keys)
+        jwksUri: process.env.GOOGLE_JWKS_URI || 'https://www.googleapis.com/oauth2/v3/certs',
+        // Used when the JWKS response has no Cache-Control max-age
+        jwksCacheSeconds: parseInt(process.env.GOOGLE_JWKS_CACHE_SECONDS || '3600', 10),
+        issuers: ['accounts.google.com', 'https://accounts.google.com']
+    },
+
     // Rate Limiting
     rateLimit: {
         windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS || '900000', 10),
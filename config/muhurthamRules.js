@@ -0,0 +1,51 @@
+/**
+ * Muhurtham Rules
+ * Built-in rules used by the muhurtham finder. Each rule can be overridden (or
+ * disabled) and new event types added through the muhurtham rules API.
+ * Empty tithi / nakshatra lists accept any value. Weekdays: 0 = Sunday ... 6 = Saturday.
+ */
+
+// Tithis commonly accepted for auspicious beginnings (either paksha)
+const SHUBHA_TITHIS = ['Dwitiya', 'Tritiya', 'Panchami', 'Saptami', 'Dashami', 'Ekadashi', 'Trayodashi'];
+
+// Yogas avoided for every ceremony
+const AVOIDED_YOGAS = ['Vyatipata', 'Vaidhriti'];
+
+const MUHURTHAM_RULES = {
+    griha_pravesham: {
+        name: 'Griha Pravesham',
+        description: 'House warming / first entry into a new home',
+        allowedTithis: SHUBHA_TITHIS,
+        allowedNakshatras: ['Rohini', 'Mrigashira', 'Uttara Phalguni', 'Chitra', 'Anuradha', 'Uttara Ashadha', 'Uttara Bhadrapada', 'Revati'],
+        excludedWeekdays: [0, 2],
+        excludedYogas: AVOIDED_YOGAS
+    },
+    vivaham: {
+        name: 'Vivaham',
+        description: 'Marriage',
+        allowedTithis: SHUBHA_TITHIS,
+        allowedNakshatras: ['Rohini', 'Mrigashira', 'Magha', 'Uttara Phalguni', 'Hasta', 'Swati', 'Anuradha', 'Moola', 'Uttara Ashadha', 'Uttara Bhadrapada', 'Revati'],
+        excludedWeekdays: [2],
+        excludedYogas: AVOIDED_YOGAS
+    },
+    namakaranam: {
+        name: 'Namakaranam',
+        description: 'Naming ceremony',
+        allowedTithis: SHUBHA_TITHIS,
+        allowedNakshatras: ['Ashwini', 'Rohini', 'Mrigashira', 'Punarvasu', 'Pushya', 'Uttara Phalguni', 'Hasta', 'Chitra', 'Swati', 'Anuradha', 'Uttara Ashadha', 'Shravana', 'Dhanishta', 'Shatabhisha', 'Uttara Bhadrapada', 'Revati'],
+        excludedWeekdays: [2, 6],
+        excludedYogas: AVOIDED_YOGAS
+    },
+    upanayanam: {
+        name: 'Upanayanam',
+        description: 'Sacred thread ceremony',
+        allowedTithis: ['Dwitiya', 'Tritiya', 'Panchami', 'Dashami', 'Ekadashi', 'Dwadashi'],
+        allowedNakshatras: ['Ashwini', 'Rohini', 'Mrigashira', 'Punarvasu', 'Pushya', 'Uttara Phalguni', 'Hasta', 'Chitra', 'Swati', 'Uttara Ashadha', 'Shravana', 'Dhanishta', 'Shatabhisha', 'Uttara Bhadrapada', 'Revati'],
+        excludedWeekdays: [2, 6],
+        excludedYogas: AVOIDED_YOGAS
+    }
+};
+
+module.exports = {
+    MUHURTHAM_RULES
+};
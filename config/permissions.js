@@ -0,0 +1,82 @@
+/**
+ * Permission Configuration
+ * Named permissions checked by requirePermission() and the built-in roles.
+ * Built-in roles can be overridden (except superadmin) through the admin roles API.
+ */
+
+const PERMISSIONS = {
+    'blogs:write': 'Create and edit blog posts',
+    'blogs:delete': 'Delete blog posts',
+    'content:write': 'Edit app config, content blocks, categories and products',
+    'spiritual:write': 'Manage Gita content, mantras and panchangam',
+    'storage:read': 'Browse R2 storage and usage',
+    'storage:delete': 'Delete files from R2 storage',
+    'chat:read': 'View chat sessions, history and analytics',
+    'chat:write': 'Manage bot intents and quick actions',
+    'chat:delete': 'Delete chat sessions, intents and quick actions',
+    'enquiries:read': 'View enquiries (includes customer contact details)',
+    'enquiries:write': 'Update enquiry status and notes',
+    'enquiries:delete': 'Delete enquiries',
+    'bookings:read': 'View seva bookings (includes devotee contact details)',
+    'bookings:write': 'Confirm, assign, reschedule and cancel bookings',
+    'priests:read': 'View the priest directory (includes contact details)',
+    'priests:write': 'Add, update and verify priests',
+    'priests:delete': 'Delete priests',
+    'temples:read': 'View all temples, including inactive ones',
+    'temples:write': 'Add and update temples, their sevas, timings and photos',
+    'temples:delete': 'Delete temples',
+    'riders:read': 'View riders',
+    'riders:write': 'Create and update riders',
+    'riders:delete': 'Delete riders',
+    'customers:read': 'View customer (frontend user) accounts',
+    'customers:write': 'Block and unblock customer accounts',
+    'sms:read': 'View the SMS delivery log and templates',
+    'sms:write': 'Edit SMS templates'
+};
+
+// Grants every permission - only used by superadmin
+const ALL_PERMISSIONS = '*';
+
+const DEFAULT_ROLES = {
+    superadmin: {
+        description: 'Full access, including admin user and role management',
+        permissions: [ALL_PERMISSIONS]
+    },
+    admin: {
+        description: 'Day-to-day operations across content, enquiries, chat and riders',
+        permissions: Object.keys(PERMISSIONS)
+    },
+    editor: {
+        description: 'Content editing without customer data or destructive storage access',
+        permissions: [
+            'blogs:write',
+            'content:write',
+            'spiritual:write',
+            'storage:read',
+            'chat:read',
+            'chat:write'
+        ]
+    }
+};
+
+// Roles that can never be edited or deleted through the API
+const LOCKED_ROLES = ['superadmin'];
+
+// Role reserved for non-admin accounts; never granted permissions
+const NON_ADMIN_ROLE = 'user';
+
+// Scopes an API key can be granted (server-to-server integrations)
+const API_KEY_SCOPES = {
+    'enquiries:read': 'List and read enquiries',
+    'enquiries:write': 'Update enquiry status',
+    'panchangam:read': 'Read all panchangam entries'
+};
+
+module.exports = {
+    PERMISSIONS,
+    ALL_PERMISSIONS,
+    DEFAULT_ROLES,
+    LOCKED_ROLES,
+    NON_ADMIN_ROLE,
+    API_KEY_SCOPES
+};
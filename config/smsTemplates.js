@@ -0,0 +1,31 @@
+/**
+ * SMS Templates
+ * Built-in message types. Bodies use {{variable}} placeholders and can be
+ * overridden (along with provider/DLT template ids) through the SMS templates API.
+ * Values of sensitiveVariables are never written to the SMS delivery log.
+ */
+
+const SMS_TEMPLATES = {
+    otp_login: {
+        description: 'Login / signup OTP',
+        body: 'Your BookMySeva verification code is {{otp}}. It expires in {{minutes}} minutes. Do not share it with anyone.',
+        variables: ['otp', 'minutes'],
+        sensitiveVariables: ['otp']
+    },
+    otp_phone_change: {
+        description: 'OTP sent to a new phone number before it replaces the old one',
+        body: 'Use {{otp}} to confirm this number for your BookMySeva account. It expires in {{minutes}} minutes.',
+        variables: ['otp', 'minutes'],
+        sensitiveVariables: ['otp']
+    },
+    booking_update: {
+        description: 'Booking status change notification',
+        body: 'BookMySeva: your booking {{bookingId}} for {{seva}} on {{date}} is now {{status}}.',
+        variables: ['bookingId', 'seva', 'date', 'status'],
+        sensitiveVariables: []
+    }
+};
+
+module.exports = {
+    SMS_TEMPLATES
+};
@@ -0,0 +1,253 @@
+const FrontendUser = require('../models/FrontendUser');
+const Enquiry = require('../models/Enquiry');
+const Booking = require('../models/Booking');
+const Review = require('../models/Review');
+const ChatSession = require('../models/ChatSession');
+const CustomerRefreshToken = require('../models/CustomerRefreshToken');
+const AccountDeletionRequest = require('../models/AccountDeletionRequest');
+const AppError = require('../utils/AppError');
+const logger = require('../services/logger');
+const customerTokenService = require('../services/customerTokenService');
+const { buildLinkFilters } = require('../services/customerDataService');
+
+const CUSTOMER_LIST_FIELDS = 'name email emailVerified phone avatar authProvider status blockedAt createdAt';
+
+// Records of each kind shown in the 360° view
+const RECENT_LIMIT = 10;
+
+/**
+ * Escape user input for use inside a RegExp
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Search customers
+ * @route GET /api/v1/admin-customers
+ * @access Admin (customers:read)
+ */
+exports.getCustomers = async (req, res, next) => {
+    try {
+        const { search, status, authProvider, from, to, limit = 20, page = 1 } = req.query;
+
+        const query = {};
+        if (status) query.status = status;
+        if (authProvider) query.authProvider = authProvider;
+        if (from || to) {
+            query.createdAt = {};
+            if (from) query.createdAt.$gte = new Date(from);
+            if (to) query.createdAt.$lte = new Date(to);
+        }
+        if (search) {
+            const searchRegex = { $regex: escapeRegex(search), $options: 'i' };
+            query.$or = [{ name: searchRegex }, { email: searchRegex }, { phone: searchRegex }];
+        }
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const [customers, total] = await Promise.all([
+            FrontendUser.find(query)
+                .select(CUSTOMER_LIST_FIELDS)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit))
+                .lean(),
+            FrontendUser.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: customers,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / parseInt(limit))
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * 360° view of one customer: profile plus linked enquiries, bookings, reviews and chats
+ * (linked by account or by the same phone / email)
+ * @route GET /api/v1/admin-customers/:id
+ * @access Admin (customers:read)
+ */
+exports.getCustomer = async (req, res, next) => {
+    try {
+        const customer = await FrontendUser.findById(req.params.id)
+            .select('-otp -otpExpires -__v')
+            .populate('blockedBy', 'name email')
+            .lean();
+
+        if (!customer) {
+            return next(new AppError('Customer not found', 404));
+        }
+
+        const filters = buildLinkFilters(customer);
+
+        const [
+            enquiries,
+            enquiryCount,
+            enquiriesByStatus,
+            bookings,
+            bookingsByStatus,
+            reviews,
+            reviewCount,
+            chatSessions,
+            chatSessionCount,
+            activeSessions,
+            deletionRequest
+        ] = await Promise.all([
+            Enquiry.find(filters.enquiries)
+                .select('type festivalName status userDetails members createdAt contactedAt')
+                .sort({ createdAt: -1 })
+                .limit(RECENT_LIMIT)
+                .lean(),
+            Enquiry.countDocuments(filters.enquiries),
+            Enquiry.aggregate([
+                { $match: filters.enquiries },
+                { $group: { _id: '$status', count: { $sum: 1 } } }
+            ]),
+            Booking.find({ customer: customer._id })
+                .select('bookingNumber sevaName scheduledAt status price createdAt')
+                .sort({ scheduledAt: -1 })
+                .limit(RECENT_LIMIT)
+                .lean(),
+            Booking.aggregate([
+                { $match: { customer: customer._id } },
+                { $group: { _id: '$status', count: { $sum: 1 } } }
+            ]),
+            Review.find(filters.reviews)
+                .select('rating comment service status featured createdAt')
+                .sort({ createdAt: -1 })
+                .limit(RECENT_LIMIT)
+                .lean(),
+            Review.countDocuments(filters.reviews),
+            ChatSession.find(filters.chatSessions)
+                .select('guestDetails isActive escalated escalatedAt lastActivity createdAt')
+                .sort({ lastActivity: -1 })
+                .limit(RECENT_LIMIT)
+                .lean(),
+            ChatSession.countDocuments(filters.chatSessions),
+            CustomerRefreshToken.distinct('family', {
+                customer: customer._id,
+                revokedAt: null,
+                expiresAt: { $gt: new Date() }
+            }),
+            AccountDeletionRequest.findOne({ customer: customer._id, status: 'pending' })
+                .select('reason scheduledFor createdAt')
+                .lean()
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                customer,
+                summary: {
+                    enquiries: enquiryCount,
+                    enquiriesByStatus: Object.fromEntries(enquiriesByStatus.map(group => [group._id, group.count])),
+                    bookingsByStatus: Object.fromEntries(bookingsByStatus.map(group => [group._id, group.count])),
+                    reviews: reviewCount,
+                    chatSessions: chatSessionCount,
+                    activeSessions: activeSessions.length
+                },
+                enquiries,
+                bookings,
+                reviews,
+                chatSessions,
+                deletionRequest
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Block a customer - signs them out everywhere and stops OTP / Google login
+ * @route POST /api/v1/admin-customers/:id/block
+ * @access Admin (customers:write)
+ */
+exports.blockCustomer = async (req, res, next) => {
+    try {
+        const customer = await FrontendUser.findById(req.params.id).select('name email phone status');
+        if (!customer) {
+            return next(new AppError('Customer not found', 404));
+        }
+
+        if (customer.status === 'Blocked') {
+            return next(new AppError('Customer is already blocked', 400));
+        }
+
+        customer.status = 'Blocked';
+        customer.blockedAt = new Date();
+        customer.blockedReason = req.body.reason;
+        customer.blockedBy = req.user.id;
+        await customer.save();
+
+        await customerTokenService.revokeAllForCustomer(customer._id, 'blocked');
+
+        logger.logSecurity('Customer blocked', {
+            customerId: customer._id,
+            reason: req.body.reason,
+            blockedBy: req.user.id,
+            ip: req.ip
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Customer blocked',
+            data: {
+                id: customer._id,
+                status: customer.status,
+                blockedAt: customer.blockedAt
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Unblock a customer
+ * @route POST /api/v1/admin-customers/:id/unblock
+ * @access Admin (customers:write)
+ */
+exports.unblockCustomer = async (req, res, next) => {
+    try {
+        const customer = await FrontendUser.findById(req.params.id).select('status');
+        if (!customer) {
+            return next(new AppError('Customer not found', 404));
+        }
+
+        if (customer.status === 'Active') {
+            return next(new AppError('Customer is not blocked', 400));
+        }
+
+        customer.status = 'Active';
+        customer.blockedAt = undefined;
+        customer.blockedReason = undefined;
+        customer.blockedBy = undefined;
+        await customer.save();
+
+        logger.logSecurity('Customer unblocked', {
+            customerId: customer._id,
+            unblockedBy: req.user.id,
+            ip: req.ip
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Customer unblocked',
+            data: {
+                id: customer._id,
+                status: customer.status
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,141 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+const AppError = require('../utils/AppError');
+const logger = require('../services/logger');
+const permissionService = require('../services/permissionService');
+const {
+    PERMISSIONS,
+    DEFAULT_ROLES,
+    LOCKED_ROLES,
+    NON_ADMIN_ROLE
+} = require('../config/permissions');
+
+/**
+ * List roles (built-in merged with stored overrides) and available permissions
+ * @route GET /api/v1/admin-roles
+ * @access Super Admin
+ */
+exports.getRoles = async (req, res, next) => {
+    try {
+        const [stored, userCounts] = await Promise.all([
+            Role.find().sort({ name: 1 }).lean(),
+            User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }])
+        ]);
+
+        const counts = Object.fromEntries(userCounts.map(entry => [entry._id, entry.count]));
+        const storedByName = Object.fromEntries(stored.map(role => [role.name, role]));
+        const names = [...new Set([...Object.keys(DEFAULT_ROLES), ...Object.keys(storedByName)])];
+
+        const roles = names.map(name => {
+            const role = storedByName[name];
+            const builtIn = DEFAULT_ROLES[name];
+            return {
+                name,
+                description: role?.description ?? builtIn?.description ?? '',
+                permissions: role?.permissions ?? builtIn?.permissions ?? [],
+                builtIn: Boolean(builtIn),
+                customized: Boolean(builtIn && role),
+                locked: LOCKED_ROLES.includes(name),
+                userCount: counts[name] || 0,
+                updatedAt: role?.updatedAt
+            };
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                roles,
+                permissions: PERMISSIONS
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Create or update a role
+ * @route PUT /api/v1/admin-roles/:name
+ * @access Super Admin
+ */
+exports.upsertRole = async (req, res, next) => {
+    try {
+        const name = req.params.name.toLowerCase();
+        const { description, permissions } = req.body;
+
+        if (LOCKED_ROLES.includes(name) || name === NON_ADMIN_ROLE) {
+            return next(new AppError(`The ${name} role cannot be modified`, 400));
+        }
+
+        const role = await Role.findOneAndUpdate(
+            { name },
+            {
+                name,
+                description: description ?? DEFAULT_ROLES[name]?.description ?? '',
+                permissions: [...new Set(permissions)],
+                updatedBy: req.user.id
+            },
+            { new: true, upsert: true, runValidators: true }
+        );
+
+        permissionService.invalidate(name);
+
+        logger.logSecurity('Admin role permissions changed', {
+            role: name,
+            permissions: role.permissions,
+            changedBy: req.user.id,
+            ip: req.ip
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Role saved successfully',
+            data: role
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Delete a custom role, or reset a built-in role to its defaults
+ * @route DELETE /api/v1/admin-roles/:name
+ * @access Super Admin
+ */
+exports.deleteRole = async (req, res, next) => {
+    try {
+        const name = req.params.name.toLowerCase();
+        const builtIn = Boolean(DEFAULT_ROLES[name]);
+
+        if (LOCKED_ROLES.includes(name)) {
+            return next(new AppError(`The ${name} role cannot be modified`, 400));
+        }
+
+        if (!builtIn) {
+            const assigned = await User.countDocuments({ role: name });
+            if (assigned > 0) {
+                return next(new AppError(`Role is assigned to ${assigned} user(s). Reassign them first.`, 400));
+            }
+        }
+
+        const deleted = await Role.findOneAndDelete({ name });
+        if (!deleted) {
+            return next(new AppError(builtIn ? 'Role already uses its default permissions' : 'Role not found', 404));
+        }
+
+        permissionService.invalidate(name);
+
+        logger.logSecurity(builtIn ? 'Admin role reset to defaults' : 'Admin role deleted', {
+            role: name,
+            changedBy: req.user.id,
+            ip: req.ip
+        });
+
+        res.status(200).json({
+            success: true,
+            message: builtIn ? 'Role reset to default permissions' : 'Role deleted successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
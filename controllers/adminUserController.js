@@ -0,0 +1,459 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const AdminInvite = require('../models/AdminInvite');
+const AppError = require('../utils/AppError');
+const logger = require('../services/logger');
+const tokenService = require('../services/tokenService');
+const mailService = require('../services/mailService');
+const permissionService = require('../services/permissionService');
+const { config } = require('../config/env');
+const { NON_ADMIN_ROLE } = require('../config/permissions');
+
+const INVITE_EXPIRY_HOURS = 72;
+const ADMIN_LIST_FIELDS = 'name email role isActive avatar lastLogin createdAt twoFactor.enabled failedLoginAttempts lockUntil invitedBy';
+
+/**
+ * Escape user input for use inside a RegExp
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Would this change leave the system without an active superadmin? (early check -
+ * applyAdminChange checks again after the write)
+ * @param {Object} target User being changed
+ */
+const isLastActiveSuperAdmin = async (target) => {
+    if (target.role !== 'superadmin' || !target.isActive) return false;
+
+    const others = await User.countDocuments({
+        _id: { $ne: target._id },
+        role: 'superadmin',
+        isActive: true
+    });
+    return others === 0;
+};
+
+/**
+ * Apply a role / status change. When it takes away an active superadmin, count
+ * again after the write and undo it if none is left - checking only before the
+ * write would let two concurrent demotions both pass.
+ * @param {Object} user User document (role and isActive loaded) - updated in place
+ * @param {Object} changes Fields to set
+ * @returns {Promise<boolean>} false when the change was undone
+ */
+const applyAdminChange = async (user, changes) => {
+    const wasActiveSuperAdmin = user.role === 'superadmin' && user.isActive;
+
+    await User.updateOne({ _id: user._id }, { $set: changes });
+    Object.assign(user, changes);
+
+    if (!wasActiveSuperAdmin || (user.role === 'superadmin' && user.isActive)) return true;
+
+    const remaining = await User.countDocuments({ role: 'superadmin', isActive: true });
+    if (remaining > 0) return true;
+
+    await User.updateOne({ _id: user._id }, { $set: { role: 'superadmin', isActive: true } });
+    Object.assign(user, { role: 'superadmin', isActive: true });
+    return false;
+};
+
+/**
+ * End every session of a user: refresh tokens and already issued access tokens
+ */
+const revokeSessions = async (userId, reason) => {
+    await tokenService.revokeAllForUser(userId, reason);
+    // Backdate by 1s so a token issued right after is not rejected by verifyToken
+    await User.updateOne({ _id: userId }, { $set: { tokensValidAfter: new Date(Date.now() - 1000) } });
+};
+
+/**
+ * List admin users
+ * @route GET /api/v1/admin-users
+ * @access Super Admin
+ */
+exports.getAdminUsers = async (req, res, next) => {
+    try {
+        const { role, isActive, search, limit = 20, page = 1 } = req.query;
+
+        // Every role except plain 'user' is an admin panel role
+        const query = { role: { $ne: NON_ADMIN_ROLE } };
+        if (role) query.role = { $eq: role, $ne: NON_ADMIN_ROLE };
+        if (isActive !== undefined) query.isActive = isActive === 'true';
+        if (search) {
+            const searchRegex = { $regex: escapeRegex(search), $options: 'i' };
+            query.$or = [{ name: searchRegex }, { email: searchRegex }];
+        }
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const [users, total] = await Promise.all([
+            User.find(query)
+                .select(ADMIN_LIST_FIELDS)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit))
+                .lean(),
+            User.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: users,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / parseInt(limit))
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get a single admin user
+ * @route GET /api/v1/admin-users/:id
+ * @access Super Admin
+ */
+exports.getAdminUser = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.params.id)
+            .select(`${ADMIN_LIST_FIELDS} loginHistory`)
+            .populate('invitedBy', 'name email')
+            .lean();
+
+        if (!user) {
+            return next(new AppError('User not found', 404));
+        }
+
+        res.status(200).json({
+            success: true,
+            data: user
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Invite a new admin - emails a single-use acceptance link
+ * @route POST /api/v1/admin-users/invites
+ * @access Super Admin
+ */
+exports.inviteAdmin = async (req, res, next) => {
+    try {
+        const { name, email, role = 'admin' } = req.body;
+        const normalizedEmail = email.toLowerCase();
+
+        if (!await permissionService.roleExists(role)) {
+            return next(new AppError(`Role "${role}" does not exist`, 400));
+        }
+
+        const existingUser = await User.findOne({ email: normalizedEmail }).select('_id');
+        if (existingUser) {
+            return next(new AppError('A user with this email already exists', 409));
+        }
+
+        // A new invite replaces any pending one for the same email
+        await AdminInvite.updateMany(
+            { email: normalizedEmail, acceptedAt: null, revokedAt: null },
+            { $set: { revokedAt: new Date() } }
+        );
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const invite = await AdminInvite.create({
+            name,
+            email: normalizedEmail,
+            role,
+            tokenHash: tokenService.hashToken(token),
+            expiresAt: new Date(Date.now() + INVITE_EXPIRY_HOURS * 60 * 60 * 1000),
+            invitedBy: req.user.id
+        });
+
+        const acceptUrl = `${config.cors.adminUrl}/accept-invite?token=${token}`;
+
+        try {
+            await mailService.sendMail({
+                to: invite.email,
+                subject: 'You have been invited to the BookMySeva admin panel',
+                text: `Hello ${invite.name},\n\n` +
+                    `You have been invited to join the BookMySeva admin panel as ${invite.role}.\n` +
+                    `Use the link below within ${INVITE_EXPIRY_HOURS} hours to set your password:\n\n${acceptUrl}\n`,
+                html: `<p>Hello ${mailService.escapeHtml(invite.name)},</p>` +
+                    `<p>You have been invited to join the BookMySeva admin panel as <strong>${mailService.escapeHtml(invite.role)}</strong>.</p>` +
+                    `<p><a href="${acceptUrl}">Accept the invitation</a> (valid for ${INVITE_EXPIRY_HOURS} hours)</p>`
+            });
+        } catch (mailError) {
+            invite.revokedAt = new Date();
+            await invite.save();
+            return next(new AppError('There was an error sending the invitation email. Please try again later.', 500));
+        }
+
+        logger.info('Admin invited', { inviteId: invite._id, email: invite.email, role: invite.role, invitedBy: req.user.id });
+
+        res.status(201).json({
+            success: true,
+            message: 'Invitation sent successfully',
+            data: invite
+        });
+    } catch (error) {
+        logger.logError(error, { context: 'inviteAdmin' });
+        next(error);
+    }
+};
+
+/**
+ * List invitations
+ * @route GET /api/v1/admin-users/invites
+ * @access Super Admin
+ */
+exports.getInvites = async (req, res, next) => {
+    try {
+        const { status } = req.query;
+        const now = new Date();
+
+        const query = {};
+        if (status === 'pending') Object.assign(query, { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } });
+        if (status === 'accepted') query.acceptedAt = { $ne: null };
+        if (status === 'revoked') query.revokedAt = { $ne: null };
+        if (status === 'expired') Object.assign(query, { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } });
+
+        const invites = await AdminInvite.find(query)
+            .populate('invitedBy', 'name email')
+            .sort({ createdAt: -1 })
+            .limit(200);
+
+        res.status(200).json({
+            success: true,
+            data: invites
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Revoke a pending invitation
+ * @route DELETE /api/v1/admin-users/invites/:id
+ * @access Super Admin
+ */
+exports.revokeInvite = async (req, res, next) => {
+    try {
+        const invite = await AdminInvite.findOneAndUpdate(
+            { _id: req.params.id, acceptedAt: null, revokedAt: null },
+            { $set: { revokedAt: new Date() } },
+            { new: true }
+        );
+
+        if (!invite) {
+            return next(new AppError('Pending invitation not found', 404));
+        }
+
+        logger.info('Admin invite revoked', { inviteId: invite._id, revokedBy: req.user.id });
+
+        res.status(200).json({
+            success: true,
+            message: 'Invitation revoked'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Accept an invitation and create the admin account
+ * @route POST /api/v1/admin-users/invites/accept
+ * @access Public (invite token)
+ */
+exports.acceptInvite = async (req, res, next) => {
+    try {
+        const { token, password } = req.body;
+
+        // Claim the invite atomically so it can only be used once
+        const invite = await AdminInvite.findOneAndUpdate(
+            {
+                tokenHash: tokenService.hashToken(token),
+                acceptedAt: null,
+                revokedAt: null,
+                expiresAt: { $gt: new Date() }
+            },
+            { $set: { acceptedAt: new Date() } },
+            { new: true }
+        );
+
+        if (!invite) {
+            logger.logAuth('Invite acceptance failed - invalid or expired token', undefined, req.ip, false);
+            return next(new AppError('Invitation is invalid or has expired', 400));
+        }
+
+        let user;
+        try {
+            const existingUser = await User.findOne({ email: invite.email }).select('_id');
+            if (existingUser) {
+                throw new AppError('An account with this email already exists', 409);
+            }
+
+            user = await User.create({
+                name: invite.name,
+                email: invite.email,
+                password: await bcrypt.hash(password, 12),
+                role: invite.role,
+                invitedBy: invite.invitedBy
+            });
+        } catch (createError) {
+            // No account was created - hand the invite back so it is not burned
+            await AdminInvite.updateOne({ _id: invite._id }, { $set: { acceptedAt: null } });
+            throw createError;
+        }
+
+        invite.acceptedUser = user._id;
+        await invite.save();
+
+        logger.logAuth('Invite accepted - admin account created', user._id, req.ip, true);
+
+        res.status(201).json({
+            success: true,
+            message: 'Account created. You can now log in.',
+            data: {
+                id: user._id,
+                name: user.name,
+                email: user.email,
+                role: user.role
+            }
+        });
+    } catch (error) {
+        logger.logError(error, { context: 'acceptInvite' });
+        next(error);
+    }
+};
+
+/**
+ * Change an admin's role
+ * @route PATCH /api/v1/admin-users/:id/role
+ * @access Super Admin
+ */
+exports.updateRole = async (req, res, next) => {
+    try {
+        const { role } = req.body;
+
+        const user = await User.findById(req.params.id).select('name email role isActive');
+        if (!user) {
+            return next(new AppError('User not found', 404));
+        }
+
+        if (user.role === role) {
+            return next(new AppError(`User already has the ${role} role`, 400));
+        }
+
+        if (!await permissionService.roleExists(role)) {
+            return next(new AppError(`Role "${role}" does not exist`, 400));
+        }
+
+        if (role !== 'superadmin' && await isLastActiveSuperAdmin(user)) {
+            return next(new AppError('Cannot demote the last active super admin', 400));
+        }
+
+        const previousRole = user.role;
+        if (!await applyAdminChange(user, { role })) {
+            return next(new AppError('Cannot demote the last active super admin', 400));
+        }
+
+        logger.logSecurity('Admin role changed', {
+            targetUserId: user._id,
+            previousRole,
+            newRole: role,
+            changedBy: req.user.id,
+            ip: req.ip
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Role updated successfully',
+            data: {
+                id: user._id,
+                name: user.name,
+                email: user.email,
+                role: user.role
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Activate or deactivate an admin account
+ * @route PATCH /api/v1/admin-users/:id/status
+ * @access Super Admin
+ */
+exports.updateStatus = async (req, res, next) => {
+    try {
+        const { isActive } = req.body;
+
+        if (!isActive && req.params.id === req.user.id.toString()) {
+            return next(new AppError('You cannot deactivate your own account', 400));
+        }
+
+        const user = await User.findById(req.params.id).select('name email role isActive');
+        if (!user) {
+            return next(new AppError('User not found', 404));
+        }
+
+        if (!isActive && await isLastActiveSuperAdmin(user)) {
+            return next(new AppError('Cannot deactivate the last active super admin', 400));
+        }
+
+        if (!await applyAdminChange(user, { isActive })) {
+            return next(new AppError('Cannot deactivate the last active super admin', 400));
+        }
+
+        if (!isActive) {
+            await revokeSessions(user._id, 'admin');
+        }
+
+        logger.logSecurity(isActive ? 'Admin account activated' : 'Admin account deactivated', {
+            targetUserId: user._id,
+            changedBy: req.user.id,
+            ip: req.ip
+        });
+
+        res.status(200).json({
+            success: true,
+            message: isActive ? 'Account activated' : 'Account deactivated',
+            data: {
+                id: user._id,
+                email: user.email,
+                isActive: user.isActive
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Sign an admin out of every device
+ * @route POST /api/v1/admin-users/:id/force-logout
+ * @access Super Admin
+ */
+exports.forceLogout = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.params.id).select('_id');
+        if (!user) {
+            return next(new AppError('User not found', 404));
+        }
+
+        await revokeSessions(user._id, 'admin');
+
+        logger.logAuth(`Force logout by superadmin ${req.user.id}`, user._id, req.ip, true);
+
+        res.status(200).json({
+            success: true,
+            message: 'User has been signed out of all sessions'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
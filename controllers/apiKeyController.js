@@ -0,0 +1,166 @@
+const ApiKey = require('../models/ApiKey');
+const AppError = require('../utils/AppError');
+const logger = require('../services/logger');
+const apiKeyService = require('../services/apiKeyService');
+const { API_KEY_SCOPES } = require('../config/permissions');
+
+/**
+ * List API keys
+ * @route GET /api/v1/api-keys
+ * @access Super Admin
+ */
+exports.getApiKeys = async (req, res, next) => {
+    try {
+        const { status } = req.query;
+
+        const query = {};
+        if (status === 'active') Object.assign(query, { revokedAt: null, $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] });
+        if (status === 'revoked') query.revokedAt = { $ne: null };
+
+        const keys = await ApiKey.find(query)
+            .populate('createdBy', 'name email')
+            .populate('revokedBy', 'name email')
+            .sort({ createdAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            data: keys,
+            scopes: API_KEY_SCOPES
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get a single API key
+ * @route GET /api/v1/api-keys/:id
+ * @access Super Admin
+ */
+exports.getApiKey = async (req, res, next) => {
+    try {
+        const key = await ApiKey.findById(req.params.id)
+            .populate('createdBy', 'name email')
+            .populate('revokedBy', 'name email');
+
+        if (!key) {
+            return next(new AppError('API key not found', 404));
+        }
+
+        res.status(200).json({
+            success: true,
+            data: key
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Create an API key - the raw key is returned once and never stored
+ * @route POST /api/v1/api-keys
+ * @access Super Admin
+ */
+exports.createApiKey = async (req, res, next) => {
+    try {
+        const { name, scopes, ipAllowlist = [], rateLimitPerMinute, expiresAt } = req.body;
+        const { key, prefix, keyHash } = apiKeyService.generateKey();
+
+        const apiKey = await ApiKey.create({
+            name,
+            prefix,
+            keyHash,
+            scopes: [...new Set(scopes)],
+            ipAllowlist: [...new Set(ipAllowlist)],
+            rateLimitPerMinute,
+            expiresAt: expiresAt || null,
+            createdBy: req.user.id
+        });
+
+        logger.logSecurity('API key created', {
+            apiKeyId: apiKey._id,
+            name: apiKey.name,
+            scopes: apiKey.scopes,
+            createdBy: req.user.id,
+            ip: req.ip
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'API key created. Copy it now - it will not be shown again.',
+            key,
+            data: apiKey
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Update an API key's name, scopes, IP allowlist or rate limit
+ * @route PATCH /api/v1/api-keys/:id
+ * @access Super Admin
+ */
+exports.updateApiKey = async (req, res, next) => {
+    try {
+        const { name, scopes, ipAllowlist, rateLimitPerMinute } = req.body;
+
+        const apiKey = await ApiKey.findOne({ _id: req.params.id, revokedAt: null });
+        if (!apiKey) {
+            return next(new AppError('Active API key not found', 404));
+        }
+
+        if (name !== undefined) apiKey.name = name;
+        if (scopes !== undefined) apiKey.scopes = [...new Set(scopes)];
+        if (ipAllowlist !== undefined) apiKey.ipAllowlist = [...new Set(ipAllowlist)];
+        if (rateLimitPerMinute !== undefined) apiKey.rateLimitPerMinute = rateLimitPerMinute;
+        await apiKey.save();
+
+        logger.logSecurity('API key updated', {
+            apiKeyId: apiKey._id,
+            updatedBy: req.user.id,
+            ip: req.ip
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'API key updated',
+            data: apiKey
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Revoke an API key (takes effect immediately)
+ * @route DELETE /api/v1/api-keys/:id
+ * @access Super Admin
+ */
+exports.revokeApiKey = async (req, res, next) => {
+    try {
+        const apiKey = await ApiKey.findOneAndUpdate(
+            { _id: req.params.id, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedBy: req.user.id } },
+            { new: true }
+        );
+
+        if (!apiKey) {
+            return next(new AppError('Active API key not found', 404));
+        }
+
+        logger.logSecurity('API key revoked', {
+            apiKeyId: apiKey._id,
+            name: apiKey.name,
+            revokedBy: req.user.id,
+            ip: req.ip
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'API key revoked'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,78 @@
+const AuditLog = require('../models/AuditLog');
+const AppError = require('../utils/AppError');
+const { config } = require('../config/env');
+
+/**
+ * Query the audit trail
+ * @route GET /api/v1/audit-logs
+ * @access Super Admin
+ */
+exports.getAuditLogs = async (req, res, next) => {
+    try {
+        const { actor, targetModel, targetId, action, from, to, limit = 50, page = 1 } = req.query;
+
+        const query = {};
+        if (actor) query.actor = actor;
+        if (targetModel) query.targetModel = targetModel;
+        if (targetId) query.targetId = targetId;
+        if (action) query.action = action;
+        if (from || to) {
+            query.createdAt = {};
+            if (from) query.createdAt.$gte = new Date(from);
+            if (to) query.createdAt.$lte = new Date(to);
+        }
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const [logs, total] = await Promise.all([
+            AuditLog.find(query)
+                .populate('actor', 'name email')
+                .populate('apiKey', 'name prefix')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit))
+                .lean(),
+            AuditLog.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: logs,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / parseInt(limit))
+            },
+            retentionDays: config.audit.retentionDays
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get a single audit entry
+ * @route GET /api/v1/audit-logs/:id
+ * @access Super Admin
+ */
+exports.getAuditLog = async (req, res, next) => {
+    try {
+        const log = await AuditLog.findById(req.params.id)
+            .populate('actor', 'name email role')
+            .populate('apiKey', 'name prefix')
+            .lean();
+
+        if (!log) {
+            return next(new AppError('Audit log entry not found', 404));
+        }
+
+        res.status(200).json({
+            success: true,
+            data: log
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
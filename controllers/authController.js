@@ -1,9 +1,85 @@
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const UAParser = require('ua-parser-js');
 const User = require('../models/User');
 const AppError = require('../utils/AppError');
 const logger = require('../services/logger');
+const tokenService = require('../services/tokenService');
+const mailService = require('../services/mailService');
+const totpService = require('../services/totpService');
+const loginSecurityService = require('../services/loginSecurityService');
+const permissionService = require('../services/permissionService');
+const { config } = require('../config/env');
+
+/**
+ * Record the login and send access/refresh tokens
+ * Shared by password login and the 2FA verification step
+ */
+const completeLogin = async (user, req, res, extra = {}) => {
+    // Parse User Agent
+    const parser = new UAParser(req.headers['user-agent']);
+    const result = parser.getResult();
+    const loginInfo = {
+        ip: req.ip || req.headers['x-forwarded-for'] || req.connection?.remoteAddress || 'unknown',
+        browser: `${result.browser.name || 'Unknown'} ${result.browser.version || ''}`.trim(),
+        os: `${result.os.name || 'Unknown'} ${result.os.version || ''}`.trim(),
+        device: result.device.model || result.device.type || 'Desktop/Laptop',
+        timestamp: new Date()
+    };
+
+    // Start a tracked session: rotating refresh token + access token bound to it
+    const refresh = await tokenService.startSession(user, req, loginInfo);
+    const token = tokenService.signAccessToken(user, refresh.family);
+
+    // Flag logins from devices/IPs not seen in the history
+    const assessment = loginSecurityService.assessLogin(user.loginHistory, loginInfo);
+    loginInfo.newDevice = assessment.newDevice;
+    loginInfo.newIp = assessment.newIp;
+
+    // Update User History (Keep last 50)
+    user.loginHistory.push(loginInfo);
+    if (user.loginHistory.length > 50) {
+        user.loginHistory.shift();
+    }
+    user.lastLogin = new Date();
+    user.failedLoginAttempts = 0;
+    user.lockUntil = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    logger.logAuth('Login successful', user._id, req.ip, true);
+
+    if (assessment.newDevice) {
+        logger.logSecurity('Login from new device', {
+            userId: user._id,
+            ip: loginInfo.ip,
+            browser: loginInfo.browser,
+            os: loginInfo.os,
+            device: loginInfo.device,
+            newIp: assessment.newIp
+        });
+        loginSecurityService.notifyNewDeviceLogin(user, loginInfo);
+    }
+
+    // Return user info and token (exclude sensitive fields)
+    res.status(200).json({
+        success: true,
+        message: 'Login successful',
+        token,
+        expiresIn: process.env.JWT_EXPIRES_IN || '1h',
+        refreshToken: refresh.token,
+        refreshTokenExpiresAt: refresh.expiresAt,
+        user: {
+            id: user._id,
+            name: user.name,
+            email: user.email,
+            role: user.role,
+            avatar: user.avatar,
+            twoFactorEnabled: Boolean(user.twoFactor?.enabled)
+        },
+        newDevice: assessment.newDevice,
+        ...extra
+    });
+};
 
 /**
  * Login Controller
@@ -27,59 +103,52 @@ exports.login = async (req, res, next) => {
             return next(new AppError('Invalid email or password', 401));
         }
 
+        // Reject while locked - the password is not even checked
+        if (user.isLocked()) {
+            logger.logAuth('Login failed - account locked', user._id, req.ip, false);
+            const minutes = Math.ceil((user.lockUntil - Date.now()) / 60000);
+            return next(new AppError(`Account temporarily locked due to failed login attempts. Try again in ${minutes} minute(s).`, 423));
+        }
+
         // Check password
         const isMatch = await bcrypt.compare(password, user.password);
         if (!isMatch) {
             logger.logAuth('Login failed - wrong password', user._id, req.ip, false);
+            const { lockUntil } = await loginSecurityService.registerFailedLogin(user._id, req);
+            if (lockUntil) {
+                return next(new AppError('Too many failed login attempts. Your account has been temporarily locked.', 423));
+            }
             return next(new AppError('Invalid email or password', 401));
         }
 
-        // Generate Token with secure settings
-        const token = jwt.sign(
-            { id: user._id, role: user.role },
-            process.env.SECRET_KEY,
-            { 
-                expiresIn: process.env.JWT_EXPIRES_IN || '1h',
-                issuer: 'bookmyseva',
-                audience: 'bookmyseva-users'
-            }
-        );
-
-        // Parse User Agent
-        const parser = new UAParser(req.headers['user-agent']);
-        const result = parser.getResult();
-        const loginInfo = {
-            ip: req.ip || req.headers['x-forwarded-for'] || req.connection?.remoteAddress || 'unknown',
-            browser: `${result.browser.name || 'Unknown'} ${result.browser.version || ''}`.trim(),
-            os: `${result.os.name || 'Unknown'} ${result.os.version || ''}`.trim(),
-            device: result.device.model || result.device.type || 'Desktop/Laptop',
-            timestamp: new Date()
-        };
+        if (!user.isActive) {
+            logger.logAuth('Login failed - account deactivated', user._id, req.ip, false);
+            return next(new AppError('Your account has been deactivated.', 401));
+        }
 
-        // Update User History (Keep last 50)
-        user.loginHistory.push(loginInfo);
-        if (user.loginHistory.length > 50) {
-            user.loginHistory.shift();
+        // Second factor required before any token is issued
+        if (user.twoFactor?.enabled) {
+            logger.logAuth('Login password verified - 2FA code required', user._id, req.ip, true);
+            return res.status(200).json({
+                success: true,
+                message: 'Two-factor authentication required',
+                twoFactorRequired: true,
+                twoFactorToken: tokenService.signTwoFactorToken(user, '2fa_verify')
+            });
         }
-        user.lastLogin = new Date();
-        await user.save({ validateBeforeSave: false });
 
-        logger.logAuth('Login successful', user._id, req.ip, true);
+        // Enforced enrollment for superadmins who have not set up 2FA yet
+        if (user.role === 'superadmin' && config.twoFactor.enforceForSuperadmin) {
+            logger.logAuth('Login password verified - 2FA enrollment required', user._id, req.ip, true);
+            return res.status(200).json({
+                success: true,
+                message: 'Two-factor authentication must be set up before logging in',
+                twoFactorSetupRequired: true,
+                twoFactorToken: tokenService.signTwoFactorToken(user, '2fa_setup')
+            });
+        }
 
-        // Return user info and token (exclude sensitive fields)
-        res.status(200).json({
-            success: true,
-            message: 'Login successful',
-            token,
-            expiresIn: process.env.JWT_EXPIRES_IN || '1h',
-            user: {
-                id: user._id,
-                name: user.name,
-                email: user.email,
-                role: user.role,
-                avatar: user.avatar
-            }
-        });
+        await completeLogin(user, req, res);
     } catch (error) {
         logger.logError(error, { context: 'login' });
         next(error);
@@ -87,17 +156,22 @@ exports.login = async (req, res, next) => {
 };
 
 /**
- * Logout Controller (Token blacklist would be here if implemented)
+ * Logout Controller - revokes the refresh token family of this session
  * @route POST /api/auth/logout
- * @access Private
+ * @access Public (refresh token in body)
  */
 exports.logout = async (req, res, next) => {
     try {
-        // In a full implementation, add token to blacklist here
-        // For now, client-side handles token removal
-        
-        logger.logAuth('Logout', req.user?.id, req.ip, true);
-        
+        const { refreshToken } = req.body || {};
+
+        if (!refreshToken) {
+            return next(new AppError('Refresh token is required', 400));
+        }
+
+        const family = await tokenService.revokeByToken(refreshToken, req.user?.id);
+
+        logger.logAuth('Logout', req.user?.id, req.ip, Boolean(family));
+
         res.status(200).json({
             success: true,
             message: 'Logged out successfully'
@@ -120,9 +194,11 @@ exports.getMe = async (req, res, next) => {
             return next(new AppError('User not found', 404));
         }
 
+        const permissions = await permissionService.getPermissionsForRole(user.role);
+
         res.status(200).json({
             success: true,
-            data: user
+            data: { ...user.toObject(), permissions }
         });
     } catch (error) {
         next(error);
@@ -130,34 +206,512 @@ exports.getMe = async (req, res, next) => {
 };
 
 /**
- * Refresh Token
+ * Refresh Token - rotates the refresh token and issues a new access token
  * @route POST /api/auth/refresh-token
- * @access Private
+ * @access Public (refresh token in body)
  */
 exports.refreshToken = async (req, res, next) => {
     try {
-        // User already verified by middleware
+        const { refreshToken } = req.body || {};
+
+        if (!refreshToken) {
+            return next(new AppError('Refresh token is required', 400));
+        }
+
+        const rotated = await tokenService.rotateRefreshToken(refreshToken, req);
+        if (!rotated) {
+            logger.logAuth('Refresh failed - invalid or reused token', undefined, req.ip, false);
+            return next(new AppError('Invalid refresh token. Please log in again.', 401));
+        }
+
+        const user = await User.findById(rotated.record.user).select('role isActive');
+        if (!user || !user.isActive) {
+            await tokenService.revokeFamily(rotated.record.family, 'admin');
+            return next(new AppError('Your account is no longer active.', 401));
+        }
+
+        const token = tokenService.signAccessToken(user, rotated.record.family);
+
+        res.status(200).json({
+            success: true,
+            token,
+            expiresIn: process.env.JWT_EXPIRES_IN || '1h',
+            refreshToken: rotated.next.token,
+            refreshTokenExpiresAt: rotated.next.expiresAt
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Forgot Password - emails a single-use reset link
+ * @route POST /api/auth/forgot-password
+ * @access Public
+ */
+exports.forgotPassword = async (req, res, next) => {
+    try {
+        const { email } = req.body;
+
+        // Same response whether or not the account exists (prevents email enumeration)
+        const genericResponse = {
+            success: true,
+            message: 'If an account exists for this email, a password reset link has been sent'
+        };
+
+        const user = await User.findOne({ email: email.toLowerCase() });
+        if (!user || !user.isActive) {
+            logger.logAuth('Password reset requested - unknown or inactive account', email, req.ip, false);
+            return res.status(200).json(genericResponse);
+        }
+
+        const resetToken = user.createPasswordResetToken();
+        await user.save({ validateBeforeSave: false });
+
+        const resetUrl = `${config.cors.adminUrl}/reset-password?token=${resetToken}`;
+
+        try {
+            await mailService.sendMail({
+                to: user.email,
+                subject: 'BookMySeva Admin - Password reset',
+                text: `Hello ${user.name},\n\n` +
+                    `A password reset was requested for your BookMySeva admin account.\n` +
+                    `Use the link below within 15 minutes to choose a new password:\n\n${resetUrl}\n\n` +
+                    'If you did not request this, you can ignore this email.',
+                html: `<p>Hello ${mailService.escapeHtml(user.name)},</p>` +
+                    '<p>A password reset was requested for your BookMySeva admin account.</p>' +
+                    `<p><a href="${resetUrl}">Reset your password</a> (valid for 15 minutes)</p>` +
+                    '<p>If you did not request this, you can ignore this email.</p>'
+            });
+        } catch (mailError) {
+            user.passwordResetToken = undefined;
+            user.passwordResetExpires = undefined;
+            await user.save({ validateBeforeSave: false });
+            return next(new AppError('There was an error sending the email. Please try again later.', 500));
+        }
+
+        logger.logAuth('Password reset email sent', user._id, req.ip, true);
+
+        res.status(200).json(genericResponse);
+    } catch (error) {
+        logger.logError(error, { context: 'forgotPassword' });
+        next(error);
+    }
+};
+
+/**
+ * Reset Password - consumes a reset token and sets a new password
+ * @route POST /api/auth/reset-password
+ * @access Public
+ */
+exports.resetPassword = async (req, res, next) => {
+    try {
+        const { token, password } = req.body;
+
+        const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+
+        const user = await User.findOne({
+            passwordResetToken: hashedToken,
+            passwordResetExpires: { $gt: Date.now() }
+        }).select('+password');
+
+        if (!user) {
+            logger.logAuth('Password reset failed - invalid or expired token', undefined, req.ip, false);
+            return next(new AppError('Reset token is invalid or has expired', 400));
+        }
+
+        user.password = await bcrypt.hash(password, 12);
+        // Backdate by 1s so a token issued right after the reset is not rejected by verifyToken
+        user.passwordChangedAt = Date.now() - 1000;
+        user.passwordResetToken = undefined;
+        user.passwordResetExpires = undefined;
+        await user.save();
+
+        // All existing sessions must log in again
+        await tokenService.revokeAllForUser(user._id, 'password_changed');
+
+        logger.logAuth('Password reset successful', user._id, req.ip, true);
+
+        res.status(200).json({
+            success: true,
+            message: 'Password has been reset. Please log in with your new password.'
+        });
+    } catch (error) {
+        logger.logError(error, { context: 'resetPassword' });
+        next(error);
+    }
+};
+
+// ===========================================
+// TWO-FACTOR AUTHENTICATION (TOTP)
+// ===========================================
+
+/**
+ * Verify a TOTP or recovery code for a user loaded with the 2FA secret fields.
+ * Consumes the code so it cannot be replayed.
+ * @returns {Promise<string|null>} 'totp' | 'recovery' | null
+ */
+const consumeSecondFactor = async (user, { code, recoveryCode }) => {
+    if (code) {
+        const secret = totpService.decryptSecret(user.twoFactor.secret);
+        const step = totpService.verifyCode(secret, code, { lastUsedStep: user.twoFactor.lastUsedStep });
+        if (step === null) return null;
+
+        // Atomic check-and-set so the same code cannot be used twice concurrently
+        const result = await User.updateOne(
+            {
+                _id: user._id,
+                $or: [
+                    { 'twoFactor.lastUsedStep': { $lt: step } },
+                    { 'twoFactor.lastUsedStep': null }
+                ]
+            },
+            { $set: { 'twoFactor.lastUsedStep': step } }
+        );
+        return result.modifiedCount === 1 ? 'totp' : null;
+    }
+
+    if (recoveryCode) {
+        const result = await User.updateOne(
+            { _id: user._id, 'twoFactor.recoveryCodes': totpService.hashRecoveryCode(recoveryCode) },
+            { $pull: { 'twoFactor.recoveryCodes': totpService.hashRecoveryCode(recoveryCode) } }
+        );
+        return result.modifiedCount === 1 ? 'recovery' : null;
+    }
+
+    return null;
+};
+
+/**
+ * Complete a 2FA login with a TOTP or recovery code
+ * @route POST /api/auth/2fa/verify
+ * @access Pending 2FA token
+ */
+exports.verifyTwoFactor = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user.id)
+            .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+        if (!user || !user.isActive || !user.twoFactor?.enabled) {
+            return next(new AppError('Two-factor authentication is not available for this account', 400));
+        }
+
+        if (user.isLocked()) {
+            logger.logAuth('2FA verification failed - account locked', user._id, req.ip, false);
+            return next(new AppError('Account temporarily locked due to failed login attempts.', 423));
+        }
+
+        const method = await consumeSecondFactor(user, req.body);
+        if (!method) {
+            logger.logAuth('2FA verification failed', user._id, req.ip, false);
+            // Wrong codes count towards the same lockout as wrong passwords
+            await loginSecurityService.registerFailedLogin(user._id, req);
+            return next(new AppError('Invalid authentication code', 401));
+        }
+
+        logger.logAuth(`2FA verification successful (${method})`, user._id, req.ip, true);
+
+        const extra = {};
+        if (method === 'recovery') {
+            extra.recoveryCodesRemaining = user.twoFactor.recoveryCodes.length - 1;
+        }
+
+        await completeLogin(user, req, res, extra);
+    } catch (error) {
+        logger.logError(error, { context: 'verifyTwoFactor' });
+        next(error);
+    }
+};
+
+/**
+ * Get 2FA status for the current user
+ * @route GET /api/auth/2fa/status
+ * @access Private
+ */
+exports.getTwoFactorStatus = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user.id).select('+twoFactor.recoveryCodes');
+        if (!user) {
+            return next(new AppError('User not found', 404));
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                enabled: Boolean(user.twoFactor?.enabled),
+                enabledAt: user.twoFactor?.enabledAt,
+                recoveryCodesRemaining: user.twoFactor?.recoveryCodes?.length || 0,
+                required: user.role === 'superadmin' && config.twoFactor.enforceForSuperadmin
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Start 2FA enrollment - returns the secret and otpauth:// URI for the QR code
+ * @route POST /api/auth/2fa/setup
+ * @access Private or pending 2FA setup token
+ */
+exports.setupTwoFactor = async (req, res, next) => {
+    try {
         const user = await User.findById(req.user.id);
-        
         if (!user) {
             return next(new AppError('User not found', 404));
         }
 
-        // Generate new token
-        const token = jwt.sign(
-            { id: user._id, role: user.role },
-            process.env.SECRET_KEY,
-            { 
-                expiresIn: process.env.JWT_EXPIRES_IN || '1h',
-                issuer: 'bookmyseva',
-                audience: 'bookmyseva-users'
+        if (user.twoFactor?.enabled) {
+            return next(new AppError('Two-factor authentication is already enabled', 400));
+        }
+
+        const secret = totpService.generateSecret();
+        user.twoFactor.pendingSecret = totpService.encryptSecret(secret);
+        await user.save({ validateBeforeSave: false });
+
+        logger.logAuth('2FA enrollment started', user._id, req.ip, true);
+
+        res.status(200).json({
+            success: true,
+            message: 'Scan the QR code with your authenticator app, then confirm with a code',
+            data: {
+                secret,
+                otpauthUrl: totpService.buildProvisioningUri(secret, user.email)
             }
-        );
+        });
+    } catch (error) {
+        logger.logError(error, { context: 'setupTwoFactor' });
+        next(error);
+    }
+};
+
+/**
+ * Confirm enrollment with a first code - enables 2FA and returns recovery codes
+ * @route POST /api/auth/2fa/enable
+ * @access Private or pending 2FA setup token
+ */
+exports.enableTwoFactor = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user.id).select('+twoFactor.pendingSecret');
+        if (!user) {
+            return next(new AppError('User not found', 404));
+        }
+
+        if (user.twoFactor?.enabled) {
+            return next(new AppError('Two-factor authentication is already enabled', 400));
+        }
+
+        if (!user.twoFactor?.pendingSecret) {
+            return next(new AppError('Please start two-factor setup first', 400));
+        }
+
+        const secret = totpService.decryptSecret(user.twoFactor.pendingSecret);
+        const step = totpService.verifyCode(secret, req.body.code);
+        if (step === null) {
+            logger.logAuth('2FA enrollment failed - invalid code', user._id, req.ip, false);
+            return next(new AppError('Invalid authentication code', 400));
+        }
+
+        const { codes, hashes } = totpService.generateRecoveryCodes();
+
+        user.twoFactor.enabled = true;
+        user.twoFactor.enabledAt = new Date();
+        user.twoFactor.secret = user.twoFactor.pendingSecret;
+        user.twoFactor.pendingSecret = undefined;
+        user.twoFactor.recoveryCodes = hashes;
+        user.twoFactor.lastUsedStep = step;
+        await user.save({ validateBeforeSave: false });
+
+        logger.logAuth('2FA enabled', user._id, req.ip, true);
+
+        // Enforced enrollment during login: finish the login now
+        if (req.twoFactorPurpose === '2fa_setup') {
+            return completeLogin(user, req, res, { recoveryCodes: codes });
+        }
 
         res.status(200).json({
             success: true,
-            token,
-            expiresIn: process.env.JWT_EXPIRES_IN || '1h'
+            message: 'Two-factor authentication enabled. Store these recovery codes safely - they will not be shown again.',
+            data: { recoveryCodes: codes }
+        });
+    } catch (error) {
+        logger.logError(error, { context: 'enableTwoFactor' });
+        next(error);
+    }
+};
+
+/**
+ * Disable 2FA for the current user (requires password and a current code)
+ * @route POST /api/auth/2fa/disable
+ * @access Private
+ */
+exports.disableTwoFactor = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user.id)
+            .select('+password +twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+        if (!user) {
+            return next(new AppError('User not found', 404));
+        }
+
+        if (!user.twoFactor?.enabled) {
+            return next(new AppError('Two-factor authentication is not enabled', 400));
+        }
+
+        if (user.role === 'superadmin' && config.twoFactor.enforceForSuperadmin) {
+            return next(new AppError('Two-factor authentication is mandatory for super admins', 403));
+        }
+
+        const isMatch = await bcrypt.compare(req.body.password, user.password);
+        const method = isMatch ? await consumeSecondFactor(user, req.body) : null;
+        if (!method) {
+            logger.logAuth('2FA disable failed - invalid credentials', user._id, req.ip, false);
+            return next(new AppError('Invalid password or authentication code', 401));
+        }
+
+        user.twoFactor = { enabled: false };
+        await user.save({ validateBeforeSave: false });
+
+        logger.logAuth('2FA disabled', user._id, req.ip, true);
+
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+    } catch (error) {
+        logger.logError(error, { context: 'disableTwoFactor' });
+        next(error);
+    }
+};
+
+/**
+ * Replace all recovery codes (requires a current TOTP code)
+ * @route POST /api/auth/2fa/recovery-codes
+ * @access Private
+ */
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user.id)
+            .select('+twoFactor.secret +twoFactor.lastUsedStep');
+        if (!user) {
+            return next(new AppError('User not found', 404));
+        }
+
+        if (!user.twoFactor?.enabled) {
+            return next(new AppError('Two-factor authentication is not enabled', 400));
+        }
+
+        const method = await consumeSecondFactor(user, { code: req.body.code });
+        if (!method) {
+            logger.logAuth('2FA recovery code regeneration failed - invalid code', user._id, req.ip, false);
+            return next(new AppError('Invalid authentication code', 401));
+        }
+
+        const { codes, hashes } = totpService.generateRecoveryCodes();
+        await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.recoveryCodes': hashes } });
+
+        logger.logAuth('2FA recovery codes regenerated', user._id, req.ip, true);
+
+        res.status(200).json({
+            success: true,
+            message: 'New recovery codes generated. Previous codes no longer work.',
+            data: { recoveryCodes: codes }
+        });
+    } catch (error) {
+        logger.logError(error, { context: 'regenerateRecoveryCodes' });
+        next(error);
+    }
+};
+
+/**
+ * Reset 2FA for another admin (lost device) - they must enroll again
+ * @route DELETE /api/auth/2fa/users/:id
+ * @access Super Admin
+ */
+exports.resetUserTwoFactor = async (req, res, next) => {
+    try {
+        if (req.params.id === req.user.id.toString()) {
+            return next(new AppError('Use the disable endpoint to change your own two-factor settings', 400));
+        }
+
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return next(new AppError('User not found', 404));
+        }
+
+        user.twoFactor = { enabled: false };
+        await user.save({ validateBeforeSave: false });
+
+        // Sessions established with the old factor are no longer trusted
+        await tokenService.revokeAllForUser(user._id, 'admin');
+
+        logger.logAuth(`2FA reset by superadmin ${req.user.id}`, user._id, req.ip, true);
+        logger.logSecurity('Two-factor authentication reset', {
+            targetUserId: user._id,
+            resetBy: req.user.id,
+            ip: req.ip
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication has been reset for this user'
+        });
+    } catch (error) {
+        logger.logError(error, { context: 'resetUserTwoFactor' });
+        next(error);
+    }
+};
+
+// ===========================================
+// ACCOUNT LOCKOUT (Super Admin)
+// ===========================================
+
+/**
+ * Get lockout status of an admin account
+ * @route GET /api/auth/users/:id/lockout
+ * @access Super Admin
+ */
+exports.getLockoutStatus = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.params.id).select('email failedLoginAttempts lastFailedLoginAt lockUntil');
+        if (!user) {
+            return next(new AppError('User not found', 404));
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                id: user._id,
+                email: user.email,
+                ...loginSecurityService.getLockoutStatus(user)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Unlock an admin account and reset its failed attempt counter
+ * @route POST /api/auth/users/:id/unlock
+ * @access Super Admin
+ */
+exports.unlockUser = async (req, res, next) => {
+    try {
+        const user = await User.findByIdAndUpdate(
+            req.params.id,
+            { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1 } },
+            { new: true }
+        ).select('email');
+
+        if (!user) {
+            return next(new AppError('User not found', 404));
+        }
+
+        logger.logAuth(`Account unlocked by superadmin ${req.user.id}`, user._id, req.ip, true);
+
+        res.status(200).json({
+            success: true,
+            message: 'Account unlocked successfully'
         });
     } catch (error) {
         next(error);
@@ -0,0 +1,398 @@
+const Booking = require('../models/Booking');
+const FrontendUser = require('../models/FrontendUser');
+const AppError = require('../utils/AppError');
+const logger = require('../services/logger');
+const bookingService = require('../services/bookingService');
+const familyMemberService = require('../services/familyMemberService');
+const priestAvailabilityService = require('../services/priestAvailabilityService');
+
+// Internal fields hidden from customers
+const CUSTOMER_HIDDEN_FIELDS = '-adminNotes -statusHistory.by';
+
+// Customers may cancel until a priest has been assigned
+const CUSTOMER_CANCELLABLE = ['requested', 'confirmed'];
+
+/**
+ * Escape user input for use inside a RegExp
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Where the seva happens: a saved address, or the location sent with the request
+ */
+const resolveLocation = async (customerId, { addressId, location = {} }) => {
+    if (addressId) {
+        const customer = await FrontendUser.findById(customerId).select('addresses').lean();
+        const address = customer?.addresses.find(item => item._id.toString() === addressId);
+        if (!address) {
+            throw new AppError('Saved address not found', 400);
+        }
+        const { line1, line2, landmark, city, state, pincode } = address;
+        return { type: 'home', line1, line2, landmark, city, state, pincode, notes: location.notes };
+    }
+
+    return bookingService.buildLocation(location);
+};
+
+/**
+ * Book a seva
+ * @route POST /api/v1/bookings
+ * @access Customer
+ */
+exports.createBooking = async (req, res, next) => {
+    try {
+        const { sevaId, scheduledAt, templeId, addressId, location, addOnIds = [], memberIds = [], contact = {}, notes } = req.body;
+
+        const seva = await bookingService.findBookableSeva(sevaId);
+        const members = await familyMemberService.resolveMembers(req.customer.id, memberIds);
+
+        // At a temple from the catalog, or at the devotee's address
+        const atTemple = templeId ? await bookingService.resolveTemple(templeId, scheduledAt) : null;
+        const bookingLocation = atTemple
+            ? { ...atTemple.location, notes: location?.notes }
+            : await resolveLocation(req.customer.id, { addressId, location });
+
+        const quote = bookingService.quoteSeva(seva, {
+            mode: bookingLocation.type === 'online' ? 'online' : 'in_person',
+            city: bookingLocation.city,
+            addOnIds,
+            temple: atTemple?.temple
+        });
+
+        const contactPhone = contact.phone || req.customer.phone;
+        if (!contactPhone) {
+            return next(new AppError('A contact phone number is required', 400));
+        }
+
+        const booking = new Booking({
+            customer: req.customer.id,
+            seva: seva._id,
+            sevaName: seva.name,
+            scheduledAt,
+            location: bookingLocation,
+            temple: atTemple?.temple._id || null,
+            contact: {
+                name: contact.name || req.customer.name,
+                phone: contactPhone,
+                email: contact.email || req.customer.email
+            },
+            members,
+            addOns: quote.addOns,
+            durationMinutes: quote.durationMinutes,
+            price: { amount: quote.total },
+            notes,
+            statusHistory: [{ status: 'requested', byCustomer: true }]
+        });
+        await booking.save();
+
+        logger.info('Booking requested', { bookingId: booking._id, customerId: req.customer.id, sevaId: seva._id });
+        bookingService.notify(req.app.get('socketio'), 'new_booking', booking);
+
+        const data = booking.toObject();
+        delete data.adminNotes;
+
+        res.status(201).json({
+            success: true,
+            message: 'Booking requested successfully',
+            data
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * List the customer's bookings
+ * @route GET /api/v1/bookings/mine
+ * @access Customer
+ */
+exports.getMyBookings = async (req, res, next) => {
+    try {
+        const { status, limit = 20, page = 1 } = req.query;
+
+        const query = { customer: req.customer.id };
+        if (status) query.status = status;
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const [bookings, total] = await Promise.all([
+            Booking.find(query)
+                .select(CUSTOMER_HIDDEN_FIELDS)
+                .sort({ scheduledAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit))
+                .lean(),
+            Booking.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: bookings,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / parseInt(limit))
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get one of the customer's bookings
+ * @route GET /api/v1/bookings/mine/:id
+ * @access Customer
+ */
+exports.getMyBooking = async (req, res, next) => {
+    try {
+        const booking = await Booking.findOne({ _id: req.params.id, customer: req.customer.id })
+            .select(CUSTOMER_HIDDEN_FIELDS)
+            .populate('seva', 'name description images')
+            .populate('temple', 'name slug address contact')
+            .lean();
+
+        if (!booking) {
+            return next(new AppError('Booking not found', 404));
+        }
+
+        res.status(200).json({
+            success: true,
+            data: booking
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Cancel one of the customer's bookings
+ * @route POST /api/v1/bookings/mine/:id/cancel
+ * @access Customer
+ */
+exports.cancelMyBooking = async (req, res, next) => {
+    try {
+        const booking = await Booking.findOne({ _id: req.params.id, customer: req.customer.id });
+        if (!booking) {
+            return next(new AppError('Booking not found', 404));
+        }
+
+        if (!CUSTOMER_CANCELLABLE.includes(booking.status)) {
+            return next(new AppError('This booking can no longer be cancelled online. Please contact support.', 400));
+        }
+
+        bookingService.applyStatus(booking, 'cancelled', { note: req.body.reason });
+        await booking.save();
+
+        logger.info('Booking cancelled by customer', { bookingId: booking._id, customerId: req.customer.id });
+        bookingService.notify(req.app.get('socketio'), 'booking_updated', booking);
+
+        res.status(200).json({
+            success: true,
+            message: 'Booking cancelled',
+            data: {
+                id: booking._id,
+                status: booking.status,
+                cancellation: booking.cancellation
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * List bookings
+ * @route GET /api/v1/bookings
+ * @access Admin (bookings:read)
+ */
+exports.getBookings = async (req, res, next) => {
+    try {
+        const { status, customer, seva, temple, from, to, search, limit = 20, page = 1 } = req.query;
+
+        const query = {};
+        if (status) query.status = status;
+        if (customer) query.customer = customer;
+        if (seva) query.seva = seva;
+        if (temple) query.temple = temple;
+        if (from || to) {
+            query.scheduledAt = {};
+            if (from) query.scheduledAt.$gte = new Date(from);
+            if (to) query.scheduledAt.$lte = new Date(to);
+        }
+        if (search) {
+            const searchRegex = { $regex: escapeRegex(search), $options: 'i' };
+            query.$or = [
+                { bookingNumber: searchRegex },
+                { 'contact.name': searchRegex },
+                { 'contact.phone': searchRegex }
+            ];
+        }
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const [bookings, total] = await Promise.all([
+            Booking.find(query)
+                .populate('customer', 'name email phone')
+                .sort({ scheduledAt: 1 })
+                .skip(skip)
+                .limit(parseInt(limit))
+                .lean(),
+            Booking.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: bookings,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / parseInt(limit))
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get a booking
+ * @route GET /api/v1/bookings/:id
+ * @access Admin (bookings:read)
+ */
+exports.getBooking = async (req, res, next) => {
+    try {
+        const booking = await Booking.findById(req.params.id)
+            .populate('customer', 'name email phone status')
+            .populate('seva', 'name price salePrice category')
+            .populate('temple', 'name slug address contact')
+            .populate('statusHistory.by', 'name email')
+            .lean();
+
+        if (!booking) {
+            return next(new AppError('Booking not found', 404));
+        }
+
+        res.status(200).json({
+            success: true,
+            data: booking
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Confirm, complete or cancel a booking (priests are assigned through /priest)
+ * @route PATCH /api/v1/bookings/:id/status
+ * @access Admin (bookings:write)
+ */
+exports.updateStatus = async (req, res, next) => {
+    try {
+        const { status, note } = req.body;
+
+        const booking = await Booking.findById(req.params.id);
+        if (!booking) {
+            return next(new AppError('Booking not found', 404));
+        }
+
+        bookingService.applyStatus(booking, status, { actorId: req.user.id, note });
+        await booking.save();
+
+        if (status === 'cancelled') {
+            await priestAvailabilityService.release(booking._id);
+        }
+
+        logger.info('Booking status changed', { bookingId: booking._id, status, changedBy: req.user.id });
+        bookingService.notify(req.app.get('socketio'), 'booking_updated', booking);
+
+        res.status(200).json({
+            success: true,
+            message: `Booking ${status.replace('_', ' ')}`,
+            data: booking
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Assign (or reassign) the priest performing the seva.
+ * Fails with 409 when the priest is off duty or already booked at that time.
+ * @route PATCH /api/v1/bookings/:id/priest
+ * @access Admin (bookings:write)
+ */
+exports.assignPriest = async (req, res, next) => {
+    try {
+        const { priestId, note } = req.body;
+
+        const booking = await Booking.findById(req.params.id);
+        if (!booking) {
+            return next(new AppError('Booking not found', 404));
+        }
+
+        const priest = await bookingService.findAssignablePriest(priestId);
+
+        bookingService.applyStatus(booking, 'priest_assigned', { actorId: req.user.id, note });
+        booking.assignedPriest = { priest: priest._id, name: priest.name, phone: priest.phone, assignedAt: new Date() };
+
+        // Rejects overlapping sevas (and frees the previous priest on reassignment)
+        await priestAvailabilityService.reserveAndSave(booking, priest._id);
+
+        logger.info('Priest assigned to booking', { bookingId: booking._id, priestId: priest._id, assignedBy: req.user.id });
+        bookingService.notify(req.app.get('socketio'), 'booking_updated', booking);
+
+        res.status(200).json({
+            success: true,
+            message: 'Priest assigned',
+            data: booking
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Reschedule a booking or edit internal notes
+ * @route PATCH /api/v1/bookings/:id
+ * @access Admin (bookings:write)
+ */
+exports.updateBooking = async (req, res, next) => {
+    try {
+        const { scheduledAt, adminNotes } = req.body;
+
+        const booking = await Booking.findById(req.params.id);
+        if (!booking) {
+            return next(new AppError('Booking not found', 404));
+        }
+
+        if (scheduledAt !== undefined) {
+            if (['completed', 'cancelled'].includes(booking.status)) {
+                return next(new AppError(`A ${booking.status} booking cannot be rescheduled`, 400));
+            }
+            booking.scheduledAt = scheduledAt;
+        }
+        if (adminNotes !== undefined) booking.adminNotes = adminNotes;
+
+        // Move the assigned priest's reservation along with the seva
+        if (scheduledAt !== undefined && booking.status === 'priest_assigned' && booking.assignedPriest?.priest) {
+            await priestAvailabilityService.reserveAndSave(booking, booking.assignedPriest.priest);
+        } else {
+            await booking.save();
+        }
+
+        if (scheduledAt !== undefined) {
+            bookingService.notify(req.app.get('socketio'), 'booking_updated', booking, { sms: false });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Booking updated',
+            data: booking
+        });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -172,6 +172,7 @@ exports.createProduct = async (req, res) => {
 };
 
 // --- Frontend Users ---
+// Legacy response (bare array) for older admin builds - new clients use GET /admin-customers
 exports.getFrontendUsers = async (req, res) => {
     try {
         const users = await FrontendUser.find().sort({ createdAt: -1 });
@@ -1,23 +1,18 @@
 const FrontendUser = require('../models/FrontendUser');
-const Otp = require('../models/Otp');
-const msg91Service = require('../services/msg91Service');
-const jwt = require('jsonwebtoken');
+const smsService = require('../services/smsService');
+const mailService = require('../services/mailService');
+const otpService = require('../services/otpService');
+const googleAuthService = require('../services/googleAuthService');
+const customerTokenService = require('../services/customerTokenService');
+const AppError = require('../utils/AppError');
 const { config } = require('../config/env');
 const logger = require('../services/logger');
 
-// Generate JWT for customer
-const generateToken = (user) => {
-    return jwt.sign(
-        {
-            id: user._id,
-            role: 'customer',
-            email: user.email,
-            mobile: user.phone || user.mobile // handle both if schema varies
-        },
-        config.jwt.secret,
-        { expiresIn: '30d' } // Long expiration for mobile/consumer apps
-    );
-};
+const ACCOUNT_BLOCKED_MESSAGE = 'Your account is not active. Please contact support.';
+
+// Phone signups store the email they were given unverified - it only becomes a
+// login method once the owner links it from their profile
+const EMAIL_NOT_VERIFIED_MESSAGE = 'This email has not been verified for the account. Sign in with your mobile number and verify the email from your profile to enable email login.';
 
 exports.sendOtp = async (req, res, next) => {
     try {
@@ -50,26 +45,22 @@ exports.sendOtp = async (req, res, next) => {
                 logger.info(`[DEBUG_OTP] User not found for mobile ${mobile}. Returning 404.`);
                 return res.status(404).json({ status: 'fail', message: 'User not found. Please register first.' });
             }
-        }
 
-        // Generate 4-digit OTP locally
-        const otp = Math.floor(1000 + Math.random() * 9000).toString();
+            // Blocked customers cannot log in - do not spend an SMS on them
+            if (user.status !== 'Active') {
+                return res.status(403).json({ status: 'fail', message: ACCOUNT_BLOCKED_MESSAGE });
+            }
+        }
 
-        // Store OTP in DB (expires in 5 mins)
-        // Upsert to replace any existing OTP for this phone
-        await Otp.findOneAndUpdate(
-            { phone: mobile },
-            {
-                phone: mobile,
-                otp: otp,
-                expiresAt: new Date(Date.now() + 5 * 60 * 1000) // 5 minutes from now
-            },
-            { upsert: true, new: true }
-        );
+        // Generate & store OTP (replaces any existing OTP for this phone)
+        const { otp } = await otpService.issueOtp({ phone: mobile }, { ip: req.ip });
 
         // Send OTP
-        logger.info(`Generated & Stored OTP for ${mobile}: ${otp}`); // For debugging
-        await msg91Service.sendOTP({ mobile, otp });
+        await smsService.send({
+            to: mobile,
+            template: 'otp_login',
+            variables: { otp, minutes: otpService.OTP_EXPIRY_MINUTES }
+        });
 
         res.status(200).json({
             status: 'success',
@@ -78,6 +69,9 @@ exports.sendOtp = async (req, res, next) => {
             debug_otp: process.env.NODE_ENV === 'development' ? otp : undefined
         });
     } catch (error) {
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({ status: 'fail', message: error.message });
+        }
         logger.error('Send OTP Controller Error:', error);
         res.status(500).json({ status: 'error', message: 'Failed to send OTP' });
     }
@@ -85,26 +79,25 @@ exports.sendOtp = async (req, res, next) => {
 
 exports.verifyOtp = async (req, res, next) => {
     try {
-        const { mobile, otp, name, email, isSignup } = req.body;
+        const { mobile, otp, name, isSignup } = req.body;
+        const email = req.body.email ? String(req.body.email).trim().toLowerCase() : req.body.email;
 
         if (!mobile || !otp) {
             return res.status(400).json({ status: 'fail', message: 'Mobile number and OTP are required' });
         }
 
-        // Verify OTP Locally
-        const storedOtp = await Otp.findOne({ phone: mobile });
-
-        if (!storedOtp) {
-            return res.status(400).json({ status: 'fail', message: 'OTP expired or not found' });
-        }
+        // Verify OTP Locally (consumed on success to prevent replay)
+        const result = await otpService.verifyOtp({ phone: mobile }, otp, { ip: req.ip });
 
-        if (storedOtp.otp !== otp) {
-            return res.status(400).json({ status: 'fail', message: 'Invalid OTP' });
+        if (!result.valid) {
+            logger.logAuth(`Customer OTP verification failed (${result.reason})`, mobile, req.ip, false);
+            return res.status(400).json({
+                status: 'fail',
+                message: result.message,
+                attemptsRemaining: result.attemptsRemaining
+            });
         }
 
-        // Delete OTP after successful verification (prevent replay)
-        await Otp.deleteOne({ _id: storedOtp._id });
-
 
         // Check if user exists
         // FrontendUser schema has 'email' as unique and required. msg91 flow is mobile first.
@@ -132,28 +125,169 @@ exports.verifyOtp = async (req, res, next) => {
                 return res.status(400).json({ status: 'fail', message: 'Email already currently in use' });
             }
 
+            try {
+                user = await FrontendUser.create({
+                    name,
+                    email,
+                    phone: mobile,
+                    authProvider: 'mobile',
+                    status: 'Active'
+                });
+            } catch (createError) {
+                // A parallel signup took the mobile number or email first
+                if (createError.code === 11000) {
+                    return res.status(409).json({ status: 'fail', message: 'An account with this mobile number or email already exists' });
+                }
+                throw createError;
+            }
+
+        } else {
+            // Login flow
+            if (!user) {
+                return res.status(404).json({ status: 'fail', message: 'User not found. Please register first.' });
+            }
+
+            if (user.status !== 'Active') {
+                logger.logAuth('Blocked customer OTP login rejected', user._id, req.ip, false);
+                return res.status(403).json({ status: 'fail', message: ACCOUNT_BLOCKED_MESSAGE });
+            }
+        }
+
+        // Short-lived access token + 30-day rotating refresh token
+        const tokens = await customerTokenService.issueTokens(user, req);
+
+        res.status(200).json({
+            status: 'success',
+            message: isSignup ? 'Registration successful' : 'Login successful',
+            ...tokens,
+            user: {
+                id: user._id,
+                name: user.name,
+                email: user.email,
+                phone: user.phone
+            }
+        });
+
+    } catch (error) {
+        logger.error('Verify OTP Controller Error:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to verify OTP' });
+    }
+};
+
+/**
+ * Email the login/signup OTP
+ */
+const sendEmailOtpMessage = (email, otp) => mailService.sendMail({
+    to: email,
+    subject: 'Your BookMySeva login code',
+    text: `Your BookMySeva verification code is ${otp}.\n\n` +
+        `It expires in ${otpService.OTP_EXPIRY_MINUTES} minutes. If you did not request it, you can ignore this email.`,
+    html: `<p>Your BookMySeva verification code is <strong>${otp}</strong>.</p>` +
+        `<p>It expires in ${otpService.OTP_EXPIRY_MINUTES} minutes. If you did not request it, you can ignore this email.</p>`
+});
+
+/**
+ * Send a login/signup OTP by email (for devotees who cannot receive Indian SMS)
+ * @route POST /api/v1/customer-auth/email/send-otp
+ * @access Public
+ */
+exports.sendEmailOtp = async (req, res) => {
+    try {
+        const { email, isSignup } = req.body;
+
+        const user = await FrontendUser.findOne({ email });
+
+        if (isSignup && user) {
+            return res.status(400).json({ status: 'fail', message: 'User already exists. Please login.' });
+        }
+        if (!isSignup && !user) {
+            return res.status(404).json({ status: 'fail', message: 'User not found. Please register first.' });
+        }
+        if (!isSignup && user.status !== 'Active') {
+            return res.status(403).json({ status: 'fail', message: ACCOUNT_BLOCKED_MESSAGE });
+        }
+        if (!isSignup && !user.emailVerified) {
+            return res.status(403).json({ status: 'fail', message: EMAIL_NOT_VERIFIED_MESSAGE });
+        }
+
+        const { otp } = await otpService.issueOtp({ email }, { ip: req.ip });
+        await sendEmailOtpMessage(email, otp);
+
+        res.status(200).json({
+            status: 'success',
+            message: 'OTP sent successfully',
+            email,
+            debug_otp: process.env.NODE_ENV === 'development' ? otp : undefined
+        });
+    } catch (error) {
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({ status: 'fail', message: error.message });
+        }
+        logger.logError(error, { context: 'sendEmailOtp' });
+        res.status(500).json({ status: 'error', message: 'Failed to send OTP' });
+    }
+};
+
+/**
+ * Verify an email OTP and log in / sign up
+ * @route POST /api/v1/customer-auth/email/verify-otp
+ * @access Public
+ */
+exports.verifyEmailOtp = async (req, res) => {
+    try {
+        const { email, otp, name, isSignup } = req.body;
+
+        const result = await otpService.verifyOtp({ email }, otp, { ip: req.ip });
+
+        if (!result.valid) {
+            logger.logAuth(`Customer email OTP verification failed (${result.reason})`, email, req.ip, false);
+            return res.status(400).json({
+                status: 'fail',
+                message: result.message,
+                attemptsRemaining: result.attemptsRemaining
+            });
+        }
+
+        let user = await FrontendUser.findOne({ email });
+
+        if (isSignup) {
+            if (user) {
+                return res.status(400).json({ status: 'fail', message: 'User already exists with this email' });
+            }
+
+            if (!name) {
+                return res.status(400).json({ status: 'fail', message: 'Name is required for registration' });
+            }
+
             user = await FrontendUser.create({
                 name,
                 email,
-                phone: mobile,
-                authProvider: 'mobile',
+                authProvider: 'email',
+                emailVerified: true,
                 status: 'Active'
             });
-
         } else {
-            // Login flow
             if (!user) {
                 return res.status(404).json({ status: 'fail', message: 'User not found. Please register first.' });
             }
+
+            if (user.status !== 'Active') {
+                logger.logAuth('Blocked customer email OTP login rejected', user._id, req.ip, false);
+                return res.status(403).json({ status: 'fail', message: ACCOUNT_BLOCKED_MESSAGE });
+            }
+
+            if (!user.emailVerified) {
+                logger.logAuth('Email OTP login to account with unverified email rejected', user._id, req.ip, false);
+                return res.status(403).json({ status: 'fail', message: EMAIL_NOT_VERIFIED_MESSAGE });
+            }
         }
 
-        // Generate Token
-        const token = generateToken(user);
+        const tokens = await customerTokenService.issueTokens(user, req);
 
         res.status(200).json({
             status: 'success',
             message: isSignup ? 'Registration successful' : 'Login successful',
-            token,
+            ...tokens,
             user: {
                 id: user._id,
                 name: user.name,
@@ -161,9 +295,179 @@ exports.verifyOtp = async (req, res, next) => {
                 phone: user.phone
             }
         });
-
     } catch (error) {
-        logger.error('Verify OTP Controller Error:', error);
+        logger.logError(error, { context: 'verifyEmailOtp' });
         res.status(500).json({ status: 'error', message: 'Failed to verify OTP' });
     }
 };
+
+/**
+ * Sign in / sign up with Google (ID token from Google Identity Services)
+ * Links to an existing account with the same verified email. Accounts without
+ * a phone number are asked to verify one (POST /customer/me/phone) for SMS updates.
+ * @route POST /api/v1/customer-auth/google
+ * @access Public
+ */
+exports.googleSignIn = async (req, res) => {
+    try {
+        let profile;
+        try {
+            profile = await googleAuthService.verifyIdToken(req.body.idToken);
+        } catch (verifyError) {
+            logger.logAuth(`Google sign-in rejected: ${verifyError.message}`, undefined, req.ip, false);
+            return res.status(401).json({ status: 'fail', message: 'Google sign-in failed. Please try again.' });
+        }
+
+        if (!profile.email || !profile.emailVerified) {
+            return res.status(400).json({ status: 'fail', message: 'Your Google account email is not verified' });
+        }
+
+        // authProviderId holds the Google subject id (also on linked phone/email accounts)
+        let user = await FrontendUser.findOne({ authProviderId: profile.sub });
+        let isNewUser = false;
+
+        if (!user) {
+            user = await FrontendUser.findOne({ email: profile.email });
+
+            if (user) {
+                // Only link to an account that has proven it owns the email - anyone
+                // can type someone else's address into a mobile signup
+                if (!user.emailVerified) {
+                    logger.logAuth('Google sign-in to account with unverified email rejected', user._id, req.ip, false);
+                    return res.status(409).json({
+                        status: 'fail',
+                        message: 'An account already uses this email. Sign in with your mobile number and verify the email from your profile to enable Google sign-in.'
+                    });
+                }
+
+                // Same verified email - link Google to the existing account
+                if (user.authProviderId && user.authProviderId !== profile.sub) {
+                    return res.status(409).json({ status: 'fail', message: 'This email is linked to a different Google account' });
+                }
+                user.authProviderId = profile.sub;
+                user.emailVerified = true;
+                if (!user.avatar && profile.picture) user.avatar = profile.picture;
+                await user.save();
+
+                logger.logAuth('Google account linked to existing customer', user._id, req.ip, true);
+            } else {
+                user = await FrontendUser.create({
+                    name: profile.name || profile.email.split('@')[0],
+                    email: profile.email,
+                    emailVerified: true,
+                    avatar: profile.picture || '',
+                    authProvider: 'google',
+                    authProviderId: profile.sub,
+                    status: 'Active'
+                });
+                isNewUser = true;
+            }
+        }
+
+        if (user.status !== 'Active') {
+            logger.logAuth('Blocked customer Google login rejected', user._id, req.ip, false);
+            return res.status(403).json({ status: 'fail', message: ACCOUNT_BLOCKED_MESSAGE });
+        }
+
+        const tokens = await customerTokenService.issueTokens(user, req);
+
+        res.status(200).json({
+            status: 'success',
+            message: isNewUser ? 'Registration successful' : 'Login successful',
+            ...tokens,
+            user: {
+                id: user._id,
+                name: user.name,
+                email: user.email,
+                phone: user.phone,
+                avatar: user.avatar
+            },
+            phoneVerificationRequired: !user.phone
+        });
+    } catch (error) {
+        logger.logError(error, { context: 'googleSignIn' });
+        res.status(500).json({ status: 'error', message: 'Failed to sign in with Google' });
+    }
+};
+
+/**
+ * Refresh Token - rotates the customer refresh token and issues a new access token
+ * @route POST /api/v1/customer-auth/refresh-token
+ * @access Public (refresh token in body)
+ */
+exports.refreshToken = async (req, res, next) => {
+    try {
+        const { refreshToken } = req.body || {};
+
+        if (!refreshToken) {
+            return next(new AppError('Refresh token is required', 400));
+        }
+
+        const rotated = await customerTokenService.rotateRefreshToken(refreshToken, req);
+        if (!rotated) {
+            return next(new AppError('Invalid refresh token. Please log in again.', 401));
+        }
+
+        const customer = await FrontendUser.findById(rotated.record.customer).select('email phone status');
+        if (!customer || customer.status !== 'Active') {
+            await customerTokenService.revokeFamily(rotated.record.family, 'blocked');
+            return next(new AppError('Your account is not active. Please contact support.', 401));
+        }
+
+        res.status(200).json({
+            status: 'success',
+            token: customerTokenService.signAccessToken(customer),
+            expiresIn: config.jwt.customer.expiresIn,
+            refreshToken: rotated.next.token,
+            refreshTokenExpiresAt: rotated.next.expiresAt
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Logout - revokes the refresh token family of this device
+ * @route POST /api/v1/customer-auth/logout
+ * @access Public (refresh token in body)
+ */
+exports.logout = async (req, res, next) => {
+    try {
+        const { refreshToken } = req.body || {};
+
+        if (!refreshToken) {
+            return next(new AppError('Refresh token is required', 400));
+        }
+
+        await customerTokenService.revokeByToken(refreshToken, req.customer?.id);
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Logged out successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get the logged in customer
+ * @route GET /api/v1/customer-auth/me
+ * @access Customer
+ */
+exports.getMe = async (req, res, next) => {
+    try {
+        const customer = await FrontendUser.findById(req.customer.id).select('name email phone avatar authProvider status createdAt');
+
+        if (!customer) {
+            return next(new AppError('Account not found', 404));
+        }
+
+        res.status(200).json({
+            status: 'success',
+            user: customer
+        });
+    } catch (error) {
+        next(error);
+    }
+};
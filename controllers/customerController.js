@@ -0,0 +1,450 @@
+const FrontendUser = require('../models/FrontendUser');
+const AppError = require('../utils/AppError');
+const logger = require('../services/logger');
+const r2Service = require('../services/r2Service');
+const smsService = require('../services/smsService');
+const mailService = require('../services/mailService');
+const otpService = require('../services/otpService');
+
+const PROFILE_FIELDS = 'name email emailVerified phone avatar authProvider status addresses createdAt';
+
+/**
+ * Load the logged in customer or fail with 404
+ */
+const loadCustomer = async (req, fields = PROFILE_FIELDS) => {
+    const customer = await FrontendUser.findById(req.customer.id).select(fields);
+    if (!customer) {
+        throw new AppError('Account not found', 404);
+    }
+    return customer;
+};
+
+/**
+ * Remove an uploaded avatar from R2 (best effort)
+ */
+const deleteAvatarObject = async (key) => {
+    if (!key) return;
+    await r2Service.deleteFromR2(key).catch(error => logger.logError(error, { context: 'customer avatar delete', key }));
+};
+
+/**
+ * Keep exactly one default address (the first one when none is flagged)
+ */
+const normalizeDefaultAddress = (customer, preferredId) => {
+    if (customer.addresses.length === 0) return;
+
+    const preferred = preferredId && customer.addresses.id(preferredId);
+    const fallback = customer.addresses.find(address => address.isDefault) || customer.addresses[0];
+    const defaultAddress = preferred || fallback;
+
+    customer.addresses.forEach(address => {
+        address.isDefault = address._id.equals(defaultAddress._id);
+    });
+};
+
+/**
+ * Get the customer profile
+ * @route GET /api/v1/customer/me
+ * @access Customer
+ */
+exports.getProfile = async (req, res, next) => {
+    try {
+        const customer = await loadCustomer(req);
+
+        res.status(200).json({
+            success: true,
+            data: customer
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Update profile details. Phone and email are login identifiers and
+ * change through the OTP flows below.
+ * @route PUT /api/v1/customer/me
+ * @access Customer
+ */
+exports.updateProfile = async (req, res, next) => {
+    try {
+        const { name } = req.body;
+        const customer = await loadCustomer(req);
+
+        if (name) customer.name = name;
+
+        await customer.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Profile updated successfully',
+            data: customer
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Upload a new profile picture to R2
+ * @route POST /api/v1/customer/me/avatar
+ * @access Customer
+ */
+exports.uploadAvatar = async (req, res, next) => {
+    try {
+        const customer = await loadCustomer(req, `${PROFILE_FIELDS} avatarKey`);
+        const previousKey = customer.avatarKey;
+
+        const { publicUrl, fileName } = await r2Service.uploadToR2(req.file, 'avatars');
+        customer.avatar = publicUrl;
+        customer.avatarKey = fileName;
+        await customer.save();
+
+        await deleteAvatarObject(previousKey);
+
+        res.status(200).json({
+            success: true,
+            message: 'Profile picture updated',
+            data: { avatar: customer.avatar }
+        });
+    } catch (error) {
+        logger.logError(error, { context: 'customer uploadAvatar', customerId: req.customer.id });
+        next(error);
+    }
+};
+
+/**
+ * Remove the profile picture
+ * @route DELETE /api/v1/customer/me/avatar
+ * @access Customer
+ */
+exports.removeAvatar = async (req, res, next) => {
+    try {
+        const customer = await FrontendUser.findByIdAndUpdate(
+            req.customer.id,
+            { $set: { avatar: '', avatarKey: '' } }
+        ).select('avatarKey');
+
+        await deleteAvatarObject(customer?.avatarKey);
+
+        res.status(200).json({
+            success: true,
+            message: 'Profile picture removed'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Send an OTP to a new phone number before it replaces the current one
+ * @route POST /api/v1/customer/me/phone
+ * @access Customer
+ */
+exports.requestPhoneChange = async (req, res, next) => {
+    try {
+        const { phone } = req.body;
+
+        if (phone === req.customer.phone) {
+            return next(new AppError('This is already your phone number', 400));
+        }
+
+        const phoneTaken = await FrontendUser.exists({ phone });
+        if (phoneTaken) {
+            return next(new AppError('This phone number is linked to another account', 409));
+        }
+
+        const { otp } = await otpService.issueOtp({ phone }, { purpose: 'phone_change', customerId: req.customer.id, ip: req.ip });
+
+        await smsService.send({
+            to: phone,
+            template: 'otp_phone_change',
+            variables: { otp, minutes: otpService.OTP_EXPIRY_MINUTES }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'OTP sent to the new phone number',
+            debug_otp: process.env.NODE_ENV === 'development' ? otp : undefined
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Verify the OTP and switch to the new phone number
+ * @route PUT /api/v1/customer/me/phone
+ * @access Customer
+ */
+exports.verifyPhoneChange = async (req, res, next) => {
+    try {
+        const { phone, otp } = req.body;
+
+        const result = await otpService.verifyOtp({ phone }, otp, { purpose: 'phone_change', customerId: req.customer.id, ip: req.ip });
+        if (!result.valid) {
+            logger.logAuth(`Phone change OTP verification failed (${result.reason})`, req.customer.id, req.ip, false);
+            return next(new AppError(result.message, 400));
+        }
+
+        // The number may have been claimed since the OTP was sent
+        const phoneTaken = await FrontendUser.exists({ phone, _id: { $ne: req.customer.id } });
+        if (phoneTaken) {
+            return next(new AppError('This phone number is linked to another account', 409));
+        }
+
+        const customer = await loadCustomer(req);
+        const previousPhone = customer.phone;
+        customer.phone = phone;
+        try {
+            await customer.save();
+        } catch (saveError) {
+            // Claimed by another account between the check above and the save
+            if (saveError.code === 11000) {
+                return next(new AppError('This phone number is linked to another account', 409));
+            }
+            throw saveError;
+        }
+
+        logger.logSecurity('Customer phone number changed', {
+            customerId: customer._id,
+            previousPhone,
+            newPhone: phone,
+            ip: req.ip
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Phone number updated',
+            data: customer
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Send an OTP to an email address to link it as a login method
+ * (verifies the current address, or switches to a new one)
+ * @route POST /api/v1/customer/me/email
+ * @access Customer
+ */
+exports.requestEmailLink = async (req, res, next) => {
+    try {
+        const { email } = req.body;
+        const customer = await loadCustomer(req, 'email emailVerified');
+
+        if (email === customer.email && customer.emailVerified) {
+            return next(new AppError('This email is already linked to your account', 400));
+        }
+
+        const emailTaken = await FrontendUser.exists({ email, _id: { $ne: customer._id } });
+        if (emailTaken) {
+            return next(new AppError('This email is linked to another account', 409));
+        }
+
+        const { otp } = await otpService.issueOtp({ email }, { purpose: 'email_link', customerId: req.customer.id, ip: req.ip });
+
+        await mailService.sendMail({
+            to: email,
+            subject: 'Verify your email for BookMySeva',
+            text: `Your BookMySeva verification code is ${otp}.\n\n` +
+                `Enter it in the app to link this email to your account. It expires in ${otpService.OTP_EXPIRY_MINUTES} minutes.`,
+            html: `<p>Your BookMySeva verification code is <strong>${otp}</strong>.</p>` +
+                `<p>Enter it in the app to link this email to your account. It expires in ${otpService.OTP_EXPIRY_MINUTES} minutes.</p>`
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'OTP sent to the email address',
+            debug_otp: process.env.NODE_ENV === 'development' ? otp : undefined
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Verify the OTP and link the email address
+ * @route PUT /api/v1/customer/me/email
+ * @access Customer
+ */
+exports.verifyEmailLink = async (req, res, next) => {
+    try {
+        const { email, otp } = req.body;
+
+        const result = await otpService.verifyOtp({ email }, otp, { purpose: 'email_link', customerId: req.customer.id, ip: req.ip });
+        if (!result.valid) {
+            logger.logAuth(`Email link OTP verification failed (${result.reason})`, req.customer.id, req.ip, false);
+            return next(new AppError(result.message, 400));
+        }
+
+        // The address may have been claimed since the OTP was sent
+        const emailTaken = await FrontendUser.exists({ email, _id: { $ne: req.customer.id } });
+        if (emailTaken) {
+            return next(new AppError('This email is linked to another account', 409));
+        }
+
+        const customer = await loadCustomer(req);
+        const previousEmail = customer.email;
+        customer.email = email;
+        customer.emailVerified = true;
+        await customer.save();
+
+        logger.logSecurity('Customer email linked', {
+            customerId: customer._id,
+            previousEmail,
+            newEmail: email,
+            ip: req.ip
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Email linked to your account',
+            data: customer
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * List saved addresses
+ * @route GET /api/v1/customer/me/addresses
+ * @access Customer
+ */
+exports.getAddresses = async (req, res, next) => {
+    try {
+        const customer = await loadCustomer(req, 'addresses');
+
+        res.status(200).json({
+            success: true,
+            data: customer.addresses
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Add an address
+ * @route POST /api/v1/customer/me/addresses
+ * @access Customer
+ */
+exports.addAddress = async (req, res, next) => {
+    try {
+        const { label, name, phone, line1, line2, landmark, city, state, pincode, isDefault } = req.body;
+        const customer = await loadCustomer(req, 'addresses');
+
+        if (customer.addresses.length >= FrontendUser.MAX_ADDRESSES) {
+            return next(new AppError(`You can save at most ${FrontendUser.MAX_ADDRESSES} addresses`, 400));
+        }
+
+        customer.addresses.push({ label, name, phone, line1, line2, landmark, city, state, pincode });
+        const address = customer.addresses[customer.addresses.length - 1];
+        normalizeDefaultAddress(customer, isDefault ? address._id : null);
+        await customer.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Address added',
+            data: address
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Update an address
+ * @route PUT /api/v1/customer/me/addresses/:addressId
+ * @access Customer
+ */
+exports.updateAddress = async (req, res, next) => {
+    try {
+        const customer = await loadCustomer(req, 'addresses');
+        const address = customer.addresses.id(req.params.addressId);
+
+        if (!address) {
+            return next(new AppError('Address not found', 404));
+        }
+
+        const fields = ['label', 'name', 'phone', 'line1', 'line2', 'landmark', 'city', 'state', 'pincode'];
+        fields.forEach(field => {
+            if (req.body[field] !== undefined) address[field] = req.body[field];
+        });
+
+        if (req.body.isDefault === true) {
+            normalizeDefaultAddress(customer, address._id);
+        } else if (req.body.isDefault === false && address.isDefault) {
+            // Hand the default over to another address
+            address.isDefault = false;
+            const replacement = customer.addresses.find(other => !other._id.equals(address._id));
+            normalizeDefaultAddress(customer, replacement ? replacement._id : address._id);
+        }
+
+        await customer.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Address updated',
+            data: address
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Make an address the default
+ * @route PATCH /api/v1/customer/me/addresses/:addressId/default
+ * @access Customer
+ */
+exports.setDefaultAddress = async (req, res, next) => {
+    try {
+        const customer = await loadCustomer(req, 'addresses');
+        const address = customer.addresses.id(req.params.addressId);
+
+        if (!address) {
+            return next(new AppError('Address not found', 404));
+        }
+
+        normalizeDefaultAddress(customer, address._id);
+        await customer.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Default address updated',
+            data: customer.addresses
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Delete an address
+ * @route DELETE /api/v1/customer/me/addresses/:addressId
+ * @access Customer
+ */
+exports.deleteAddress = async (req, res, next) => {
+    try {
+        const customer = await loadCustomer(req, 'addresses');
+        const address = customer.addresses.id(req.params.addressId);
+
+        if (!address) {
+            return next(new AppError('Address not found', 404));
+        }
+
+        address.deleteOne();
+        normalizeDefaultAddress(customer);
+        await customer.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Address deleted'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
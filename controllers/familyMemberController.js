@@ -0,0 +1,124 @@
+const FrontendUser = require('../models/FrontendUser');
+const AppError = require('../utils/AppError');
+const { NAKSHATRAS, RASHIS } = require('../config/astrology');
+
+const MEMBER_FIELDS = ['name', 'relation', 'gotram', 'nakshatra', 'rashi', 'dateOfBirth'];
+
+/**
+ * Copy submitted fields onto a member ('' clears optional fields)
+ */
+const applyMemberFields = (member, body) => {
+    MEMBER_FIELDS.forEach(field => {
+        if (body[field] === undefined) return;
+        member[field] = body[field] === '' && field !== 'name' ? null : body[field];
+    });
+};
+
+/**
+ * List family members (with the nakshatra/rashi lists for pickers)
+ * @route GET /api/v1/customer/me/family
+ * @access Customer
+ */
+exports.getFamilyMembers = async (req, res, next) => {
+    try {
+        const customer = await FrontendUser.findById(req.customer.id).select('familyMembers');
+        if (!customer) {
+            return next(new AppError('Account not found', 404));
+        }
+
+        res.status(200).json({
+            success: true,
+            data: customer.familyMembers,
+            options: {
+                nakshatras: NAKSHATRAS,
+                rashis: RASHIS
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Add a family member
+ * @route POST /api/v1/customer/me/family
+ * @access Customer
+ */
+exports.addFamilyMember = async (req, res, next) => {
+    try {
+        const customer = await FrontendUser.findById(req.customer.id).select('familyMembers');
+        if (!customer) {
+            return next(new AppError('Account not found', 404));
+        }
+
+        if (customer.familyMembers.length >= FrontendUser.MAX_FAMILY_MEMBERS) {
+            return next(new AppError(`You can save at most ${FrontendUser.MAX_FAMILY_MEMBERS} family members`, 400));
+        }
+
+        customer.familyMembers.push({});
+        const member = customer.familyMembers[customer.familyMembers.length - 1];
+        applyMemberFields(member, req.body);
+        await customer.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Family member added',
+            data: member
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Update a family member
+ * @route PUT /api/v1/customer/me/family/:memberId
+ * @access Customer
+ */
+exports.updateFamilyMember = async (req, res, next) => {
+    try {
+        const customer = await FrontendUser.findById(req.customer.id).select('familyMembers');
+        const member = customer?.familyMembers.id(req.params.memberId);
+
+        if (!member) {
+            return next(new AppError('Family member not found', 404));
+        }
+
+        applyMemberFields(member, req.body);
+        await customer.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Family member updated',
+            data: member
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Delete a family member. Past enquiries/bookings keep their snapshot.
+ * @route DELETE /api/v1/customer/me/family/:memberId
+ * @access Customer
+ */
+exports.deleteFamilyMember = async (req, res, next) => {
+    try {
+        const customer = await FrontendUser.findById(req.customer.id).select('familyMembers');
+        const member = customer?.familyMembers.id(req.params.memberId);
+
+        if (!member) {
+            return next(new AppError('Family member not found', 404));
+        }
+
+        member.deleteOne();
+        await customer.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Family member deleted'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
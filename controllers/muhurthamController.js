@@ -0,0 +1,152 @@
+const MuhurthamRule = require('../models/MuhurthamRule');
+const AppError = require('../utils/AppError');
+const logger = require('../services/logger');
+const muhurthamService = require('../services/muhurthamService');
+const { MUHURTHAM_RULES } = require('../config/muhurthamRules');
+
+// Longest range a single search may cover
+const MAX_RANGE_DAYS = 92;
+const DEFAULT_RANGE_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 'YYYY-MM-DD' of a date
+ */
+const toDateKey = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Ranked dates and time windows for an event
+ * @route GET /api/v1/muhurtham?eventType=&from=&to=&limit=
+ * @access Public
+ */
+exports.findMuhurthams = async (req, res, next) => {
+    try {
+        const { eventType, limit = 10 } = req.query;
+        const from = req.query.from || toDateKey(new Date());
+        const to = req.query.to || toDateKey(new Date(new Date(from).getTime() + DEFAULT_RANGE_DAYS * DAY_MS));
+
+        const rangeDays = (new Date(to) - new Date(from)) / DAY_MS;
+        if (rangeDays < 0) {
+            return next(new AppError('"to" must not be before "from"', 400));
+        }
+        if (rangeDays > MAX_RANGE_DAYS) {
+            return next(new AppError(`Searches can cover at most ${MAX_RANGE_DAYS} days`, 400));
+        }
+
+        const data = await muhurthamService.findMuhurthams({ eventType, from, to, limit: parseInt(limit) });
+
+        res.status(200).json({
+            success: true,
+            data
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Event types the finder supports
+ * @route GET /api/v1/muhurtham/event-types
+ * @access Public
+ */
+exports.getEventTypes = async (req, res, next) => {
+    try {
+        const rules = await muhurthamService.listRules({ activeOnly: true });
+
+        res.status(200).json({
+            success: true,
+            data: rules.map(({ eventType, name, description }) => ({ eventType, name, description }))
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * All rules, including disabled ones
+ * @route GET /api/v1/muhurtham/rules
+ * @access Admin (spiritual:write)
+ */
+exports.getRules = async (req, res, next) => {
+    try {
+        const rules = await muhurthamService.listRules();
+
+        res.status(200).json({
+            success: true,
+            data: rules
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Override a built-in rule or add a new event type
+ * @route PUT /api/v1/muhurtham/rules/:eventType
+ * @access Admin (spiritual:write)
+ */
+exports.updateRule = async (req, res, next) => {
+    try {
+        const { eventType } = req.params;
+        const builtIn = MUHURTHAM_RULES[eventType];
+
+        const update = { updatedBy: req.user.id };
+        for (const field of muhurthamService.RULE_FIELDS) {
+            if (req.body[field] !== undefined) update[field] = req.body[field];
+        }
+
+        const existing = await MuhurthamRule.exists({ eventType });
+        if (!existing && !builtIn && !update.name) {
+            return next(new AppError('A name is required for a new event type', 400));
+        }
+
+        // First override of a built-in rule starts from its definition
+        const defaults = !existing && builtIn ? { ...builtIn } : {};
+        for (const field of Object.keys(update)) delete defaults[field];
+
+        await MuhurthamRule.findOneAndUpdate(
+            { eventType },
+            { $set: update, $setOnInsert: defaults },
+            { new: true, upsert: true, runValidators: true }
+        );
+
+        logger.info('Muhurtham rule updated', { eventType, updatedBy: req.user.id });
+
+        const [rule] = (await muhurthamService.listRules()).filter(item => item.eventType === eventType);
+
+        res.status(200).json({
+            success: true,
+            message: 'Rule updated successfully',
+            data: rule
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Drop a stored rule - built-in event types go back to their default rule,
+ * admin-added event types are removed
+ * @route DELETE /api/v1/muhurtham/rules/:eventType
+ * @access Admin (spiritual:write)
+ */
+exports.resetRule = async (req, res, next) => {
+    try {
+        const { eventType } = req.params;
+
+        const result = await MuhurthamRule.deleteOne({ eventType });
+        if (result.deletedCount === 0) {
+            return next(new AppError('Rule is not customized', 404));
+        }
+
+        logger.info('Muhurtham rule reset', { eventType, updatedBy: req.user.id });
+
+        res.status(200).json({
+            success: true,
+            message: MUHURTHAM_RULES[eventType] ? 'Rule reset to default' : 'Event type removed'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
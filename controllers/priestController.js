@@ -0,0 +1,473 @@
+const Priest = require('../models/Priest');
+const Booking = require('../models/Booking');
+const PriestSlot = require('../models/PriestSlot');
+const AppError = require('../utils/AppError');
+const logger = require('../services/logger');
+const priestAvailabilityService = require('../services/priestAvailabilityService');
+
+// Contact details stay internal - the public site books through the office
+const PUBLIC_FIELDS = 'name photoUrl bio languages specializations serviceAreas experienceYears isAvailable';
+
+// Range shown by the calendar when none is given
+const CALENDAR_DEFAULT_DAYS = 30;
+
+const EDITABLE_FIELDS = [
+    'name', 'phone', 'email', 'photoUrl', 'bio', 'languages', 'specializations',
+    'serviceAreas', 'experienceYears', 'status', 'isAvailable'
+];
+
+/**
+ * Escape user input for use inside a RegExp
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Filters shared by the public and admin listings
+ */
+const buildListQuery = ({ seva, city, language, search }) => {
+    const query = {};
+    if (seva) query.specializations = seva;
+    if (city) query['serviceAreas.city'] = { $regex: `^${escapeRegex(city)}$`, $options: 'i' };
+    if (language) query.languages = { $regex: `^${escapeRegex(language)}$`, $options: 'i' };
+    if (search) {
+        const searchRegex = { $regex: escapeRegex(search), $options: 'i' };
+        query.$or = [{ name: searchRegex }, { phone: searchRegex }];
+    }
+    return query;
+};
+
+/**
+ * Pick the editable fields present in the request body
+ */
+const pickEditable = (body) => Object.fromEntries(
+    EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+/**
+ * List verified priests for the public site
+ * @route GET /api/v1/priests/public?seva=&city=&language=
+ * @access Public
+ */
+exports.getPublicPriests = async (req, res, next) => {
+    try {
+        const { seva, city, language, limit = 20, page = 1 } = req.query;
+
+        const query = {
+            ...buildListQuery({ seva, city, language }),
+            verificationStatus: 'verified',
+            status: 'Active'
+        };
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const [priests, total] = await Promise.all([
+            Priest.find(query)
+                .select(PUBLIC_FIELDS)
+                .populate('specializations', 'name')
+                .sort({ experienceYears: -1, name: 1 })
+                .skip(skip)
+                .limit(parseInt(limit))
+                .lean(),
+            Priest.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: priests,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / parseInt(limit))
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Public profile of a verified priest
+ * @route GET /api/v1/priests/public/:id
+ * @access Public
+ */
+exports.getPublicPriest = async (req, res, next) => {
+    try {
+        const priest = await Priest.findOne({ _id: req.params.id, verificationStatus: 'verified', status: 'Active' })
+            .select(PUBLIC_FIELDS)
+            .populate('specializations', 'name description images')
+            .lean();
+
+        if (!priest) {
+            return next(new AppError('Priest not found', 404));
+        }
+
+        res.status(200).json({
+            success: true,
+            data: priest
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * List priests
+ * @route GET /api/v1/priests
+ * @access Admin (priests:read)
+ */
+exports.getPriests = async (req, res, next) => {
+    try {
+        const { seva, city, language, search, status, verificationStatus, limit = 20, page = 1 } = req.query;
+
+        const query = buildListQuery({ seva, city, language, search });
+        if (status) query.status = status;
+        if (verificationStatus) query.verificationStatus = verificationStatus;
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const [priests, total] = await Promise.all([
+            Priest.find(query)
+                .populate('specializations', 'name')
+                .sort({ joinedDate: -1 })
+                .skip(skip)
+                .limit(parseInt(limit))
+                .lean(),
+            Priest.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: priests,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / parseInt(limit))
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get a priest with their upcoming assignments
+ * @route GET /api/v1/priests/:id
+ * @access Admin (priests:read)
+ */
+exports.getPriest = async (req, res, next) => {
+    try {
+        const priest = await Priest.findById(req.params.id)
+            .populate('specializations', 'name')
+            .populate('verifiedBy', 'name email')
+            .lean();
+
+        if (!priest) {
+            return next(new AppError('Priest not found', 404));
+        }
+
+        const upcomingBookings = await Booking.find({
+            'assignedPriest.priest': priest._id,
+            status: 'priest_assigned',
+            scheduledAt: { $gte: new Date() }
+        })
+            .select('bookingNumber sevaName scheduledAt location.city status')
+            .sort({ scheduledAt: 1 })
+            .limit(20)
+            .lean();
+
+        res.status(200).json({
+            success: true,
+            data: { ...priest, upcomingBookings }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Add a priest
+ * @route POST /api/v1/priests
+ * @access Admin (priests:write)
+ */
+exports.createPriest = async (req, res, next) => {
+    try {
+        const existing = await Priest.exists({ phone: req.body.phone });
+        if (existing) {
+            return next(new AppError('A priest with this phone number already exists', 409));
+        }
+
+        const priest = await Priest.create(pickEditable(req.body));
+
+        logger.info('Priest added', { priestId: priest._id, createdBy: req.user.id });
+
+        res.status(201).json({
+            success: true,
+            message: 'Priest added successfully',
+            data: priest
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Update a priest
+ * @route PUT /api/v1/priests/:id
+ * @access Admin (priests:write)
+ */
+exports.updatePriest = async (req, res, next) => {
+    try {
+        const updates = pickEditable(req.body);
+
+        if (updates.phone) {
+            const phoneTaken = await Priest.exists({ phone: updates.phone, _id: { $ne: req.params.id } });
+            if (phoneTaken) {
+                return next(new AppError('A priest with this phone number already exists', 409));
+            }
+        }
+
+        const priest = await Priest.findByIdAndUpdate(
+            req.params.id,
+            { $set: updates },
+            { new: true, runValidators: true }
+        );
+
+        if (!priest) {
+            return next(new AppError('Priest not found', 404));
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Priest updated',
+            data: priest
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Verify or reject a priest
+ * @route PATCH /api/v1/priests/:id/verification
+ * @access Admin (priests:write)
+ */
+exports.updateVerification = async (req, res, next) => {
+    try {
+        const { verificationStatus, note } = req.body;
+
+        const priest = await Priest.findByIdAndUpdate(
+            req.params.id,
+            {
+                $set: {
+                    verificationStatus,
+                    verificationNote: note,
+                    verifiedAt: new Date(),
+                    verifiedBy: req.user.id
+                }
+            },
+            { new: true, runValidators: true }
+        );
+
+        if (!priest) {
+            return next(new AppError('Priest not found', 404));
+        }
+
+        logger.info('Priest verification updated', { priestId: priest._id, verificationStatus, changedBy: req.user.id });
+
+        res.status(200).json({
+            success: true,
+            message: `Priest ${verificationStatus}`,
+            data: priest
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Delete a priest (not while they have upcoming bookings)
+ * @route DELETE /api/v1/priests/:id
+ * @access Admin (priests:delete)
+ */
+exports.deletePriest = async (req, res, next) => {
+    try {
+        const hasUpcoming = await Booking.exists({
+            'assignedPriest.priest': req.params.id,
+            status: 'priest_assigned',
+            scheduledAt: { $gte: new Date() }
+        });
+        if (hasUpcoming) {
+            return next(new AppError('This priest has upcoming bookings. Reassign them first.', 409));
+        }
+
+        const priest = await Priest.findByIdAndDelete(req.params.id);
+        if (!priest) {
+            return next(new AppError('Priest not found', 404));
+        }
+
+        await PriestSlot.deleteMany({ priest: priest._id });
+
+        res.status(200).json({
+            success: true,
+            message: 'Priest deleted successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Priests free for a seva in a city on a day, with their open start times
+ * @route GET /api/v1/priests/availability?seva=&city=&date=&pincode=&durationMinutes=&excludeRahu=
+ * @access Admin (priests:read)
+ */
+exports.searchAvailability = async (req, res, next) => {
+    try {
+        const { seva, city, pincode, date, durationMinutes, excludeRahu } = req.query;
+
+        const data = await priestAvailabilityService.searchFreeSlots({
+            sevaId: seva,
+            city,
+            pincode,
+            date,
+            durationMinutes: durationMinutes ? parseInt(durationMinutes) : undefined,
+            excludeRahu: excludeRahu === 'true'
+        });
+
+        res.status(200).json({
+            success: true,
+            data
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * A priest's calendar: working hours, blackouts and reserved sevas
+ * @route GET /api/v1/priests/:id/availability?from=&to=
+ * @access Admin (priests:read)
+ */
+exports.getAvailability = async (req, res, next) => {
+    try {
+        const from = req.query.from ? new Date(req.query.from) : new Date();
+        const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + CALENDAR_DEFAULT_DAYS * 24 * 60 * 60 * 1000);
+
+        if (to <= from) {
+            return next(new AppError('"to" must be after "from"', 400));
+        }
+
+        const calendar = await priestAvailabilityService.getCalendar(req.params.id, from, to);
+        if (!calendar) {
+            return next(new AppError('Priest not found', 404));
+        }
+
+        res.status(200).json({
+            success: true,
+            data: { from, to, ...calendar }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Set a priest's weekly working hours and travel buffer
+ * @route PUT /api/v1/priests/:id/availability
+ * @access Admin (priests:write)
+ */
+exports.updateAvailability = async (req, res, next) => {
+    try {
+        const { weeklyAvailability, travelBufferMinutes } = req.body;
+
+        const updates = {};
+        if (weeklyAvailability !== undefined) updates.weeklyAvailability = weeklyAvailability;
+        if (travelBufferMinutes !== undefined) updates.travelBufferMinutes = travelBufferMinutes;
+
+        const priest = await Priest.findByIdAndUpdate(
+            req.params.id,
+            { $set: updates },
+            { new: true, runValidators: true }
+        ).select('name weeklyAvailability travelBufferMinutes');
+
+        if (!priest) {
+            return next(new AppError('Priest not found', 404));
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Availability updated',
+            data: priest
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Block out time for a priest (existing reservations are not touched)
+ * @route POST /api/v1/priests/:id/blackouts
+ * @access Admin (priests:write)
+ */
+exports.addBlackout = async (req, res, next) => {
+    try {
+        const { from, to, reason } = req.body;
+
+        const priest = await Priest.findByIdAndUpdate(
+            req.params.id,
+            { $push: { blackouts: { from, to, reason } } },
+            { new: true, runValidators: true }
+        ).select('name blackouts');
+
+        if (!priest) {
+            return next(new AppError('Priest not found', 404));
+        }
+
+        // Sevas already reserved in the blackout have to be reassigned by hand
+        const clashingBookings = await Booking.find({
+            'assignedPriest.priest': priest._id,
+            status: 'priest_assigned',
+            scheduledAt: { $gte: new Date(from), $lt: new Date(to) }
+        })
+            .select('bookingNumber sevaName scheduledAt')
+            .sort({ scheduledAt: 1 })
+            .lean();
+
+        res.status(201).json({
+            success: true,
+            message: 'Blackout added',
+            data: priest,
+            clashingBookings
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Remove a blackout
+ * @route DELETE /api/v1/priests/:id/blackouts/:blackoutId
+ * @access Admin (priests:write)
+ */
+exports.removeBlackout = async (req, res, next) => {
+    try {
+        const priest = await Priest.findOneAndUpdate(
+            { _id: req.params.id, 'blackouts._id': req.params.blackoutId },
+            { $pull: { blackouts: { _id: req.params.blackoutId } } },
+            { new: true }
+        ).select('name blackouts');
+
+        if (!priest) {
+            return next(new AppError('Blackout not found', 404));
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Blackout removed',
+            data: priest
+        });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,216 @@
+const AccountDeletionRequest = require('../models/AccountDeletionRequest');
+const AppError = require('../utils/AppError');
+const logger = require('../services/logger');
+const customerDataService = require('../services/customerDataService');
+const { createZip } = require('../utils/zipArchive');
+const { config } = require('../config/env');
+
+const EXPORT_README = [
+    'BookMySeva - your data',
+    '',
+    'profile.json       Your account, saved addresses and family members',
+    'enquiries.json     Pooja / seva enquiries linked to your phone number or email',
+    'bookings.json      Seva bookings',
+    'reviews.json       Reviews you submitted',
+    'chats.json         Chat conversations with their messages',
+    'sms.json           Text messages we sent you (codes are never stored)',
+    ''
+].join('\n');
+
+/**
+ * Download everything linked to the customer's account, phone number or email
+ * @route GET /api/v1/customer/me/export?format=json|zip
+ * @access Customer
+ */
+exports.exportData = async (req, res, next) => {
+    try {
+        const data = await customerDataService.collectCustomerData(req.customer.id);
+        if (!data) {
+            return next(new AppError('Account not found', 404));
+        }
+
+        const fileName = `bookmyseva-data-${data.exportedAt.toISOString().slice(0, 10)}`;
+        logger.info('Customer data exported', { customerId: req.customer.id, format: req.query.format || 'json' });
+
+        if (req.query.format === 'zip') {
+            const archive = createZip([
+                { name: 'README.txt', content: EXPORT_README },
+                { name: 'profile.json', content: JSON.stringify(data.profile, null, 2) },
+                { name: 'enquiries.json', content: JSON.stringify(data.enquiries, null, 2) },
+                { name: 'bookings.json', content: JSON.stringify(data.bookings, null, 2) },
+                { name: 'reviews.json', content: JSON.stringify(data.reviews, null, 2) },
+                { name: 'chats.json', content: JSON.stringify(data.chats, null, 2) },
+                { name: 'sms.json', content: JSON.stringify(data.smsMessages, null, 2) }
+            ]);
+
+            res.set({
+                'Content-Type': 'application/zip',
+                'Content-Disposition': `attachment; filename="${fileName}.zip"`
+            });
+            return res.status(200).send(archive);
+        }
+
+        res.set('Content-Disposition', `attachment; filename="${fileName}.json"`);
+        res.status(200).json(data);
+    } catch (error) {
+        logger.logError(error, { context: 'exportData', customerId: req.customer.id });
+        next(error);
+    }
+};
+
+/**
+ * Get the customer's pending deletion request (if any)
+ * @route GET /api/v1/customer/me/deletion-request
+ * @access Customer
+ */
+exports.getDeletionRequest = async (req, res, next) => {
+    try {
+        const request = await AccountDeletionRequest.findOne({ customer: req.customer.id, status: 'pending' })
+            .select('status reason scheduledFor createdAt')
+            .lean();
+
+        res.status(200).json({
+            success: true,
+            data: request
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Ask for the account to be deleted. It is erased after the grace period
+ * unless the request is cancelled.
+ * @route POST /api/v1/customer/me/deletion-request
+ * @access Customer
+ */
+exports.requestDeletion = async (req, res, next) => {
+    try {
+        const existing = await AccountDeletionRequest.exists({ customer: req.customer.id, status: 'pending' });
+        if (existing) {
+            return next(new AppError('Account deletion has already been requested', 409));
+        }
+
+        const request = await AccountDeletionRequest.create({
+            customer: req.customer.id,
+            reason: req.body.reason,
+            requestedIp: req.ip,
+            scheduledFor: new Date(Date.now() + config.privacy.deletionGraceDays * 24 * 60 * 60 * 1000)
+        });
+
+        logger.logSecurity('Customer account deletion requested', {
+            customerId: req.customer.id,
+            requestId: request._id,
+            scheduledFor: request.scheduledFor,
+            ip: req.ip
+        });
+
+        res.status(201).json({
+            success: true,
+            message: `Your account will be deleted on ${request.scheduledFor.toDateString()}. You can cancel until then.`,
+            data: {
+                _id: request._id,
+                status: request.status,
+                reason: request.reason,
+                scheduledFor: request.scheduledFor,
+                createdAt: request.createdAt
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Cancel a pending deletion request
+ * @route DELETE /api/v1/customer/me/deletion-request
+ * @access Customer
+ */
+exports.cancelDeletionRequest = async (req, res, next) => {
+    try {
+        const request = await AccountDeletionRequest.findOneAndUpdate(
+            { customer: req.customer.id, status: 'pending' },
+            { $set: { status: 'cancelled', cancelledAt: new Date() } },
+            { new: true }
+        );
+
+        if (!request) {
+            return next(new AppError('No pending deletion request', 404));
+        }
+
+        logger.logSecurity('Customer account deletion cancelled', {
+            customerId: req.customer.id,
+            requestId: request._id,
+            ip: req.ip
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Account deletion cancelled'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * List account deletion requests
+ * @route GET /api/v1/account-deletions
+ * @access Admin (customers:read)
+ */
+exports.getDeletionRequests = async (req, res, next) => {
+    try {
+        const { status = 'pending', limit = 20, page = 1 } = req.query;
+
+        const query = status === 'all' ? {} : { status };
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const [requests, total] = await Promise.all([
+            AccountDeletionRequest.find(query)
+                .populate('customer', 'name email phone')
+                .sort({ scheduledFor: 1 })
+                .skip(skip)
+                .limit(parseInt(limit))
+                .lean(),
+            AccountDeletionRequest.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: requests,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / parseInt(limit))
+            },
+            graceDays: config.privacy.deletionGraceDays
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get a single account deletion request
+ * @route GET /api/v1/account-deletions/:id
+ * @access Admin (customers:read)
+ */
+exports.getDeletionRequestById = async (req, res, next) => {
+    try {
+        const request = await AccountDeletionRequest.findById(req.params.id)
+            .populate('customer', 'name email phone createdAt')
+            .lean();
+
+        if (!request) {
+            return next(new AppError('Deletion request not found', 404));
+        }
+
+        res.status(200).json({
+            success: true,
+            data: request
+        });
+    } catch (error) {
+        next(error);
+    }
+};
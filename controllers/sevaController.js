@@ -0,0 +1,156 @@
+const Product = require('../models/Product');
+const Temple = require('../models/Temple');
+const AppError = require('../utils/AppError');
+const logger = require('../services/logger');
+const bookingService = require('../services/bookingService');
+
+const { SEVA_CATEGORY } = bookingService;
+
+const LIST_FIELDS = 'name description price salePrice images durationMinutes priestCount modes isFeatured';
+
+const SEVA_FIELDS = ['durationMinutes', 'priestCount', 'modes', 'samagri', 'addOns', 'pricing'];
+
+/**
+ * Escape user input for use inside a RegExp
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Seva as shown to devotees - only active add-ons
+ */
+const toPublicSeva = (seva) => ({
+    ...seva,
+    addOns: (seva.addOns || []).filter(addOn => addOn.isActive)
+});
+
+/**
+ * Browse bookable sevas
+ * @route GET /api/v1/sevas?search=&mode=&page=&limit=
+ * @access Public
+ */
+exports.getSevas = async (req, res, next) => {
+    try {
+        const { search, mode, limit = 20, page = 1 } = req.query;
+
+        const query = { category: SEVA_CATEGORY, inStock: true };
+        if (mode) query.modes = mode;
+        if (search) query.name = { $regex: escapeRegex(search), $options: 'i' };
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const [sevas, total] = await Promise.all([
+            Product.find(query)
+                .select(LIST_FIELDS)
+                .sort({ isFeatured: -1, name: 1 })
+                .skip(skip)
+                .limit(parseInt(limit))
+                .lean(),
+            Product.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: sevas,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / parseInt(limit))
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Seva details: duration, priests, samagri, add-ons and price rules
+ * @route GET /api/v1/sevas/:id
+ * @access Public
+ */
+exports.getSeva = async (req, res, next) => {
+    try {
+        const seva = await Product.findOne({ _id: req.params.id, category: SEVA_CATEGORY, inStock: true })
+            .select('-stockCount')
+            .lean();
+
+        if (!seva) {
+            return next(new AppError('Seva not found', 404));
+        }
+
+        res.status(200).json({
+            success: true,
+            data: toPublicSeva(seva)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Price a seva for a mode, city / temple and set of add-ons
+ * @route POST /api/v1/sevas/:id/quote
+ * @access Public
+ */
+exports.quoteSeva = async (req, res, next) => {
+    try {
+        const { mode, city, templeId, addOnIds } = req.body;
+
+        const seva = await bookingService.findBookableSeva(req.params.id);
+
+        let temple;
+        if (templeId) {
+            temple = await Temple.findOne({ _id: templeId, isActive: true }).select('name address sevas').lean();
+            if (!temple) {
+                return next(new AppError('Temple not found', 400));
+            }
+        }
+
+        const quote = bookingService.quoteSeva(seva, {
+            mode,
+            city: city || temple?.address.city,
+            addOnIds,
+            temple
+        });
+
+        res.status(200).json({
+            success: true,
+            data: quote
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Set a seva's duration, priests, samagri, add-ons and pricing
+ * @route PUT /api/v1/sevas/:id
+ * @access Admin (content:write)
+ */
+exports.updateSeva = async (req, res, next) => {
+    try {
+        const updates = Object.fromEntries(
+            SEVA_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])
+        );
+
+        const seva = await Product.findOneAndUpdate(
+            { _id: req.params.id, category: SEVA_CATEGORY },
+            { $set: updates },
+            { new: true, runValidators: true }
+        );
+
+        if (!seva) {
+            return next(new AppError('Seva not found', 404));
+        }
+
+        logger.info('Seva catalog updated', { sevaId: seva._id, fields: Object.keys(updates), updatedBy: req.user.id });
+
+        res.status(200).json({
+            success: true,
+            message: 'Seva updated successfully',
+            data: seva
+        });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const SmsMessage = require('../models/SmsMessage');
+const SmsTemplate = require('../models/SmsTemplate');
+const AppError = require('../utils/AppError');
+const logger = require('../services/logger');
+const smsService = require('../services/smsService');
+const { SMS_TEMPLATES } = require('../config/smsTemplates');
+const { config } = require('../config/env');
+
+/**
+ * Constant time comparison of the webhook token
+ */
+const isValidWebhookToken = (token) => {
+    if (!config.sms.webhookSecret || typeof token !== 'string') return false;
+    const expected = Buffer.from(config.sms.webhookSecret);
+    const received = Buffer.from(token);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Merge a built-in template with its stored override
+ */
+const toTemplateView = (key, override) => {
+    const definition = SMS_TEMPLATES[key];
+    return {
+        key,
+        description: definition.description,
+        variables: definition.variables,
+        defaultBody: definition.body,
+        body: override?.body || definition.body,
+        providerTemplateIds: override?.providerTemplateIds || {},
+        isActive: override ? override.isActive : true,
+        isCustomized: Boolean(override),
+        updatedBy: override?.updatedBy,
+        updatedAt: override?.updatedAt
+    };
+};
+
+/**
+ * Delivery report webhook - called by the SMS provider
+ * @route POST /api/v1/sms/delivery-reports/:provider?token=
+ * @access Public (webhook secret)
+ */
+exports.receiveDeliveryReport = async (req, res, next) => {
+    try {
+        if (!isValidWebhookToken(req.query.token)) {
+            logger.logSecurity('SMS delivery report rejected - invalid token', {
+                provider: req.params.provider,
+                ip: req.ip
+            });
+            return next(new AppError('Invalid webhook token', 401));
+        }
+
+        if (!smsService.hasProvider(req.params.provider)) {
+            return next(new AppError('Unknown SMS provider', 404));
+        }
+
+        const updated = await smsService.recordDeliveryReports(req.params.provider, req.body);
+
+        res.status(200).json({
+            success: true,
+            updated
+        });
+    } catch (error) {
+        logger.logError(error, { context: 'receiveDeliveryReport', provider: req.params.provider });
+        next(error);
+    }
+};
+
+/**
+ * Query the SMS delivery log
+ * @route GET /api/v1/sms/messages
+ * @access Admin (sms:read)
+ */
+exports.getMessages = async (req, res, next) => {
+    try {
+        const { to, template, status, provider, from, until, limit = 50, page = 1 } = req.query;
+
+        const query = {};
+        if (to) query.to = to;
+        if (template) query.template = template;
+        if (status) query.status = status;
+        if (provider) query.provider = provider;
+        if (from || until) {
+            query.createdAt = {};
+            if (from) query.createdAt.$gte = new Date(from);
+            if (until) query.createdAt.$lte = new Date(until);
+        }
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const [messages, total] = await Promise.all([
+            SmsMessage.find(query)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit))
+                .lean(),
+            SmsMessage.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: messages,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / parseInt(limit))
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * List SMS templates (built-in definitions merged with overrides)
+ * @route GET /api/v1/sms/templates
+ * @access Admin (sms:read)
+ */
+exports.getTemplates = async (req, res, next) => {
+    try {
+        const overrides = await SmsTemplate.find().populate('updatedBy', 'name email').lean();
+        const byKey = new Map(overrides.map(override => [override.key, override]));
+
+        res.status(200).json({
+            success: true,
+            data: Object.keys(SMS_TEMPLATES).map(key => toTemplateView(key, byKey.get(key))),
+            providers: config.sms.providers
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Override a template body and/or its provider template ids
+ * @route PUT /api/v1/sms/templates/:key
+ * @access Admin (sms:write)
+ */
+exports.updateTemplate = async (req, res, next) => {
+    try {
+        const { key } = req.params;
+        const { body, providerTemplateIds, isActive } = req.body;
+
+        const update = { body, updatedBy: req.user.id };
+        if (providerTemplateIds !== undefined) update.providerTemplateIds = providerTemplateIds;
+        if (isActive !== undefined) update.isActive = isActive;
+
+        const template = await SmsTemplate.findOneAndUpdate(
+            { key },
+            { $set: update },
+            { new: true, upsert: true, runValidators: true }
+        ).lean();
+
+        logger.info('SMS template updated', { key, updatedBy: req.user.id });
+
+        res.status(200).json({
+            success: true,
+            message: 'Template updated successfully',
+            data: toTemplateView(key, template)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Drop a template override and go back to the built-in body
+ * @route DELETE /api/v1/sms/templates/:key
+ * @access Admin (sms:write)
+ */
+exports.resetTemplate = async (req, res, next) => {
+    try {
+        const { key } = req.params;
+
+        const result = await SmsTemplate.deleteOne({ key });
+        if (result.deletedCount === 0) {
+            return next(new AppError('Template is not customized', 404));
+        }
+
+        logger.info('SMS template reset to default', { key, updatedBy: req.user.id });
+
+        res.status(200).json({
+            success: true,
+            message: 'Template reset to default',
+            data: toTemplateView(key, null)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
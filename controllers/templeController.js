@@ -0,0 +1,373 @@
+const mongoose = require('mongoose');
+const Temple = require('../models/Temple');
+const Booking = require('../models/Booking');
+const Product = require('../models/Product');
+const AppError = require('../utils/AppError');
+const logger = require('../services/logger');
+const r2Service = require('../services/r2Service');
+const { SEVA_CATEGORY } = require('../services/bookingService');
+
+const LIST_FIELDS = 'name slug deity otherDeities address geo darshanTimings images isActive';
+
+const EDITABLE_FIELDS = [
+    'name', 'deity', 'otherDeities', 'description', 'address', 'contact',
+    'darshanTimings', 'sevas', 'holidays', 'isActive'
+];
+
+// Default / largest radius for "near me" searches
+const DEFAULT_RADIUS_KM = 25;
+const MAX_RADIUS_KM = 200;
+
+/**
+ * Escape user input for use inside a RegExp
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Filters shared by the public and admin listings
+ */
+const buildListQuery = ({ search, city, deity, seva }) => {
+    const query = {};
+    const conditions = [];
+    if (city) query['address.city'] = { $regex: `^${escapeRegex(city)}$`, $options: 'i' };
+    if (seva) query['sevas.seva'] = seva;
+    if (deity) {
+        const deityRegex = { $regex: escapeRegex(deity), $options: 'i' };
+        conditions.push({ $or: [{ deity: deityRegex }, { otherDeities: deityRegex }] });
+    }
+    if (search) {
+        const searchRegex = { $regex: escapeRegex(search), $options: 'i' };
+        conditions.push({ $or: [{ name: searchRegex }, { deity: searchRegex }, { 'address.city': searchRegex }] });
+    }
+    if (conditions.length) query.$and = conditions;
+    return query;
+};
+
+/**
+ * Pick the editable fields present in the request body; { lat, lng } becomes a GeoJSON point
+ */
+const pickEditable = (body) => {
+    const updates = Object.fromEntries(
+        EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+    );
+    if (body.geo !== undefined) {
+        updates.geo = body.geo ? { type: 'Point', coordinates: [body.geo.lng, body.geo.lat] } : undefined;
+    }
+    return updates;
+};
+
+/**
+ * Make sure seva references point at catalog sevas
+ */
+const assertSevasExist = async (sevas = []) => {
+    const ids = [...new Set(sevas.filter(item => item.seva).map(item => item.seva.toString()))];
+    if (!ids.length) return;
+
+    const found = await Product.countDocuments({ _id: { $in: ids }, category: SEVA_CATEGORY });
+    if (found !== ids.length) {
+        throw new AppError('One or more linked sevas do not exist', 400);
+    }
+};
+
+/**
+ * Remove uploaded images from R2 (best effort)
+ */
+const deleteImages = async (images) => {
+    await Promise.all(images.filter(image => image.key).map(image =>
+        r2Service.deleteFromR2(image.key).catch(error => logger.logError(error, { context: 'temple image delete', key: image.key }))
+    ));
+};
+
+/**
+ * Browse temples
+ * @route GET /api/v1/temples/public?search=&city=&deity=&seva=&lat=&lng=&radiusKm=
+ * @access Public
+ */
+exports.getPublicTemples = async (req, res, next) => {
+    try {
+        const { lat, lng, radiusKm = DEFAULT_RADIUS_KM, limit = 20, page = 1 } = req.query;
+
+        const query = { ...buildListQuery(req.query), isActive: true };
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        let findQuery = query;
+        let sort = { name: 1 };
+        if (lat !== undefined && lng !== undefined) {
+            const center = [parseFloat(lng), parseFloat(lat)];
+            const radiusMeters = Math.min(parseFloat(radiusKm), MAX_RADIUS_KM) * 1000;
+
+            // $near sorts by distance but cannot be counted - count with the equivalent $geoWithin
+            findQuery = { ...query, geo: { $near: { $geometry: { type: 'Point', coordinates: center }, $maxDistance: radiusMeters } } };
+            query.geo = { $geoWithin: { $centerSphere: [center, radiusMeters / 6378100] } };
+            sort = null;
+        }
+
+        const finder = Temple.find(findQuery).select(LIST_FIELDS).skip(skip).limit(parseInt(limit)).lean();
+        if (sort) finder.sort(sort);
+
+        const [temples, total] = await Promise.all([
+            finder,
+            Temple.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: temples,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / parseInt(limit))
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Temple page: timings, active sevas and upcoming holidays
+ * @route GET /api/v1/temples/public/:idOrSlug
+ * @access Public
+ */
+exports.getPublicTemple = async (req, res, next) => {
+    try {
+        const { idOrSlug } = req.params;
+        const query = mongoose.Types.ObjectId.isValid(idOrSlug) ? { _id: idOrSlug } : { slug: idOrSlug };
+
+        const temple = await Temple.findOne({ ...query, isActive: true })
+            .populate('sevas.seva', 'name images')
+            .lean();
+
+        if (!temple) {
+            return next(new AppError('Temple not found', 404));
+        }
+
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                ...temple,
+                sevas: temple.sevas.filter(seva => seva.isActive),
+                holidays: temple.holidays.filter(holiday => holiday.date >= today).sort((a, b) => a.date - b.date)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * List temples, including inactive ones
+ * @route GET /api/v1/temples
+ * @access Admin (temples:read)
+ */
+exports.getTemples = async (req, res, next) => {
+    try {
+        const { isActive, limit = 20, page = 1 } = req.query;
+
+        const query = buildListQuery(req.query);
+        if (isActive !== undefined) query.isActive = isActive === 'true';
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const [temples, total] = await Promise.all([
+            Temple.find(query)
+                .select(`${LIST_FIELDS} createdAt updatedAt`)
+                .sort({ name: 1 })
+                .skip(skip)
+                .limit(parseInt(limit))
+                .lean(),
+            Temple.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: temples,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / parseInt(limit))
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get a temple
+ * @route GET /api/v1/temples/:id
+ * @access Admin (temples:read)
+ */
+exports.getTemple = async (req, res, next) => {
+    try {
+        const temple = await Temple.findById(req.params.id)
+            .populate('sevas.seva', 'name price salePrice')
+            .lean();
+
+        if (!temple) {
+            return next(new AppError('Temple not found', 404));
+        }
+
+        res.status(200).json({
+            success: true,
+            data: temple
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Add a temple
+ * @route POST /api/v1/temples
+ * @access Admin (temples:write)
+ */
+exports.createTemple = async (req, res, next) => {
+    try {
+        const data = pickEditable(req.body);
+        await assertSevasExist(data.sevas);
+
+        const temple = await Temple.create(data);
+
+        logger.info('Temple added', { templeId: temple._id, createdBy: req.user.id });
+
+        res.status(201).json({
+            success: true,
+            message: 'Temple added',
+            data: temple
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Update a temple
+ * @route PUT /api/v1/temples/:id
+ * @access Admin (temples:write)
+ */
+exports.updateTemple = async (req, res, next) => {
+    try {
+        const updates = pickEditable(req.body);
+        await assertSevasExist(updates.sevas);
+
+        const update = { $set: updates };
+        if ('geo' in updates && !updates.geo) {
+            delete updates.geo;
+            update.$unset = { geo: 1 };
+        }
+
+        const temple = await Temple.findByIdAndUpdate(
+            req.params.id,
+            update,
+            { new: true, runValidators: true }
+        );
+
+        if (!temple) {
+            return next(new AppError('Temple not found', 404));
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Temple updated',
+            data: temple
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Delete a temple and its images
+ * @route DELETE /api/v1/temples/:id
+ * @access Admin (temples:delete)
+ */
+exports.deleteTemple = async (req, res, next) => {
+    try {
+        const hasUpcoming = await Booking.exists({
+            temple: req.params.id,
+            status: { $in: ['requested', 'confirmed', 'priest_assigned'] },
+            scheduledAt: { $gte: new Date() }
+        });
+        if (hasUpcoming) {
+            return next(new AppError('This temple has upcoming bookings. Deactivate it instead.', 409));
+        }
+
+        const temple = await Temple.findByIdAndDelete(req.params.id);
+        if (!temple) {
+            return next(new AppError('Temple not found', 404));
+        }
+
+        await deleteImages(temple.images);
+
+        res.status(200).json({
+            success: true,
+            message: 'Temple deleted successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Upload a temple photo to R2
+ * @route POST /api/v1/temples/:id/images
+ * @access Admin (temples:write)
+ */
+exports.addImage = async (req, res, next) => {
+    try {
+        const temple = await Temple.findById(req.params.id).select('_id');
+        if (!temple) {
+            return next(new AppError('Temple not found', 404));
+        }
+
+        const { publicUrl, fileName } = await r2Service.uploadToR2(req.file, 'temples');
+
+        const updated = await Temple.findByIdAndUpdate(
+            temple._id,
+            { $push: { images: { url: publicUrl, key: fileName, caption: req.body.caption } } },
+            { new: true, runValidators: true }
+        ).select('name images');
+
+        res.status(201).json({
+            success: true,
+            message: 'Image added',
+            data: updated
+        });
+    } catch (error) {
+        logger.logError(error, { context: 'temple addImage', templeId: req.params.id });
+        next(error);
+    }
+};
+
+/**
+ * Remove a temple photo (and its R2 object)
+ * @route DELETE /api/v1/temples/:id/images/:imageId
+ * @access Admin (temples:write)
+ */
+exports.removeImage = async (req, res, next) => {
+    try {
+        const temple = await Temple.findOneAndUpdate(
+            { _id: req.params.id, 'images._id': req.params.imageId },
+            { $pull: { images: { _id: req.params.imageId } } }
+        ).select('images');
+
+        if (!temple) {
+            return next(new AppError('Image not found', 404));
+        }
+
+        await deleteImages(temple.images.filter(image => image._id.toString() === req.params.imageId));
+
+        res.status(200).json({
+            success: true,
+            message: 'Image removed'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -1,7 +1,9 @@
 const bcrypt = require('bcryptjs');
 const User = require('../models/User');
+const AdminSession = require('../models/AdminSession');
 const AppError = require('../utils/AppError');
 const logger = require('../services/logger');
+const tokenService = require('../services/tokenService');
 
 /**
  * Get User Profile
@@ -113,6 +115,9 @@ exports.changePassword = async (req, res, next) => {
         user.passwordChangedAt = Date.now();
         await user.save();
 
+        // Existing sessions must log in again with the new password
+        await tokenService.revokeAllForUser(user._id, 'password_changed');
+
         logger.logAuth('Password changed successfully', user._id, req.ip, true);
 
         res.status(200).json({ 
@@ -159,3 +164,87 @@ exports.getLoginHistory = async (req, res, next) => {
         next(error);
     }
 };
+
+/**
+ * List active sessions (devices holding a live refresh token)
+ * @route GET /api/user/sessions
+ * @access Private
+ */
+exports.getSessions = async (req, res, next) => {
+    try {
+        const sessions = await AdminSession.find({
+            user: req.user.id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        })
+            .select('sessionId ip browser os device lastActiveAt expiresAt createdAt')
+            .sort({ lastActiveAt: -1 })
+            .lean();
+
+        res.status(200).json({
+            success: true,
+            data: sessions.map(({ sessionId, ...session }) => ({
+                ...session,
+                current: sessionId === req.user.sessionId
+            }))
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Sign out a single session
+ * @route DELETE /api/user/sessions/:id
+ * @access Private
+ */
+exports.revokeSession = async (req, res, next) => {
+    try {
+        const session = await AdminSession.findOne({
+            _id: req.params.id,
+            user: req.user.id,
+            revokedAt: null
+        }).select('sessionId');
+
+        if (!session) {
+            return next(new AppError('Session not found', 404));
+        }
+
+        const isCurrent = session.sessionId === req.user.sessionId;
+        await tokenService.revokeFamily(session.sessionId, isCurrent ? 'logout' : 'signed_out_remotely');
+
+        logger.logAuth(isCurrent ? 'Logout' : 'Session signed out remotely', req.user.id, req.ip, true);
+
+        res.status(200).json({
+            success: true,
+            message: 'Session signed out',
+            current: isCurrent
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Sign out every session except the one making the request
+ * @route POST /api/user/sessions/sign-out-others
+ * @access Private
+ */
+exports.revokeOtherSessions = async (req, res, next) => {
+    try {
+        if (!req.user.sessionId) {
+            return next(new AppError('Current session is not tracked. Please log in again.', 400));
+        }
+
+        await tokenService.revokeAllForUser(req.user.id, 'signed_out_remotely', req.user.sessionId);
+
+        logger.logAuth('Signed out all other sessions', req.user.id, req.ip, true);
+
+        res.status(200).json({
+            success: true,
+            message: 'All other sessions have been signed out'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -17,6 +17,7 @@ const connectDB = require('./config/db');
 const app = require('./app');
 const { initSocket } = require('./services/socketService');
 const logger = require('./services/logger');
+const customerDataService = require('./services/customerDataService');
 
 // Connect to Database
 connectDB();
@@ -34,6 +35,13 @@ server.listen(PORT, () => {
     logger.info(`📡 Health check: http://localhost:${PORT}/health`);
 });
 
+// Erase customer accounts whose deletion grace period has ended (hourly)
+const DELETION_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+setInterval(() => {
+    customerDataService.processDueDeletions()
+        .catch(error => logger.logError(error, { context: 'processDueDeletions' }));
+}, DELETION_SWEEP_INTERVAL_MS).unref();
+
 // Graceful Shutdown
 const gracefulShutdown = async (signal) => {
     logger.info(`${signal} received. Shutting down gracefully...`);
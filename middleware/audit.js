@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const auditService = require('../services/auditService');
+const logger = require('../services/logger');
+
+const METHOD_ACTIONS = {
+    POST: 'create',
+    PUT: 'update',
+    PATCH: 'update',
+    DELETE: 'delete'
+};
+
+/**
+ * Find the id of the document a handler created/updated in its JSON response.
+ * Handlers respond with the document itself or wrap it ({ data }, { enquiry }, ...).
+ */
+const extractId = (body) => {
+    if (!body || typeof body !== 'object') return null;
+    if (body._id) return body._id;
+
+    for (const value of Object.values(body)) {
+        if (value && typeof value === 'object' && !Array.isArray(value) && value._id) {
+            return value._id;
+        }
+    }
+    return null;
+};
+
+/**
+ * Record admin mutations in the audit trail with a before/after diff
+ * Must be used after verifyToken or verifyApiKey (needs req.user or req.apiKey)
+ *
+ * Usage:
+ *   audit('Blog')                                  // target from req.params.id
+ *   audit('Panchangam', { find: req => ({ date }) }) // target from a custom filter
+ *   audit('R2Object', { targetId: req => key, details: req => ({ keys }) }) // no model to diff
+ *
+ * @param {string} targetModel Mongoose model name (or a label when there is no model)
+ * @param {Object} [options]
+ * @param {string} [options.idParam='id'] Route param holding the target id
+ * @param {Function} [options.find] req => filter used to load the target before and after
+ * @param {Function} [options.targetId] req => id to record when there is no model
+ * @param {Function} [options.details] req => extra context to store
+ * @param {string} [options.action] Override the action derived from the HTTP method
+ */
+const audit = (targetModel, options = {}) => {
+    const { idParam = 'id', find, targetId, details } = options;
+
+    return async (req, res, next) => {
+        const action = options.action || METHOD_ACTIONS[req.method];
+        if (!action) return next();
+
+        const Model = mongoose.modelNames().includes(targetModel) ? mongoose.model(targetModel) : null;
+
+        let filter = null;
+        let before = null;
+        try {
+            if (Model) {
+                if (find) filter = await find(req);
+                else if (req.params[idParam] && mongoose.Types.ObjectId.isValid(req.params[idParam])) {
+                    filter = { _id: req.params[idParam] };
+                }
+                if (filter) before = await Model.findOne(filter).lean();
+            }
+        } catch (error) {
+            logger.logError(error, { context: 'audit middleware (before)', targetModel });
+        }
+
+        // Capture the JSON response so created documents can be identified
+        let responseBody;
+        const originalJson = res.json.bind(res);
+        res.json = (body) => {
+            responseBody = body;
+            return originalJson(body);
+        };
+
+        res.on('finish', async () => {
+            if (res.statusCode >= 400) return;
+
+            try {
+                let after = null;
+                let id = targetId ? targetId(req) : before?._id;
+
+                if (Model) {
+                    if (!filter) {
+                        const createdId = extractId(responseBody);
+                        if (createdId) filter = { _id: createdId };
+                    }
+                    if (filter && action !== 'delete') {
+                        after = await Model.findOne(filter).lean();
+                    }
+                    id = id || after?._id;
+                }
+
+                await auditService.record({
+                    actor: req.user?.id,
+                    actorRole: req.user?.role,
+                    apiKey: req.apiKey?.id,
+                    action: action === 'create' && before ? 'update' : action,
+                    method: req.method,
+                    route: req.originalUrl,
+                    statusCode: res.statusCode,
+                    targetModel,
+                    targetId: id ? id.toString() : undefined,
+                    diff: Model ? auditService.computeDiff(before, after) : [],
+                    details: details ? details(req) : undefined,
+                    ip: req.ip,
+                    userAgent: req.headers['user-agent']
+                });
+            } catch (error) {
+                logger.logError(error, { context: 'audit middleware (after)', targetModel });
+            }
+        });
+
+        next();
+    };
+};
+
+module.exports = {
+    audit
+};
@@ -1,7 +1,13 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const FrontendUser = require('../models/FrontendUser');
 const AppError = require('../utils/AppError');
 const logger = require('../services/logger');
+const tokenService = require('../services/tokenService');
+const permissionService = require('../services/permissionService');
+const apiKeyService = require('../services/apiKeyService');
+const customerTokenService = require('../services/customerTokenService');
+const { apiKeyLimiter } = require('./rateLimiter');
 
 /**
  * Middleware to verify JWT token
@@ -46,7 +52,7 @@ const verifyToken = async (req, res, next) => {
         }
 
         // 3) Check if user still exists
-        const user = await User.findById(decoded.id).select('role isActive passwordChangedAt');
+        const user = await User.findById(decoded.id).select('role isActive passwordChangedAt tokensValidAfter');
         if (!user) {
             return next(new AppError('User belonging to this token no longer exists.', 401));
         }
@@ -61,10 +67,21 @@ const verifyToken = async (req, res, next) => {
             return next(new AppError('User recently changed password. Please log in again.', 401));
         }
 
-        // 6) Attach user to request
+        // 6) Check if sessions were force-revoked after token was issued
+        if (user.tokensRevokedAfter(decoded.iat)) {
+            return next(new AppError('Your session has been revoked. Please log in again.', 401));
+        }
+
+        // 7) Check the session was not signed out remotely
+        if (await tokenService.isSessionRevoked(decoded.sid)) {
+            return next(new AppError('Your session has been signed out. Please log in again.', 401));
+        }
+
+        // 8) Attach user to request (role from DB so role changes apply immediately)
         req.user = {
             id: decoded.id,
-            role: decoded.role
+            role: user.role,
+            sessionId: decoded.sid
         };
         
         next();
@@ -154,6 +171,116 @@ const restrictTo = (...roles) => {
     };
 };
 
+/**
+ * Require named permissions (all of them) granted through the user's role
+ * Must be used after verifyToken
+ * Usage: requirePermission('storage:delete')
+ */
+const requirePermission = (...permissions) => {
+    return async (req, res, next) => {
+        try {
+            // API keys are authorized by scope in verifyApiKey, not by role
+            if (req.apiKey && !req.user) {
+                return next();
+            }
+
+            if (!req.user) {
+                return next(new AppError('Access denied. User not authenticated.', 401));
+            }
+
+            const allowed = await permissionService.hasPermissions(req.user.role, permissions);
+            if (!allowed) {
+                logger.logSecurity('Permission denied', {
+                    userId: req.user.id,
+                    role: req.user.role,
+                    requiredPermissions: permissions,
+                    path: req.originalUrl,
+                    ip: req.ip
+                });
+                return next(new AppError('You do not have permission to perform this action.', 403));
+            }
+
+            next();
+        } catch (error) {
+            logger.logError(error, { context: 'requirePermission middleware' });
+            return next(new AppError('Authorization failed.', 500));
+        }
+    };
+};
+
+/**
+ * Authenticate a server-to-server request with an API key (X-API-Key header)
+ * Attaches req.apiKey and applies the key's own rate limit
+ * Usage: verifyApiKey('enquiries:read')
+ */
+const verifyApiKey = (...scopes) => {
+    return async (req, res, next) => {
+        try {
+            const rawKey = req.headers['x-api-key'];
+            if (!rawKey) {
+                return next(new AppError('Access denied. No API key provided.', 401));
+            }
+
+            const key = await apiKeyService.findActiveKey(rawKey);
+            if (!key) {
+                logger.logSecurity('Invalid API key attempt', {
+                    ip: req.ip,
+                    path: req.originalUrl,
+                    userAgent: req.headers['user-agent']
+                });
+                return next(new AppError('Invalid or revoked API key.', 401));
+            }
+
+            if (!apiKeyService.isIpAllowed(req.ip, key.ipAllowlist)) {
+                logger.logSecurity('API key used from disallowed IP', {
+                    apiKeyId: key._id,
+                    ip: req.ip,
+                    path: req.originalUrl
+                });
+                return next(new AppError('This API key is not allowed from your IP address.', 403));
+            }
+
+            if (!scopes.every(scope => key.scopes.includes(scope))) {
+                logger.logSecurity('API key missing scope', {
+                    apiKeyId: key._id,
+                    requiredScopes: scopes,
+                    path: req.originalUrl,
+                    ip: req.ip
+                });
+                return next(new AppError('This API key does not have access to this resource.', 403));
+            }
+
+            req.apiKey = {
+                id: key._id.toString(),
+                name: key.name,
+                scopes: key.scopes,
+                rateLimitPerMinute: key.rateLimitPerMinute
+            };
+            apiKeyService.recordUsage(key._id, req.ip);
+
+            apiKeyLimiter(req, res, next);
+        } catch (error) {
+            logger.logError(error, { context: 'verifyApiKey middleware' });
+            return next(new AppError('Authentication failed.', 401));
+        }
+    };
+};
+
+/**
+ * Accept either an admin access token or an API key with the given scopes
+ * Follow with requirePermission() for token requests
+ * Usage: verifyTokenOrApiKey('enquiries:read')
+ */
+const verifyTokenOrApiKey = (...scopes) => {
+    const apiKeyAuth = verifyApiKey(...scopes);
+    return (req, res, next) => {
+        if (req.headers['x-api-key']) {
+            return apiKeyAuth(req, res, next);
+        }
+        return verifyToken(req, res, next);
+    };
+};
+
 /**
  * Optional authentication - attaches user if token present, but doesn't fail if not
  */
@@ -188,10 +315,154 @@ const optionalAuth = async (req, res, next) => {
     }
 };
 
+/**
+ * Middleware to verify a customer (FrontendUser) JWT
+ * Attaches req.customer
+ */
+const verifyCustomer = async (req, res, next) => {
+    try {
+        let token;
+        if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+            token = req.headers.authorization.split(' ')[1];
+        }
+
+        if (!token) {
+            return next(new AppError('Please log in to continue.', 401));
+        }
+
+        let decoded;
+        try {
+            decoded = customerTokenService.verifyAccessToken(token);
+        } catch (jwtError) {
+            if (jwtError.name === 'TokenExpiredError') {
+                return next(new AppError('Your session has expired. Please log in again.', 401));
+            }
+            if (jwtError.name === 'JsonWebTokenError') {
+                logger.logSecurity('Invalid customer JWT attempt', {
+                    ip: req.ip,
+                    userAgent: req.headers['user-agent']
+                });
+                return next(new AppError('Invalid token. Please log in again.', 401));
+            }
+            throw jwtError;
+        }
+
+        const customer = await FrontendUser.findById(decoded.id).select('name email phone status');
+        if (!customer) {
+            return next(new AppError('Account belonging to this token no longer exists.', 401));
+        }
+
+        if (customer.status !== 'Active') {
+            return next(new AppError('Your account is not active. Please contact support.', 403));
+        }
+
+        req.customer = {
+            id: customer._id.toString(),
+            name: customer.name,
+            email: customer.email,
+            phone: customer.phone
+        };
+
+        next();
+    } catch (error) {
+        logger.logError(error, { context: 'verifyCustomer middleware' });
+        return next(new AppError('Authentication failed.', 401));
+    }
+};
+
+/**
+ * Optional customer authentication - attaches req.customer if a valid
+ * customer token is present, but never fails the request
+ */
+const optionalCustomer = async (req, res, next) => {
+    try {
+        let token;
+        if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+            token = req.headers.authorization.split(' ')[1];
+        }
+
+        if (!token) {
+            return next();
+        }
+
+        const decoded = customerTokenService.verifyAccessToken(token);
+        const customer = await FrontendUser.findById(decoded.id).select('name email phone status');
+        if (customer && customer.status === 'Active') {
+            req.customer = {
+                id: customer._id.toString(),
+                name: customer.name,
+                email: customer.email,
+                phone: customer.phone
+            };
+        }
+
+        next();
+    } catch (error) {
+        // Silent fail for optional auth
+        next();
+    }
+};
+
+/**
+ * Verify the pending two-factor token sent in the body after the password step
+ * Usage: verifyTwoFactorPending('2fa_verify')
+ */
+const verifyTwoFactorPending = (...purposes) => {
+    return (req, res, next) => {
+        const token = req.body?.twoFactorToken;
+        if (!token) {
+            return next(new AppError('Two-factor token is required.', 401));
+        }
+
+        let decoded;
+        try {
+            decoded = tokenService.verifyTwoFactorToken(token);
+        } catch (jwtError) {
+            return next(new AppError('Two-factor session expired. Please log in again.', 401));
+        }
+
+        if (!purposes.includes(decoded.purpose)) {
+            logger.logSecurity('Two-factor token used for wrong purpose', {
+                userId: decoded.id,
+                purpose: decoded.purpose,
+                path: req.originalUrl,
+                ip: req.ip
+            });
+            return next(new AppError('Invalid two-factor token.', 401));
+        }
+
+        req.user = {
+            id: decoded.id,
+            role: decoded.role
+        };
+        req.twoFactorPurpose = decoded.purpose;
+
+        next();
+    };
+};
+
+/**
+ * Accept either a normal access token or a pending '2fa_setup' token
+ * (used when 2FA enrollment is enforced before the first full login)
+ */
+const verifyTokenOrTwoFactorSetup = (req, res, next) => {
+    if (req.body?.twoFactorToken) {
+        return verifyTwoFactorPending('2fa_setup')(req, res, next);
+    }
+    return verifyToken(req, res, next);
+};
+
 module.exports = {
     verifyToken,
     verifyAdmin,
     verifySuperAdmin,
     restrictTo,
-    optionalAuth
+    requirePermission,
+    optionalAuth,
+    verifyCustomer,
+    optionalCustomer,
+    verifyApiKey,
+    verifyTokenOrApiKey,
+    verifyTwoFactorPending,
+    verifyTokenOrTwoFactorSetup
 };
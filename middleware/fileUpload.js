@@ -45,6 +45,7 @@ const ALLOWED_FILE_TYPES = [
  */
 const FILE_SIZE_LIMITS = {
     image: 5 * 1024 * 1024,      // 5MB for images
+    avatar: 2 * 1024 * 1024,     // 2MB for profile pictures
     document: 10 * 1024 * 1024,   // 10MB for documents
     video: 50 * 1024 * 1024,      // 50MB for videos
     audio: 20 * 1024 * 1024,      // 20MB for audio
@@ -103,6 +104,16 @@ const imageFileFilter = (req, file, cb) => {
     cb(null, true);
 };
 
+/**
+ * Avatar file filter - raster images only (SVG can carry scripts)
+ */
+const avatarFileFilter = (req, file, cb) => {
+    if (file.mimetype === 'image/svg+xml') {
+        return cb(new AppError('SVG images cannot be used as a profile picture.', 400), false);
+    }
+    imageFileFilter(req, file, cb);
+};
+
 /**
  * General file filter
  */
@@ -141,6 +152,18 @@ const uploadImages = multer({
     fileFilter: imageFileFilter
 });
 
+/**
+ * Create multer upload middleware for profile pictures
+ */
+const uploadAvatar = multer({
+    storage: storage,
+    limits: {
+        fileSize: FILE_SIZE_LIMITS.avatar,
+        files: 1
+    },
+    fileFilter: avatarFileFilter
+});
+
 /**
  * Create multer upload middleware for general files
  */
@@ -205,6 +228,7 @@ const handleMulterError = (err, req, res, next) => {
 module.exports = {
     uploadImage,
     uploadImages,
+    uploadAvatar,
     uploadFile,
     validateUpload,
     handleMulterError,
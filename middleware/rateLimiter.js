@@ -1,6 +1,7 @@
 const rateLimit = require('express-rate-limit');
 const slowDown = require('express-slow-down');
 const AppError = require('../utils/AppError');
+const logger = require('../services/logger');
 
 /**
  * Create a Redis store for rate limiting (production)
@@ -103,6 +104,46 @@ const chatLimiter = rateLimit({
     store: getStore()
 });
 
+/**
+ * OTP send limiter (SMS / email cost money and can be used to spam a number)
+ * 10 codes per hour per IP - per phone/email limits live in otpService
+ */
+const otpSendLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 10,
+    message: {
+        success: false,
+        message: 'Too many OTP requests from this IP, please try again after an hour'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: (req, res, next, options) => {
+        logger.logSecurity('OTP send rate limit exceeded', { ip: req.ip, path: req.originalUrl });
+        res.status(429).json(options.message);
+    },
+    store: getStore()
+});
+
+/**
+ * OTP verify limiter - slows guessing across many phone numbers from one IP
+ * 30 attempts per 15 minutes per IP
+ */
+const otpVerifyLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 30,
+    message: {
+        success: false,
+        message: 'Too many OTP attempts from this IP, please try again after 15 minutes'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: (req, res, next, options) => {
+        logger.logSecurity('OTP verify rate limit exceeded', { ip: req.ip, path: req.originalUrl });
+        res.status(429).json(options.message);
+    },
+    store: getStore()
+});
+
 /**
  * Admin operations rate limiter
  * 50 requests per minute
@@ -174,14 +215,36 @@ const userBasedLimiter = (maxRequests, windowMinutes) => {
     });
 };
 
+/**
+ * Per API key rate limiter
+ * Limit comes from the key's rateLimitPerMinute; skipped for non API key requests
+ */
+const apiKeyLimiter = rateLimit({
+    windowMs: 60 * 1000, // 1 minute
+    max: (req) => req.apiKey?.rateLimitPerMinute || 60,
+    keyGenerator: (req) => `apikey:${req.apiKey?.id}`,
+    skip: (req) => !req.apiKey,
+    message: {
+        success: false,
+        message: 'API key rate limit exceeded'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    validate: false,
+    store: getStore()
+});
+
 module.exports = {
     apiLimiter,
     authLimiter,
     passwordResetLimiter,
+    otpSendLimiter,
+    otpVerifyLimiter,
     uploadLimiter,
     chatLimiter,
     adminLimiter,
     speedLimiter,
     createLimiter,
-    userBasedLimiter
+    userBasedLimiter,
+    apiKeyLimiter
 };
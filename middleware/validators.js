@@ -1,5 +1,12 @@
 const { body, param, query, validationResult } = require('express-validator');
 const AppError = require('../utils/AppError');
+const { PERMISSIONS, NON_ADMIN_ROLE, API_KEY_SCOPES } = require('../config/permissions');
+const { isValidAllowlistEntry } = require('../services/apiKeyService');
+const { NAKSHATRAS, RASHIS, toCanonical } = require('../config/astrology');
+const { SMS_TEMPLATES } = require('../config/smsTemplates');
+
+// Role names: built-in (superadmin, admin, editor) or custom roles from admin_roles
+const ROLE_NAME_REGEX = /^[a-z][a-z0-9_-]{1,29}$/;
 
 /**
  * Process validation results and return errors
@@ -64,6 +71,74 @@ const authValidation = {
             .withMessage('Password must contain uppercase, lowercase, number and special character'),
         validate
     ],
+    refreshToken: [
+        body('refreshToken')
+            .isLength({ min: 64, max: 128 })
+            .withMessage('Invalid refresh token'),
+        validate
+    ],
+    forgotPassword: [
+        body('email')
+            .trim()
+            .isEmail()
+            .normalizeEmail()
+            .withMessage('Please provide a valid email'),
+        validate
+    ],
+    resetPassword: [
+        body('token')
+            .isLength({ min: 64, max: 64 })
+            .isHexadecimal()
+            .withMessage('Invalid reset token'),
+        body('password')
+            .isLength({ min: 8 })
+            .withMessage('Password must be at least 8 characters')
+            .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
+            .withMessage('Password must contain uppercase, lowercase, number and special character'),
+        validate
+    ],
+    twoFactorCode: [
+        body('code')
+            .trim()
+            .matches(/^\d{6}$/)
+            .withMessage('Authentication code must be 6 digits'),
+        validate
+    ],
+    twoFactorVerify: [
+        body('code')
+            .optional()
+            .trim()
+            .matches(/^\d{6}$/)
+            .withMessage('Authentication code must be 6 digits'),
+        body('recoveryCode')
+            .optional()
+            .trim()
+            .matches(/^[a-fA-F0-9]{5}-?[a-fA-F0-9]{5}$/)
+            .withMessage('Invalid recovery code format'),
+        body()
+            .custom((value) => Boolean(value.code || value.recoveryCode))
+            .withMessage('Authentication code or recovery code is required'),
+        validate
+    ],
+    twoFactorDisable: [
+        body('password')
+            .notEmpty()
+            .withMessage('Password is required'),
+        body('code')
+            .optional()
+            .trim()
+            .matches(/^\d{6}$/)
+            .withMessage('Authentication code must be 6 digits'),
+        body('recoveryCode')
+            .optional()
+            .trim()
+            .matches(/^[a-fA-F0-9]{5}-?[a-fA-F0-9]{5}$/)
+            .withMessage('Invalid recovery code format'),
+        body()
+            .custom((value) => Boolean(value.code || value.recoveryCode))
+            .withMessage('Authentication code or recovery code is required'),
+        validate
+    ],
     changePassword: [
         body('currentPassword')
             .notEmpty()
@@ -102,6 +177,425 @@ const userValidation = {
     ]
 };
 
+/**
+ * Customer Profile Validation Rules
+ */
+const MOBILE_REGEX = /^[6-9]\d{9}$/;
+const PINCODE_REGEX = /^[1-9][0-9]{5}$/;
+const OTP_REGEX = /^\d{6}$/;
+
+const addressRules = (optional) => [
+    body('label')
+        .optional()
+        .trim()
+        .isLength({ max: 30 })
+        .withMessage('Label cannot exceed 30 characters')
+        .escape(),
+    body('name')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Name cannot exceed 100 characters')
+        .escape(),
+    body('phone')
+        .optional({ values: 'falsy' })
+        .trim()
+        .matches(MOBILE_REGEX)
+        .withMessage('Please enter a valid 10-digit Indian mobile number'),
+    body('line1')
+        .optional(optional)
+        .trim()
+        .isLength({ min: 3, max: 200 })
+        .withMessage('Address line 1 must be between 3 and 200 characters')
+        .escape(),
+    body('line2')
+        .optional()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Address line 2 cannot exceed 200 characters')
+        .escape(),
+    body('landmark')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Landmark cannot exceed 100 characters')
+        .escape(),
+    body('city')
+        .optional(optional)
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('City must be between 2 and 100 characters')
+        .escape(),
+    body('state')
+        .optional(optional)
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('State must be between 2 and 100 characters')
+        .escape(),
+    body('pincode')
+        .optional(optional)
+        .trim()
+        .matches(PINCODE_REGEX)
+        .withMessage('Please provide a valid 6-digit pincode'),
+    body('isDefault')
+        .optional()
+        .isBoolean()
+        .withMessage('isDefault must be true or false')
+        .toBoolean()
+];
+
+const familyMemberRules = (optional) => [
+    body('name')
+        .optional(optional)
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Name must be between 2 and 100 characters')
+        .escape(),
+    body('relation')
+        .optional()
+        .trim()
+        .isLength({ max: 30 })
+        .withMessage('Relation cannot exceed 30 characters')
+        .escape(),
+    body('gotram')
+        .optional()
+        .trim()
+        .isLength({ max: 50 })
+        .withMessage('Gotram cannot exceed 50 characters')
+        .escape(),
+    body('nakshatra')
+        .optional({ values: 'falsy' })
+        .customSanitizer(value => toCanonical(NAKSHATRAS, value) || value)
+        .isIn(NAKSHATRAS)
+        .withMessage('Unknown nakshatra'),
+    body('rashi')
+        .optional({ values: 'falsy' })
+        .customSanitizer(value => toCanonical(RASHIS, value) || value)
+        .isIn(RASHIS)
+        .withMessage('Unknown rashi'),
+    body('dateOfBirth')
+        .optional({ values: 'falsy' })
+        .isISO8601()
+        .withMessage('Date of birth must be a valid date')
+        .custom(value => new Date(value) <= new Date())
+        .withMessage('Date of birth cannot be in the future')
+];
+
+/**
+ * Optional list of family member ids on enquiry/booking submissions
+ */
+const memberIdsRules = [
+    body('memberIds')
+        .optional()
+        .isArray({ max: 20 })
+        .withMessage('memberIds must be an array of at most 20 ids'),
+    body('memberIds.*')
+        .isMongoId()
+        .withMessage('Invalid family member ID')
+];
+
+const customerValidation = {
+    updateProfile: [
+        body('name')
+            .optional()
+            .trim()
+            .isLength({ min: 2, max: 50 })
+            .withMessage('Name must be between 2 and 50 characters')
+            .escape(),
+        validate
+    ],
+    requestEmailLink: [
+        body('email')
+            .trim()
+            .isEmail()
+            .withMessage('Please provide a valid email')
+            .toLowerCase(),
+        validate
+    ],
+    verifyEmailLink: [
+        body('email')
+            .trim()
+            .isEmail()
+            .withMessage('Please provide a valid email')
+            .toLowerCase(),
+        body('otp')
+            .trim()
+            .matches(OTP_REGEX)
+            .withMessage('Please enter the OTP sent to your email'),
+        validate
+    ],
+    requestPhoneChange: [
+        body('phone')
+            .trim()
+            .matches(MOBILE_REGEX)
+            .withMessage('Please enter a valid 10-digit Indian mobile number'),
+        validate
+    ],
+    verifyPhoneChange: [
+        body('phone')
+            .trim()
+            .matches(MOBILE_REGEX)
+            .withMessage('Please enter a valid 10-digit Indian mobile number'),
+        body('otp')
+            .trim()
+            .matches(OTP_REGEX)
+            .withMessage('Please enter the OTP sent to your new number'),
+        validate
+    ],
+    createAddress: [
+        ...addressRules(false),
+        validate
+    ],
+    updateAddress: [
+        param('addressId').isMongoId().withMessage('Invalid address ID'),
+        ...addressRules(true),
+        validate
+    ],
+    addressId: [
+        param('addressId').isMongoId().withMessage('Invalid address ID'),
+        validate
+    ],
+    createFamilyMember: [
+        ...familyMemberRules(false),
+        validate
+    ],
+    updateFamilyMember: [
+        param('memberId').isMongoId().withMessage('Invalid family member ID'),
+        ...familyMemberRules(true),
+        validate
+    ],
+    familyMemberId: [
+        param('memberId').isMongoId().withMessage('Invalid family member ID'),
+        validate
+    ],
+    memberIds: [
+        ...memberIdsRules,
+        validate
+    ],
+    exportData: [
+        query('format')
+            .optional()
+            .isIn(['json', 'zip'])
+            .withMessage('Format must be json or zip'),
+        validate
+    ],
+    requestDeletion: [
+        body('reason')
+            .optional()
+            .trim()
+            .isLength({ max: 500 })
+            .withMessage('Reason cannot exceed 500 characters'),
+        validate
+    ]
+};
+
+/**
+ * Customer Email OTP Login Validation Rules
+ */
+const customerAuthValidation = {
+    sendEmailOtp: [
+        body('email')
+            .trim()
+            .isEmail()
+            .withMessage('Please provide a valid email')
+            .toLowerCase(),
+        body('isSignup')
+            .optional()
+            .isBoolean()
+            .withMessage('isSignup must be true or false')
+            .toBoolean(),
+        validate
+    ],
+    verifyEmailOtp: [
+        body('email')
+            .trim()
+            .isEmail()
+            .withMessage('Please provide a valid email')
+            .toLowerCase(),
+        body('otp')
+            .trim()
+            .matches(OTP_REGEX)
+            .withMessage('Please enter the OTP sent to your email'),
+        body('name')
+            .optional()
+            .trim()
+            .isLength({ min: 2, max: 50 })
+            .withMessage('Name must be between 2 and 50 characters')
+            .escape(),
+        body('isSignup')
+            .optional()
+            .isBoolean()
+            .withMessage('isSignup must be true or false')
+            .toBoolean(),
+        validate
+    ],
+    google: [
+        body('idToken')
+            .isString()
+            .withMessage('Google ID token is required')
+            .bail()
+            .isLength({ min: 20, max: 4096 })
+            .withMessage('Invalid Google ID token'),
+        validate
+    ]
+};
+
+/**
+ * Admin User Management Validation Rules
+ */
+const adminUserValidation = {
+    list: [
+        query('page')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Page must be a positive integer'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('Limit must be between 1 and 100'),
+        query('role')
+            .optional()
+            .isString()
+            .not().equals(NON_ADMIN_ROLE)
+            .withMessage('Invalid role'),
+        query('isActive')
+            .optional()
+            .isIn(['true', 'false'])
+            .withMessage('isActive must be true or false'),
+        validate
+    ],
+    invite: [
+        body('name')
+            .trim()
+            .isLength({ min: 2, max: 50 })
+            .withMessage('Name must be between 2 and 50 characters')
+            .escape(),
+        body('email')
+            .trim()
+            .isEmail()
+            .normalizeEmail()
+            .withMessage('Please provide a valid email'),
+        body('role')
+            .optional()
+            .trim()
+            .matches(ROLE_NAME_REGEX)
+            .withMessage('Invalid role')
+            .not().equals(NON_ADMIN_ROLE)
+            .withMessage('Invalid role'),
+        validate
+    ],
+    acceptInvite: [
+        body('token')
+            .isLength({ min: 64, max: 64 })
+            .isHexadecimal()
+            .withMessage('Invalid invitation token'),
+        body('password')
+            .isLength({ min: 8 })
+            .withMessage('Password must be at least 8 characters')
+            .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
+            .withMessage('Password must contain uppercase, lowercase, number and special character'),
+        validate
+    ],
+    updateRole: [
+        param('id').isMongoId().withMessage('Invalid user ID'),
+        body('role')
+            .trim()
+            .matches(ROLE_NAME_REGEX)
+            .withMessage('Invalid role')
+            .not().equals(NON_ADMIN_ROLE)
+            .withMessage('Invalid role'),
+        validate
+    ],
+    updateStatus: [
+        param('id').isMongoId().withMessage('Invalid user ID'),
+        body('isActive')
+            .isBoolean()
+            .withMessage('isActive must be true or false')
+            .toBoolean(),
+        validate
+    ]
+};
+
+/**
+ * Admin Role Validation Rules
+ */
+const roleValidation = {
+    name: [
+        param('name')
+            .trim()
+            .matches(ROLE_NAME_REGEX)
+            .withMessage('Role name may only contain lowercase letters, numbers, hyphens and underscores'),
+        validate
+    ],
+    upsert: [
+        param('name')
+            .trim()
+            .matches(ROLE_NAME_REGEX)
+            .withMessage('Role name may only contain lowercase letters, numbers, hyphens and underscores'),
+        body('description')
+            .optional()
+            .trim()
+            .isLength({ max: 200 })
+            .withMessage('Description cannot exceed 200 characters'),
+        body('permissions')
+            .isArray()
+            .withMessage('Permissions must be an array'),
+        body('permissions.*')
+            .isIn(Object.keys(PERMISSIONS))
+            .withMessage('Unknown permission'),
+        validate
+    ]
+};
+
+/**
+ * API Key Validation Rules
+ */
+const apiKeyRules = (optional) => [
+    body('name')
+        .optional(optional)
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Name must be between 2 and 100 characters')
+        .escape(),
+    body('scopes')
+        .optional(optional)
+        .isArray({ min: 1 })
+        .withMessage('At least one scope is required'),
+    body('scopes.*')
+        .isIn(Object.keys(API_KEY_SCOPES))
+        .withMessage('Unknown scope'),
+    body('ipAllowlist')
+        .optional()
+        .isArray({ max: 50 })
+        .withMessage('IP allowlist must be an array of at most 50 entries'),
+    body('ipAllowlist.*')
+        .custom(isValidAllowlistEntry)
+        .withMessage('IP allowlist entries must be IP addresses or CIDR ranges'),
+    body('rateLimitPerMinute')
+        .optional()
+        .isInt({ min: 1, max: 10000 })
+        .withMessage('Rate limit must be between 1 and 10000 requests per minute')
+        .toInt()
+];
+
+const apiKeyValidation = {
+    create: [
+        ...apiKeyRules(false),
+        body('expiresAt')
+            .optional({ values: 'null' })
+            .isISO8601()
+            .withMessage('Expiry must be a valid date')
+            .custom(value => new Date(value) > new Date())
+            .withMessage('Expiry must be in the future'),
+        validate
+    ],
+    update: [
+        param('id').isMongoId().withMessage('Invalid API key ID'),
+        ...apiKeyRules(true),
+        validate
+    ]
+};
+
 /**
  * Blog Validation Rules
  */
@@ -177,6 +671,102 @@ const categoryValidation = {
     ]
 };
 
+/**
+ * Seva attributes of a 'Puja Service' product: duration, priests, samagri,
+ * add-ons and per mode / city pricing (all optional)
+ */
+const SEVA_MODES = ['in_person', 'online'];
+
+const sevaAttributeRules = [
+    body('durationMinutes')
+        .optional()
+        .isInt({ min: 15, max: 1440 })
+        .withMessage('Duration must be between 15 and 1440 minutes')
+        .toInt(),
+    body('priestCount')
+        .optional()
+        .isInt({ min: 1, max: 50 })
+        .withMessage('Priest count must be between 1 and 50')
+        .toInt(),
+    body('modes')
+        .optional()
+        .isArray({ min: 1 })
+        .withMessage('At least one mode is required'),
+    body('modes.*')
+        .isIn(SEVA_MODES)
+        .withMessage('Mode must be in_person or online'),
+    body('samagri')
+        .optional()
+        .isArray({ max: 100 })
+        .withMessage('Samagri must be a list'),
+    body('samagri.*.name')
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Samagri item name must be between 1 and 100 characters'),
+    body('samagri.*.quantity')
+        .optional()
+        .trim()
+        .isLength({ max: 50 })
+        .withMessage('Quantity cannot exceed 50 characters'),
+    body('samagri.*.providedBy')
+        .optional()
+        .isIn(['included', 'devotee'])
+        .withMessage('Provided by must be included or devotee'),
+    body('addOns')
+        .optional()
+        .isArray({ max: 20 })
+        .withMessage('Add-ons must be a list'),
+    body('addOns.*._id')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid add-on ID'),
+    body('addOns.*.name')
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Add-on name must be between 1 and 100 characters'),
+    body('addOns.*.description')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Add-on description cannot exceed 500 characters'),
+    body('addOns.*.price')
+        .isFloat({ min: 0 })
+        .withMessage('Add-on price must be a positive number')
+        .toFloat(),
+    body('addOns.*.durationMinutes')
+        .optional()
+        .isInt({ min: 0, max: 1440 })
+        .withMessage('Add-on duration must be between 0 and 1440 minutes')
+        .toInt(),
+    body('addOns.*.isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('isActive must be a boolean'),
+    body('pricing')
+        .optional()
+        .isArray({ max: 200 })
+        .withMessage('Pricing must be a list'),
+    body('pricing.*.mode')
+        .isIn(SEVA_MODES)
+        .withMessage('Mode must be in_person or online'),
+    body('pricing.*.city')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('City cannot exceed 100 characters'),
+    body('pricing.*.price')
+        .isFloat({ min: 0 })
+        .withMessage('Price must be a positive number')
+        .toFloat(),
+    body('pricing')
+        .optional()
+        .custom(rules => {
+            const keys = rules.map(rule => `${rule.mode}:${(rule.mode === 'online' ? '' : rule.city || '').toLowerCase()}`);
+            return new Set(keys).size === keys.length;
+        })
+        .withMessage('Each mode and city can only be priced once')
+];
+
 /**
  * Product Validation Rules
  */
@@ -201,38 +791,362 @@ const productValidation = {
             .optional()
             .isInt({ min: 0 })
             .withMessage('Stock count must be a non-negative integer'),
+        ...sevaAttributeRules,
         validate
     ]
 };
 
 /**
- * Chat Validation Rules
+ * Seva Validation Rules
  */
-const chatValidation = {
-    intent: [
-        body('intent')
+const sevaValidation = {
+    list: [
+        query('page')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Page must be a positive integer'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('Limit must be between 1 and 100'),
+        query('mode')
+            .optional()
+            .isIn(SEVA_MODES)
+            .withMessage('Mode must be in_person or online'),
+        query('search')
+            .optional()
             .trim()
-            .isLength({ min: 2, max: 50 })
-            .withMessage('Intent name must be between 2 and 50 characters'),
-        body('keywords')
-            .isArray({ min: 1, max: 20 })
-            .withMessage('Keywords must be an array with 1-20 items'),
-        body('response')
+            .isLength({ max: 100 })
+            .withMessage('Search cannot exceed 100 characters'),
+        validate
+    ],
+    quote: [
+        param('id').isMongoId().withMessage('Invalid seva ID'),
+        body('mode')
+            .optional()
+            .isIn(SEVA_MODES)
+            .withMessage('Mode must be in_person or online'),
+        body('city')
+            .optional()
             .trim()
-            .isLength({ min: 5, max: 1000 })
-            .withMessage('Response must be between 5 and 1000 characters'),
-        body('priority')
+            .isLength({ max: 100 })
+            .withMessage('City cannot exceed 100 characters'),
+        body('templeId')
             .optional()
-            .isInt({ min: 0, max: 100 })
-            .withMessage('Priority must be between 0 and 100'),
+            .isMongoId()
+            .withMessage('Invalid temple ID'),
+        body('addOnIds')
+            .optional()
+            .isArray({ max: 20 })
+            .withMessage('Add-ons must be a list'),
+        body('addOnIds.*')
+            .isMongoId()
+            .withMessage('Invalid add-on ID'),
         validate
     ],
-    quickAction: [
-        body('label')
-            .trim()
-            .isLength({ min: 2, max: 50 })
-            .withMessage('Label must be between 2 and 50 characters'),
-        body('action')
+    update: [
+        param('id').isMongoId().withMessage('Invalid seva ID'),
+        ...sevaAttributeRules,
+        validate
+    ]
+};
+
+/**
+ * Temple Validation Rules
+ */
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const templeRules = (optional) => [
+    body('name')
+        .optional(optional)
+        .trim()
+        .isLength({ min: 2, max: 150 })
+        .withMessage('Name must be between 2 and 150 characters'),
+    body('deity')
+        .optional(optional)
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Deity must be between 2 and 100 characters'),
+    body('otherDeities')
+        .optional()
+        .isArray({ max: 30 })
+        .withMessage('Other deities must be an array'),
+    body('otherDeities.*')
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Each deity must be between 2 and 100 characters'),
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 5000 })
+        .withMessage('Description cannot exceed 5000 characters'),
+    body('address')
+        .optional(optional)
+        .isObject()
+        .withMessage('Address is required'),
+    body(['address.city', 'address.state'])
+        .if(body('address').exists())
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Address city and state are required'),
+    body(['address.line1', 'address.line2'])
+        .optional()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Address lines cannot exceed 200 characters'),
+    body('address.landmark')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Landmark cannot exceed 100 characters'),
+    body('address.pincode')
+        .optional()
+        .trim()
+        .matches(PINCODE_REGEX)
+        .withMessage('Please provide a valid 6-digit pincode'),
+    body('geo.lat')
+        .if(body('geo').notEmpty())
+        .isFloat({ min: -90, max: 90 })
+        .withMessage('Latitude must be between -90 and 90')
+        .toFloat(),
+    body('geo.lng')
+        .if(body('geo').notEmpty())
+        .isFloat({ min: -180, max: 180 })
+        .withMessage('Longitude must be between -180 and 180')
+        .toFloat(),
+    body('contact.phone')
+        .optional({ values: 'falsy' })
+        .trim()
+        .matches(/^[+]?[0-9]{10,15}$/)
+        .withMessage('Please provide a valid phone number'),
+    body('contact.email')
+        .optional({ values: 'falsy' })
+        .trim()
+        .isEmail()
+        .withMessage('Please provide a valid email')
+        .toLowerCase(),
+    body('contact.website')
+        .optional({ values: 'falsy' })
+        .trim()
+        .isURL()
+        .withMessage('Website must be a valid URL'),
+    body('darshanTimings')
+        .optional()
+        .isArray({ max: 20 })
+        .withMessage('Darshan timings must be an array of at most 20 sessions'),
+    body(['darshanTimings.*.open', 'darshanTimings.*.close'])
+        .matches(TIME_REGEX)
+        .withMessage('Darshan times must be in HH:mm format'),
+    body(['darshanTimings.*.days.*', 'sevas.*.timings.*.days.*'])
+        .isInt({ min: 0, max: 6 })
+        .withMessage('Days must be between 0 (Sunday) and 6 (Saturday)')
+        .toInt(),
+    body('sevas')
+        .optional()
+        .isArray({ max: 200 })
+        .withMessage('Sevas must be an array of at most 200 entries'),
+    body('sevas.*.seva')
+        .optional({ values: 'falsy' })
+        .isMongoId()
+        .withMessage('Invalid seva ID'),
+    body('sevas.*.name')
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Each seva needs a name between 2 and 100 characters'),
+    body('sevas.*.price')
+        .isFloat({ min: 0 })
+        .withMessage('Each seva needs a price')
+        .toFloat(),
+    body('sevas.*.durationMinutes')
+        .optional()
+        .isInt({ min: 5, max: 1440 })
+        .withMessage('Seva duration must be between 5 and 1440 minutes')
+        .toInt(),
+    body('sevas.*.timings.*.start')
+        .matches(TIME_REGEX)
+        .withMessage('Seva times must be in HH:mm format'),
+    body('sevas.*.timings.*.end')
+        .optional()
+        .matches(TIME_REGEX)
+        .withMessage('Seva times must be in HH:mm format'),
+    body('holidays')
+        .optional()
+        .isArray({ max: 366 })
+        .withMessage('Holidays must be an array'),
+    body('holidays.*.date')
+        .matches(/^\d{4}-\d{2}-\d{2}$/)
+        .withMessage('Holiday dates must be in YYYY-MM-DD format'),
+    body('holidays.*.name')
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Each holiday needs a name'),
+    body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('isActive must be true or false')
+        .toBoolean()
+];
+
+const templeValidation = {
+    create: [
+        ...templeRules(false),
+        validate
+    ],
+    update: [
+        param('id').isMongoId().withMessage('Invalid temple ID'),
+        ...templeRules(true),
+        validate
+    ],
+    list: [
+        query('page')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Page must be a positive integer'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('Limit must be between 1 and 100'),
+        query('seva')
+            .optional()
+            .isMongoId()
+            .withMessage('Invalid seva ID'),
+        query(['search', 'city', 'deity'])
+            .optional()
+            .trim()
+            .isLength({ max: 100 })
+            .withMessage('Filters cannot exceed 100 characters'),
+        query('lat')
+            .optional()
+            .isFloat({ min: -90, max: 90 })
+            .withMessage('Latitude must be between -90 and 90'),
+        query('lng')
+            .optional()
+            .isFloat({ min: -180, max: 180 })
+            .withMessage('Longitude must be between -180 and 180'),
+        query('radiusKm')
+            .optional()
+            .isFloat({ min: 1, max: 200 })
+            .withMessage('Radius must be between 1 and 200 km'),
+        query('isActive')
+            .optional()
+            .isIn(['true', 'false'])
+            .withMessage('isActive must be true or false'),
+        validate
+    ],
+    image: [
+        param('id').isMongoId().withMessage('Invalid temple ID'),
+        body('caption')
+            .optional()
+            .trim()
+            .isLength({ max: 200 })
+            .withMessage('Caption cannot exceed 200 characters'),
+        validate
+    ],
+    removeImage: [
+        param('id').isMongoId().withMessage('Invalid temple ID'),
+        param('imageId').isMongoId().withMessage('Invalid image ID'),
+        validate
+    ]
+};
+
+/**
+ * Muhurtham Validation Rules
+ */
+const EVENT_TYPE_REGEX = /^[a-z0-9_]{2,50}$/;
+const DATE_KEY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const muhurthamValidation = {
+    search: [
+        query('eventType')
+            .trim()
+            .matches(EVENT_TYPE_REGEX)
+            .withMessage('A valid event type is required'),
+        query(['from', 'to'])
+            .optional()
+            .matches(DATE_KEY_REGEX)
+            .withMessage('Dates must be in YYYY-MM-DD format')
+            .bail()
+            .isISO8601({ strict: true })
+            .withMessage('Please provide valid dates'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 50 })
+            .withMessage('Limit must be between 1 and 50'),
+        validate
+    ],
+    eventType: [
+        param('eventType')
+            .matches(EVENT_TYPE_REGEX)
+            .withMessage('Event type may only contain lowercase letters, digits and underscores'),
+        validate
+    ],
+    updateRule: [
+        param('eventType')
+            .matches(EVENT_TYPE_REGEX)
+            .withMessage('Event type may only contain lowercase letters, digits and underscores'),
+        body('name')
+            .optional()
+            .trim()
+            .isLength({ min: 2, max: 100 })
+            .withMessage('Name must be between 2 and 100 characters'),
+        body('description')
+            .optional()
+            .trim()
+            .isLength({ max: 500 })
+            .withMessage('Description cannot exceed 500 characters'),
+        body(['allowedTithis', 'allowedNakshatras', 'excludedYogas'])
+            .optional()
+            .isArray({ max: 30 })
+            .withMessage('Tithi, nakshatra and yoga lists must be arrays of at most 30 names'),
+        body(['allowedTithis.*', 'allowedNakshatras.*', 'excludedYogas.*'])
+            .trim()
+            .isLength({ min: 2, max: 50 })
+            .withMessage('Names must be between 2 and 50 characters'),
+        body('excludedWeekdays')
+            .optional()
+            .isArray({ max: 7 })
+            .withMessage('Excluded weekdays must be an array'),
+        body('excludedWeekdays.*')
+            .isInt({ min: 0, max: 6 })
+            .withMessage('Weekdays must be between 0 (Sunday) and 6 (Saturday)')
+            .toInt(),
+        body('isActive')
+            .optional()
+            .isBoolean()
+            .withMessage('isActive must be true or false')
+            .toBoolean(),
+        validate
+    ]
+};
+
+/**
+ * Chat Validation Rules
+ */
+const chatValidation = {
+    intent: [
+        body('intent')
+            .trim()
+            .isLength({ min: 2, max: 50 })
+            .withMessage('Intent name must be between 2 and 50 characters'),
+        body('keywords')
+            .isArray({ min: 1, max: 20 })
+            .withMessage('Keywords must be an array with 1-20 items'),
+        body('response')
+            .trim()
+            .isLength({ min: 5, max: 1000 })
+            .withMessage('Response must be between 5 and 1000 characters'),
+        body('priority')
+            .optional()
+            .isInt({ min: 0, max: 100 })
+            .withMessage('Priority must be between 0 and 100'),
+        validate
+    ],
+    quickAction: [
+        body('label')
+            .trim()
+            .isLength({ min: 2, max: 50 })
+            .withMessage('Label must be between 2 and 50 characters'),
+        body('action')
             .trim()
             .notEmpty()
             .withMessage('Action is required'),
@@ -285,6 +1199,221 @@ const riderValidation = {
     ]
 };
 
+const priestRules = (optional) => [
+    body('name')
+        .optional(optional)
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Name must be between 2 and 100 characters'),
+    body('phone')
+        .optional(optional)
+        .trim()
+        .matches(/^[+]?[0-9]{10,15}$/)
+        .withMessage('Please provide a valid phone number'),
+    body('email')
+        .optional({ values: 'falsy' })
+        .trim()
+        .isEmail()
+        .withMessage('Please provide a valid email')
+        .toLowerCase(),
+    body('photoUrl')
+        .optional({ values: 'falsy' })
+        .trim()
+        .isURL()
+        .withMessage('Photo must be a valid URL'),
+    body('bio')
+        .optional()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Bio cannot exceed 1000 characters'),
+    body('languages')
+        .optional()
+        .isArray({ max: 15 })
+        .withMessage('Languages must be an array of at most 15 entries'),
+    body('languages.*')
+        .trim()
+        .isLength({ min: 2, max: 30 })
+        .withMessage('Each language must be between 2 and 30 characters'),
+    body('specializations')
+        .optional()
+        .isArray({ max: 100 })
+        .withMessage('Specializations must be an array of seva IDs'),
+    body('specializations.*')
+        .isMongoId()
+        .withMessage('Invalid seva ID in specializations'),
+    body('serviceAreas')
+        .optional()
+        .isArray({ max: 30 })
+        .withMessage('Service areas must be an array of at most 30 entries'),
+    body('serviceAreas.*.city')
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Each service area needs a city'),
+    body('serviceAreas.*.pincodes')
+        .optional()
+        .isArray({ max: 100 })
+        .withMessage('Service area pincodes must be an array'),
+    body('serviceAreas.*.pincodes.*')
+        .matches(PINCODE_REGEX)
+        .withMessage('Please provide valid 6-digit pincodes'),
+    body('experienceYears')
+        .optional()
+        .isInt({ min: 0, max: 80 })
+        .withMessage('Experience must be between 0 and 80 years')
+        .toInt(),
+    body('status')
+        .optional()
+        .isIn(['Active', 'Inactive', 'Suspended'])
+        .withMessage('Invalid status'),
+    body('isAvailable')
+        .optional()
+        .isBoolean()
+        .withMessage('isAvailable must be true or false')
+        .toBoolean()
+];
+
+const priestValidation = {
+    create: [
+        ...priestRules(false),
+        validate
+    ],
+    update: [
+        param('id').isMongoId().withMessage('Invalid priest ID'),
+        ...priestRules(true),
+        validate
+    ],
+    verification: [
+        param('id').isMongoId().withMessage('Invalid priest ID'),
+        body('verificationStatus')
+            .isIn(['pending', 'verified', 'rejected'])
+            .withMessage('Verification status must be pending, verified or rejected'),
+        body('note')
+            .optional()
+            .trim()
+            .isLength({ max: 500 })
+            .withMessage('Note cannot exceed 500 characters'),
+        validate
+    ],
+    list: [
+        query('page')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Page must be a positive integer'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('Limit must be between 1 and 100'),
+        query('seva')
+            .optional()
+            .isMongoId()
+            .withMessage('Invalid seva ID'),
+        query(['city', 'language', 'search'])
+            .optional()
+            .trim()
+            .isLength({ max: 100 })
+            .withMessage('Filters cannot exceed 100 characters'),
+        query('status')
+            .optional()
+            .isIn(['Active', 'Inactive', 'Suspended'])
+            .withMessage('Invalid status'),
+        query('verificationStatus')
+            .optional()
+            .isIn(['pending', 'verified', 'rejected'])
+            .withMessage('Invalid verification status'),
+        validate
+    ],
+    availabilitySearch: [
+        query('seva')
+            .isMongoId()
+            .withMessage('A valid seva ID is required'),
+        query('city')
+            .trim()
+            .isLength({ min: 2, max: 100 })
+            .withMessage('City is required'),
+        query('pincode')
+            .optional()
+            .matches(PINCODE_REGEX)
+            .withMessage('Please provide a valid 6-digit pincode'),
+        query('date')
+            .matches(/^\d{4}-\d{2}-\d{2}$/)
+            .withMessage('Date must be in YYYY-MM-DD format')
+            .bail()
+            .isISO8601({ strict: true })
+            .withMessage('Please provide a valid date'),
+        query('durationMinutes')
+            .optional()
+            .isInt({ min: 15, max: 1440 })
+            .withMessage('Duration must be between 15 and 1440 minutes'),
+        query('excludeRahu')
+            .optional()
+            .isIn(['true', 'false'])
+            .withMessage('excludeRahu must be true or false'),
+        validate
+    ],
+    calendar: [
+        param('id').isMongoId().withMessage('Invalid priest ID'),
+        query(['from', 'to'])
+            .optional()
+            .isISO8601()
+            .withMessage('Please provide valid dates'),
+        validate
+    ],
+    updateAvailability: [
+        param('id').isMongoId().withMessage('Invalid priest ID'),
+        body('weeklyAvailability')
+            .optional()
+            .isArray({ max: 21 })
+            .withMessage('Weekly availability must be an array of at most 21 windows'),
+        body('weeklyAvailability.*.day')
+            .isInt({ min: 0, max: 6 })
+            .withMessage('Day must be between 0 (Sunday) and 6 (Saturday)')
+            .toInt(),
+        body(['weeklyAvailability.*.start', 'weeklyAvailability.*.end'])
+            .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+            .withMessage('Times must be in HH:mm format'),
+        body('weeklyAvailability.*')
+            .custom(window => !window?.start || !window?.end || window.start < window.end)
+            .withMessage('Each window must end after it starts'),
+        body('travelBufferMinutes')
+            .optional()
+            .isInt({ min: 0, max: 480 })
+            .withMessage('Travel buffer must be between 0 and 480 minutes')
+            .toInt(),
+        validate
+    ],
+    addBlackout: [
+        param('id').isMongoId().withMessage('Invalid priest ID'),
+        body('from')
+            .isISO8601()
+            .withMessage('A valid start is required'),
+        body('to')
+            .isISO8601()
+            .withMessage('A valid end is required')
+            .bail()
+            .custom((to, { req }) => new Date(to) > new Date(req.body.from))
+            .withMessage('The blackout must end after it starts'),
+        body('reason')
+            .optional()
+            .trim()
+            .isLength({ max: 200 })
+            .withMessage('Reason cannot exceed 200 characters'),
+        validate
+    ],
+    removeBlackout: [
+        param('id').isMongoId().withMessage('Invalid priest ID'),
+        param('blackoutId').isMongoId().withMessage('Invalid blackout ID'),
+        validate
+    ],
+    assign: [
+        param('id').isMongoId().withMessage('Invalid ID'),
+        body('priestId')
+            .optional({ values: 'null' })
+            .isMongoId()
+            .withMessage('Invalid priest ID'),
+        validate
+    ]
+};
+
 /**
  * Query Parameter Validation
  */
@@ -311,6 +1440,391 @@ const queryValidation = {
     ]
 };
 
+/**
+ * Audit trail query validation
+ */
+const auditLogValidation = {
+    query: [
+        query('page')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Page must be a positive integer'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('Limit must be between 1 and 100'),
+        query('actor')
+            .optional()
+            .isMongoId()
+            .withMessage('Invalid actor ID'),
+        query('action')
+            .optional()
+            .isIn(['create', 'update', 'delete'])
+            .withMessage('Action must be create, update or delete'),
+        query('targetModel')
+            .optional()
+            .matches(/^[A-Za-z0-9]{1,50}$/)
+            .withMessage('Invalid target model'),
+        query('targetId')
+            .optional()
+            .isLength({ max: 200 })
+            .withMessage('Invalid target ID'),
+        query('from')
+            .optional()
+            .isISO8601()
+            .withMessage('From must be a valid date'),
+        query('to')
+            .optional()
+            .isISO8601()
+            .withMessage('To must be a valid date'),
+        validate
+    ]
+};
+
+const bookingNoteRule = (field) => body(field)
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage(`${field.charAt(0).toUpperCase() + field.slice(1)} cannot exceed 500 characters`)
+    .escape();
+
+const bookingValidation = {
+    create: [
+        body('sevaId')
+            .isMongoId()
+            .withMessage('Invalid seva ID'),
+        body('scheduledAt')
+            .isISO8601()
+            .withMessage('Please provide a valid date and time')
+            .bail()
+            .custom(value => new Date(value) > new Date())
+            .withMessage('Booking date must be in the future'),
+        body('templeId')
+            .optional()
+            .isMongoId()
+            .withMessage('Invalid temple ID'),
+        body('addOnIds')
+            .optional()
+            .isArray({ max: 20 })
+            .withMessage('Add-ons must be a list'),
+        body('addOnIds.*')
+            .isMongoId()
+            .withMessage('Invalid add-on ID'),
+        body('addressId')
+            .optional()
+            .isMongoId()
+            .withMessage('Invalid address ID'),
+        body('location.type')
+            .optional()
+            .isIn(['home', 'temple', 'online'])
+            .withMessage('Location type must be home, temple or online'),
+        body(['location.line1', 'location.line2', 'location.city', 'location.state'])
+            .optional()
+            .trim()
+            .isLength({ max: 200 })
+            .withMessage('Address fields cannot exceed 200 characters')
+            .escape(),
+        body('location.landmark')
+            .optional()
+            .trim()
+            .isLength({ max: 100 })
+            .withMessage('Landmark cannot exceed 100 characters')
+            .escape(),
+        body('location.pincode')
+            .optional()
+            .trim()
+            .matches(PINCODE_REGEX)
+            .withMessage('Please provide a valid 6-digit pincode'),
+        body('location.notes')
+            .optional()
+            .trim()
+            .isLength({ max: 300 })
+            .withMessage('Location notes cannot exceed 300 characters')
+            .escape(),
+        body('contact.name')
+            .optional()
+            .trim()
+            .isLength({ min: 2, max: 100 })
+            .withMessage('Contact name must be between 2 and 100 characters')
+            .escape(),
+        body('contact.phone')
+            .optional()
+            .trim()
+            .matches(MOBILE_REGEX)
+            .withMessage('Please enter a valid 10-digit Indian mobile number'),
+        body('contact.email')
+            .optional()
+            .trim()
+            .isEmail()
+            .withMessage('Please provide a valid email')
+            .toLowerCase(),
+        ...memberIdsRules,
+        body('notes')
+            .optional()
+            .trim()
+            .isLength({ max: 1000 })
+            .withMessage('Notes cannot exceed 1000 characters')
+            .escape(),
+        validate
+    ],
+    list: [
+        query('page')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Page must be a positive integer'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('Limit must be between 1 and 100'),
+        query('status')
+            .optional()
+            .isIn(['requested', 'confirmed', 'priest_assigned', 'completed', 'cancelled'])
+            .withMessage('Invalid booking status'),
+        query(['customer', 'seva', 'temple'])
+            .optional()
+            .isMongoId()
+            .withMessage('Invalid ID'),
+        query(['from', 'to'])
+            .optional()
+            .isISO8601()
+            .withMessage('Dates must be valid ISO 8601 dates'),
+        query('search')
+            .optional()
+            .trim()
+            .isLength({ max: 100 })
+            .withMessage('Search cannot exceed 100 characters'),
+        validate
+    ],
+    cancel: [
+        param('id').isMongoId().withMessage('Invalid booking ID'),
+        bookingNoteRule('reason'),
+        validate
+    ],
+    updateStatus: [
+        param('id').isMongoId().withMessage('Invalid booking ID'),
+        body('status')
+            .isIn(['confirmed', 'completed', 'cancelled'])
+            .withMessage('Status must be confirmed, completed or cancelled'),
+        bookingNoteRule('note'),
+        validate
+    ],
+    assignPriest: [
+        param('id').isMongoId().withMessage('Invalid booking ID'),
+        body('priestId')
+            .isMongoId()
+            .withMessage('Invalid priest ID'),
+        bookingNoteRule('note'),
+        validate
+    ],
+    convertEnquiry: [
+        param('id').isMongoId().withMessage('Invalid enquiry ID'),
+        body('sevaId')
+            .isMongoId()
+            .withMessage('Invalid seva ID'),
+        body('scheduledAt')
+            .isISO8601()
+            .withMessage('Please provide a valid date and time')
+            .bail()
+            .custom(value => new Date(value) > new Date())
+            .withMessage('Booking date must be in the future'),
+        body('templeId')
+            .optional()
+            .isMongoId()
+            .withMessage('Invalid temple ID'),
+        body('addOnIds')
+            .optional()
+            .isArray({ max: 20 })
+            .withMessage('Add-ons must be a list'),
+        body('addOnIds.*')
+            .isMongoId()
+            .withMessage('Invalid add-on ID'),
+        body('location.type')
+            .optional()
+            .isIn(['home', 'temple', 'online'])
+            .withMessage('Location type must be home, temple or online'),
+        body(['location.line1', 'location.line2', 'location.city', 'location.state'])
+            .optional()
+            .trim()
+            .isLength({ max: 200 })
+            .withMessage('Address fields cannot exceed 200 characters')
+            .escape(),
+        body('location.pincode')
+            .optional()
+            .trim()
+            .matches(PINCODE_REGEX)
+            .withMessage('Please provide a valid 6-digit pincode'),
+        body('contact.name')
+            .optional()
+            .trim()
+            .isLength({ min: 2, max: 100 })
+            .withMessage('Contact name must be between 2 and 100 characters')
+            .escape(),
+        body('contact.phone')
+            .optional()
+            .trim()
+            .matches(MOBILE_REGEX)
+            .withMessage('Please enter a valid 10-digit Indian mobile number'),
+        body('contact.email')
+            .optional()
+            .trim()
+            .isEmail()
+            .withMessage('Please provide a valid email')
+            .toLowerCase(),
+        body('amount')
+            .optional()
+            .isFloat({ min: 0 })
+            .withMessage('Amount must be a positive number')
+            .toFloat(),
+        bookingNoteRule('note'),
+        validate
+    ],
+    update: [
+        param('id').isMongoId().withMessage('Invalid booking ID'),
+        body('scheduledAt')
+            .optional()
+            .isISO8601()
+            .withMessage('Please provide a valid date and time')
+            .bail()
+            .custom(value => new Date(value) > new Date())
+            .withMessage('Booking date must be in the future'),
+        body('adminNotes')
+            .optional()
+            .trim()
+            .isLength({ max: 2000 })
+            .withMessage('Admin notes cannot exceed 2000 characters')
+            .escape(),
+        validate
+    ]
+};
+
+const adminCustomerValidation = {
+    list: [
+        query('page')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Page must be a positive integer'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('Limit must be between 1 and 100'),
+        query('search')
+            .optional()
+            .trim()
+            .isLength({ max: 100 })
+            .withMessage('Search cannot exceed 100 characters'),
+        query('status')
+            .optional()
+            .isIn(['Active', 'Blocked'])
+            .withMessage('Status must be Active or Blocked'),
+        query('authProvider')
+            .optional()
+            .isIn(['mobile', 'email', 'google'])
+            .withMessage('Auth provider must be mobile, email or google'),
+        query('from')
+            .optional()
+            .isISO8601()
+            .withMessage('From must be a valid date'),
+        query('to')
+            .optional()
+            .isISO8601()
+            .withMessage('To must be a valid date'),
+        validate
+    ],
+    block: [
+        param('id').isMongoId().withMessage('Invalid customer ID'),
+        body('reason')
+            .optional()
+            .trim()
+            .isLength({ max: 500 })
+            .withMessage('Reason cannot exceed 500 characters'),
+        validate
+    ]
+};
+
+const accountDeletionValidation = {
+    query: [
+        query('status')
+            .optional()
+            .isIn(['pending', 'cancelled', 'completed', 'failed', 'all'])
+            .withMessage('Invalid status'),
+        query('page')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Page must be a positive integer'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('Limit must be between 1 and 100'),
+        validate
+    ]
+};
+
+const smsTemplateKey = param('key')
+    .isIn(Object.keys(SMS_TEMPLATES))
+    .withMessage('Unknown SMS template');
+
+const smsValidation = {
+    messages: [
+        query('page')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Page must be a positive integer'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('Limit must be between 1 and 100'),
+        query('to')
+            .optional()
+            .matches(MOBILE_REGEX)
+            .withMessage('Invalid mobile number'),
+        query('template')
+            .optional()
+            .isIn(Object.keys(SMS_TEMPLATES))
+            .withMessage('Unknown SMS template'),
+        query('status')
+            .optional()
+            .isIn(['pending', 'sent', 'failed', 'delivered', 'undelivered'])
+            .withMessage('Invalid status'),
+        query('provider')
+            .optional()
+            .matches(/^[a-z0-9_-]{1,30}$/)
+            .withMessage('Invalid provider'),
+        query('from')
+            .optional()
+            .isISO8601()
+            .withMessage('From must be a valid date'),
+        query('until')
+            .optional()
+            .isISO8601()
+            .withMessage('Until must be a valid date'),
+        validate
+    ],
+    updateTemplate: [
+        smsTemplateKey,
+        body('body')
+            .trim()
+            .notEmpty()
+            .withMessage('Template body is required')
+            .isLength({ max: 500 })
+            .withMessage('Template body cannot exceed 500 characters'),
+        body('providerTemplateIds')
+            .optional()
+            .isObject()
+            .withMessage('providerTemplateIds must be an object of provider name to template id')
+            .custom(ids => Object.values(ids).every(id => typeof id === 'string' && id.length <= 100))
+            .withMessage('Provider template ids must be strings of at most 100 characters'),
+        body('isActive')
+            .optional()
+            .isBoolean()
+            .withMessage('isActive must be a boolean'),
+        validate
+    ],
+    templateKey: [
+        smsTemplateKey,
+        validate
+    ]
+};
+
 /**
  * Sanitize user input - removes any potential XSS
  */
@@ -328,11 +1842,25 @@ module.exports = {
     validateObjectId,
     authValidation,
     userValidation,
+    customerValidation,
+    customerAuthValidation,
+    adminUserValidation,
+    roleValidation,
+    apiKeyValidation,
     blogValidation,
     categoryValidation,
     productValidation,
+    sevaValidation,
+    templeValidation,
+    muhurthamValidation,
     chatValidation,
     riderValidation,
+    priestValidation,
     queryValidation,
+    auditLogValidation,
+    smsValidation,
+    bookingValidation,
+    adminCustomerValidation,
+    accountDeletionValidation,
     sanitizeInput
 };
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Customer initiated account deletion - erased once scheduledFor passes unless cancelled
+const accountDeletionRequestSchema = new mongoose.Schema({
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'FrontendUser',
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'cancelled', 'completed', 'failed'],
+        default: 'pending'
+    },
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    },
+    requestedIp: {
+        type: String
+    },
+    // End of the grace period - the account is erased after this
+    scheduledFor: {
+        type: Date,
+        required: true
+    },
+    cancelledAt: {
+        type: Date
+    },
+    completedAt: {
+        type: Date
+    },
+    // What was deleted / anonymized (counts only - no personal data)
+    summary: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    error: {
+        type: String
+    }
+}, {
+    collection: 'account_deletion_requests',
+    timestamps: true
+});
+
+accountDeletionRequestSchema.index({ status: 1, scheduledFor: 1 });
+
+// At most one pending request per customer
+accountDeletionRequestSchema.index(
+    { customer: 1 },
+    { unique: true, partialFilterExpression: { status: 'pending' }, name: 'customer_pending_unique' }
+);
+
+module.exports = mongoose.model('AccountDeletionRequest', accountDeletionRequestSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const adminInviteSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: [true, 'Email is required'],
+        lowercase: true,
+        trim: true,
+        match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email']
+    },
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true,
+        minlength: [2, 'Name must be at least 2 characters'],
+        maxlength: [50, 'Name cannot exceed 50 characters']
+    },
+    role: {
+        type: String,
+        default: 'admin',
+        lowercase: true,
+        trim: true
+    },
+    // SHA-256 of the token emailed to the invitee
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    acceptedAt: {
+        type: Date,
+        default: null
+    },
+    acceptedUser: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    collection: 'admin_invites',
+    timestamps: true
+});
+
+// Indexes
+adminInviteSchema.index({ email: 1, acceptedAt: 1, revokedAt: 1 });
+adminInviteSchema.index({ createdAt: -1 });
+
+// Virtual status for listings
+adminInviteSchema.virtual('status').get(function() {
+    if (this.acceptedAt) return 'accepted';
+    if (this.revokedAt) return 'revoked';
+    if (this.expiresAt < Date.now()) return 'expired';
+    return 'pending';
+});
+
+adminInviteSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('AdminInvite', adminInviteSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// One document per login - sessionId is the refresh token family id and
+// is carried as the `sid` claim of every access token issued for the login
+const adminSessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    sessionId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    ip: {
+        type: String
+    },
+    browser: {
+        type: String
+    },
+    os: {
+        type: String
+    },
+    device: {
+        type: String
+    },
+    userAgent: {
+        type: String
+    },
+    // Bumped every time the refresh token is rotated
+    lastActiveAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'reuse_detected', 'password_changed', 'admin', 'signed_out_remotely'],
+        default: undefined
+    }
+}, {
+    collection: 'admin_sessions',
+    timestamps: true
+});
+
+// Indexes
+adminSessionSchema.index({ user: 1, revokedAt: 1 });
+
+// Remove sessions once their refresh token can no longer be used
+adminSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AdminSession', adminSessionSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const { API_KEY_SCOPES } = require('../config/permissions');
+
+const apiKeySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    // First characters of the key, shown in the admin panel to identify it
+    prefix: {
+        type: String,
+        required: true
+    },
+    // SHA-256 of the full key - the raw key is only shown once at creation
+    keyHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false
+    },
+    scopes: {
+        type: [String],
+        validate: {
+            validator: (scopes) => scopes.length > 0 && scopes.every(scope => API_KEY_SCOPES[scope]),
+            message: 'Invalid API key scopes'
+        }
+    },
+    // IPs or CIDR ranges allowed to use the key (empty = any IP)
+    ipAllowlist: {
+        type: [String],
+        default: []
+    },
+    rateLimitPerMinute: {
+        type: Number,
+        min: 1,
+        max: 10000,
+        default: 60
+    },
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null
+    },
+    lastUsedIp: {
+        type: String
+    },
+    usageCount: {
+        type: Number,
+        default: 0
+    }
+}, {
+    collection: 'api_keys',
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+apiKeySchema.virtual('status').get(function () {
+    if (this.revokedAt) return 'revoked';
+    if (this.expiresAt && this.expiresAt <= new Date()) return 'expired';
+    return 'active';
+});
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
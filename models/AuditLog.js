@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        index: true
+    },
+    actorRole: {
+        type: String
+    },
+    // Set instead of actor when the change was made with an API key
+    apiKey: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ApiKey'
+    },
+    action: {
+        type: String,
+        enum: ['create', 'update', 'delete'],
+        required: true
+    },
+    method: {
+        type: String,
+        required: true
+    },
+    route: {
+        type: String,
+        required: true
+    },
+    statusCode: {
+        type: Number
+    },
+    targetModel: {
+        type: String,
+        required: true
+    },
+    targetId: {
+        type: String
+    },
+    // Changed fields - see auditService.computeDiff
+    diff: [{
+        _id: false,
+        path: String,
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed
+    }],
+    // Extra context that is not a document diff (e.g. deleted storage keys)
+    details: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    ip: {
+        type: String
+    },
+    userAgent: {
+        type: String
+    },
+    // Set from the retention policy when the entry is written
+    expiresAt: {
+        type: Date
+    }
+}, {
+    collection: 'audit_logs',
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for the query API filters
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ targetModel: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+
+// Retention policy - entries are removed once expiresAt passes
+auditLogSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
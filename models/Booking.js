@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const sankalpamMemberSchema = require('./schemas/sankalpamMember');
+
+// requested -> confirmed -> priest_assigned -> completed, cancellable until completed
+const BOOKING_STATUSES = ['requested', 'confirmed', 'priest_assigned', 'completed', 'cancelled'];
+
+const BOOKING_TRANSITIONS = {
+    requested: ['confirmed', 'cancelled'],
+    confirmed: ['priest_assigned', 'cancelled'],
+    priest_assigned: ['priest_assigned', 'completed', 'cancelled'], // priest_assigned again = reassignment
+    completed: [],
+    cancelled: []
+};
+
+// Where the seva is performed
+const locationSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['home', 'temple', 'online'],
+        default: 'home'
+    },
+    line1: { type: String, trim: true, maxlength: 200 },
+    line2: { type: String, trim: true, maxlength: 200 },
+    landmark: { type: String, trim: true, maxlength: 100 },
+    city: { type: String, trim: true, maxlength: 100 },
+    state: { type: String, trim: true, maxlength: 100 },
+    pincode: { type: String, match: [/^[1-9][0-9]{5}$/, 'Please provide a valid 6-digit pincode'] },
+    notes: { type: String, trim: true, maxlength: 300 }
+}, { _id: false });
+
+const statusHistorySchema = new mongoose.Schema({
+    status: { type: String, enum: BOOKING_STATUSES, required: true },
+    at: { type: Date, default: Date.now },
+    // Admin who made the change (unset when the customer did)
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    byCustomer: { type: Boolean, default: false },
+    note: { type: String, trim: true, maxlength: 500 }
+}, { _id: false });
+
+const bookingSchema = new mongoose.Schema({
+    // Human readable reference shared with the devotee (e.g. BMS-250114-3F9A2C)
+    bookingNumber: {
+        type: String,
+        unique: true
+    },
+    // Unset for bookings converted from a guest enquiry (no customer account)
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'FrontendUser',
+        default: null
+    },
+    // 'customer' = booked in the app, 'enquiry' = converted from an enquiry by an admin
+    source: {
+        type: String,
+        enum: ['customer', 'enquiry'],
+        default: 'customer'
+    },
+    enquiry: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Enquiry',
+        default: null
+    },
+    // Dynamic enquiry form values carried over on conversion
+    formData: {
+        type: Object
+    },
+    // Product in the 'Puja Service' category
+    seva: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    // Seva name at the time of booking (the product may be renamed later)
+    sevaName: {
+        type: String,
+        required: true
+    },
+    scheduledAt: {
+        type: Date,
+        required: true
+    },
+    location: {
+        type: locationSchema,
+        default: () => ({})
+    },
+    // Temple the seva is performed at (location holds a copy of its address)
+    temple: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Temple',
+        default: null
+    },
+    // Devotee the priest / office contacts (phone is required when booking;
+    // removed when a completed booking is anonymized)
+    contact: {
+        name: { type: String, trim: true, required: true },
+        phone: { type: String, trim: true },
+        email: { type: String, trim: true, lowercase: true }
+    },
+    // Sankalpam details of the people the seva is performed for
+    members: {
+        type: [sankalpamMemberSchema],
+        default: []
+    },
+    // Seva add-ons chosen (snapshot of name / price at booking time)
+    addOns: {
+        type: [{
+            _id: false,
+            addOn: { type: mongoose.Schema.Types.ObjectId },
+            name: { type: String, trim: true },
+            price: { type: Number, min: 0 },
+            durationMinutes: { type: Number, min: 0 }
+        }],
+        default: []
+    },
+    // Seva plus add-on duration (unset when the seva has no duration)
+    durationMinutes: {
+        type: Number,
+        min: 0
+    },
+    // Price agreed at booking time (INR)
+    price: {
+        amount: { type: Number, required: true, min: 0 },
+        currency: { type: String, default: 'INR' }
+    },
+    status: {
+        type: String,
+        enum: BOOKING_STATUSES,
+        default: 'requested'
+    },
+    statusHistory: {
+        type: [statusHistorySchema],
+        default: []
+    },
+    // Priest reference plus a snapshot of their name / phone at assignment time
+    assignedPriest: {
+        priest: { type: mongoose.Schema.Types.ObjectId, ref: 'Priest' },
+        name: { type: String, trim: true },
+        phone: { type: String, trim: true },
+        assignedAt: { type: Date }
+    },
+    // Devotee's notes / special requests
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: 1000
+    },
+    // Internal notes - never returned to customers
+    adminNotes: {
+        type: String,
+        trim: true,
+        maxlength: 2000
+    },
+    cancellation: {
+        reason: { type: String, trim: true, maxlength: 500 },
+        by: { type: String, enum: ['customer', 'admin'] },
+        at: { type: Date }
+    },
+    completedAt: {
+        type: Date
+    }
+}, {
+    collection: 'bookings',
+    timestamps: true
+});
+
+bookingSchema.index({ customer: 1, createdAt: -1 });
+bookingSchema.index({ status: 1, scheduledAt: 1 });
+bookingSchema.index({ scheduledAt: 1 });
+bookingSchema.index({ enquiry: 1 }, { sparse: true });
+bookingSchema.index({ temple: 1, scheduledAt: 1 });
+bookingSchema.index({ 'assignedPriest.priest': 1, scheduledAt: 1 });
+
+bookingSchema.pre('validate', function () {
+    if (!this.bookingNumber) {
+        const date = new Date().toISOString().slice(2, 10).replace(/-/g, '');
+        this.bookingNumber = `BMS-${date}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+    }
+});
+
+/**
+ * Can the booking move to this status?
+ * @param {string} status
+ * @returns {boolean}
+ */
+bookingSchema.methods.canTransitionTo = function (status) {
+    return (BOOKING_TRANSITIONS[this.status] || []).includes(status);
+};
+
+bookingSchema.statics.STATUSES = BOOKING_STATUSES;
+bookingSchema.statics.TRANSITIONS = BOOKING_TRANSITIONS;
+
+module.exports = mongoose.model('Booking', bookingSchema);
@@ -5,6 +5,12 @@ const chatSessionSchema = new mongoose.Schema({
         type: String,
         default: null  // null for anonymous users
     },
+    // Verified customer (from the socket handshake token)
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'FrontendUser',
+        default: null
+    },
     guestDetails: {
         name: String,
         phone: String,
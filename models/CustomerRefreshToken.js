@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const customerRefreshTokenSchema = new mongoose.Schema({
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'FrontendUser',
+        required: true
+    },
+    // SHA-256 of the opaque token handed to the client - raw token is never stored
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // All tokens rotated from the same login share a family id
+    family: {
+        type: String,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        enum: ['rotated', 'logout', 'reuse_detected', 'blocked', 'admin', 'account_deleted'],
+        default: undefined
+    },
+    replacedByHash: {
+        type: String,
+        default: null
+    },
+    createdByIp: {
+        type: String
+    },
+    userAgent: {
+        type: String
+    }
+}, {
+    collection: 'customer_refresh_tokens',
+    timestamps: true
+});
+
+// Indexes
+customerRefreshTokenSchema.index({ family: 1 });
+customerRefreshTokenSchema.index({ customer: 1, revokedAt: 1 });
+
+// Remove tokens once they have expired
+customerRefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('CustomerRefreshToken', customerRefreshTokenSchema);
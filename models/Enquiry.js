@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const sankalpamMemberSchema = require('./schemas/sankalpamMember');
 
 const EnquirySchema = new mongoose.Schema({
     type: { type: String, enum: ['festival', 'panchangam'], default: 'festival' }, // Type to differentiate enquiries
@@ -9,10 +10,18 @@ const EnquirySchema = new mongoose.Schema({
         email: { type: String },
         phone: { type: String }
     },
+    customer: { type: mongoose.Schema.Types.ObjectId, ref: 'FrontendUser', default: null }, // Set when submitted by a logged in customer
+    members: { type: [sankalpamMemberSchema], default: [] }, // Family members the pooja is for (customer submissions)
+    temple: { type: mongoose.Schema.Types.ObjectId, ref: 'Temple', default: null }, // Temple the enquiry is about, when chosen from the catalog
     formData: { type: Object, required: true }, // Stores dynamic field values: { "field_id": "value" }
     status: { type: String, enum: ['New', 'Viewed', 'Contacted', 'Completed'], default: 'New' },
     contactNote: { type: String }, // Notes added when marking as contacted
     contactedAt: { type: Date }, // Timestamp when marked as contacted
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', default: null }, // Set when converted into a booking
+    assignedPriest: { type: mongoose.Schema.Types.ObjectId, ref: 'Priest', default: null }, // Priest following up / performing the seva
+    priestAssignedAt: { type: Date },
+    convertedAt: { type: Date },
+    convertedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     createdAt: { type: Date, default: Date.now }
 });
 
@@ -20,7 +29,10 @@ const EnquirySchema = new mongoose.Schema({
 EnquirySchema.index({ status: 1 });
 EnquirySchema.index({ type: 1 });
 EnquirySchema.index({ createdAt: -1 });
+EnquirySchema.index({ customer: 1, createdAt: -1 });
 EnquirySchema.index({ "userDetails.email": 1 });
 EnquirySchema.index({ "userDetails.phone": 1 });
+EnquirySchema.index({ booking: 1 });
+EnquirySchema.index({ temple: 1 });
 
 module.exports = mongoose.model('Enquiry', EnquirySchema);
@@ -1,4 +1,98 @@
 const mongoose = require('mongoose');
+const { NAKSHATRAS, RASHIS } = require('../config/astrology');
+
+const MAX_ADDRESSES = 10;
+const MAX_FAMILY_MEMBERS = 20;
+
+const addressSchema = new mongoose.Schema({
+    label: {
+        type: String,
+        trim: true,
+        maxlength: 30,
+        default: 'Home'
+    },
+    name: {
+        type: String,
+        trim: true,
+        maxlength: 100
+    },
+    phone: {
+        type: String,
+        trim: true
+    },
+    line1: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 200
+    },
+    line2: {
+        type: String,
+        trim: true,
+        maxlength: 200
+    },
+    landmark: {
+        type: String,
+        trim: true,
+        maxlength: 100
+    },
+    city: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    state: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    pincode: {
+        type: String,
+        required: true,
+        match: [/^[1-9][0-9]{5}$/, 'Please provide a valid 6-digit pincode']
+    },
+    isDefault: {
+        type: Boolean,
+        default: false
+    }
+}, { timestamps: true });
+
+// Sankalpam details of the people poojas are performed for
+const familyMemberSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    relation: {
+        type: String,
+        trim: true,
+        maxlength: 30,
+        default: 'Self'
+    },
+    gotram: {
+        type: String,
+        trim: true,
+        maxlength: 50
+    },
+    nakshatra: {
+        type: String,
+        enum: [...NAKSHATRAS, null],
+        default: null
+    },
+    rashi: {
+        type: String,
+        enum: [...RASHIS, null],
+        default: null
+    },
+    dateOfBirth: {
+        type: Date,
+        default: null
+    }
+}, { timestamps: true });
 
 const frontendUserSchema = new mongoose.Schema({
     name: {
@@ -8,7 +102,14 @@ const frontendUserSchema = new mongoose.Schema({
     email: {
         type: String,
         required: true,
-        unique: true
+        unique: true,
+        lowercase: true,
+        trim: true
+    },
+    // Set once the customer has received an OTP at this address (enables email login)
+    emailVerified: {
+        type: Boolean,
+        default: false
     },
     phone: {
         type: String,
@@ -18,13 +119,35 @@ const frontendUserSchema = new mongoose.Schema({
         type: String,
         default: ''
     },
-    // For future Google/Social Auth
+    // R2 object key of an uploaded avatar (empty for external pictures, e.g. Google)
+    avatarKey: {
+        type: String,
+        default: ''
+    },
+    // Saved addresses - at most one has isDefault
+    addresses: {
+        type: [addressSchema],
+        validate: {
+            validator: (addresses) => addresses.length <= MAX_ADDRESSES,
+            message: `You can save at most ${MAX_ADDRESSES} addresses`
+        }
+    },
+    // How the account was created: 'mobile' | 'email' | 'google'
     authProvider: {
         type: String,
         default: 'email'
     },
+    // Google subject id once Google sign-in is used (created or linked)
     authProviderId: {
-        type: String
+        type: String,
+        index: { sparse: true }
+    },
+    familyMembers: {
+        type: [familyMemberSchema],
+        validate: {
+            validator: (members) => members.length <= MAX_FAMILY_MEMBERS,
+            message: `You can save at most ${MAX_FAMILY_MEMBERS} family members`
+        }
     },
     // OTP Local Verification
     otp: {
@@ -35,14 +158,40 @@ const frontendUserSchema = new mongoose.Schema({
         type: Date,
         select: false
     },
+    // 'Active' | 'Blocked' - blocked customers cannot log in or use their tokens
     status: {
         type: String,
         default: 'Active'
     },
+    blockedAt: {
+        type: Date
+    },
+    blockedReason: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    },
+    blockedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
     createdAt: {
         type: Date,
         default: Date.now
     }
 }, { collection: 'frontend_users' });
 
+// Admin customer search / filters
+frontendUserSchema.index({ createdAt: -1 });
+frontendUserSchema.index({ status: 1, createdAt: -1 });
+// One account per phone number (accounts without one store '') - phone OTP login looks up by phone
+// (existing databases: npm run migrate:phone-unique)
+frontendUserSchema.index(
+    { phone: 1 },
+    { unique: true, partialFilterExpression: { phone: { $type: 'string', $gt: '' } }, name: 'phone_unique' }
+);
+
+frontendUserSchema.statics.MAX_ADDRESSES = MAX_ADDRESSES;
+frontendUserSchema.statics.MAX_FAMILY_MEMBERS = MAX_FAMILY_MEMBERS;
+
 module.exports = mongoose.model('FrontendUser', frontendUserSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Stored muhurtham rule - overrides a built-in one (see config/muhurthamRules.js) or adds a new event type
+const muhurthamRuleSchema = new mongoose.Schema({
+    eventType: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true,
+        match: [/^[a-z0-9_]{2,50}$/, 'Event type may only contain lowercase letters, digits and underscores']
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: 500,
+        default: ''
+    },
+    // Empty = any tithi / nakshatra
+    allowedTithis: [{
+        type: String,
+        trim: true
+    }],
+    allowedNakshatras: [{
+        type: String,
+        trim: true
+    }],
+    excludedYogas: [{
+        type: String,
+        trim: true
+    }],
+    // 0 = Sunday ... 6 = Saturday
+    excludedWeekdays: [{
+        type: Number,
+        min: 0,
+        max: 6
+    }],
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    collection: 'muhurtham_rules',
+    timestamps: true
+});
+
+module.exports = mongoose.model('MuhurthamRule', muhurthamRuleSchema);
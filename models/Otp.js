@@ -1,19 +1,51 @@
 const mongoose = require('mongoose');
 
 const otpSchema = new mongoose.Schema({
+    // Exactly one of phone / email is set
     phone: {
         type: String,
-        required: true,
         index: true // Efficient lookups
     },
-    otp: {
+    email: {
+        type: String,
+        lowercase: true,
+        trim: true,
+        index: true
+    },
+    // HMAC of the code (see otpService.hashOtp) - the code itself is never stored
+    codeHash: {
         type: String,
         required: true
     },
+    // Wrong guesses so far - the OTP is invalidated at config.otp.maxAttempts
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    // 'login' for sign in/sign up, 'phone_change' / 'email_link' when a
+    // logged in customer verifies a new phone number or email address
+    purpose: {
+        type: String,
+        enum: ['login', 'phone_change', 'email_link'],
+        default: 'login'
+    },
+    // Customer requesting a phone change / email link
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'FrontendUser'
+    },
+    // When the code stops working - the TTL index deletes the document at that time
+    // (existing databases: npm run migrate:otp-ttl)
     expiresAt: {
         type: Date,
-        default: Date.now,
-        index: { expires: 300 } // Auto-delete after 300 seconds (5 minutes)
+        default: () => new Date(Date.now() + 5 * 60 * 1000),
+        index: { expires: 0 }
+    }
+});
+
+otpSchema.pre('validate', function () {
+    if (!this.phone === !this.email) {
+        this.invalidate('phone', 'An OTP needs either a phone number or an email address');
     }
 });
 
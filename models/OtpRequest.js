@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// One document per OTP sent - a 24 hour log for abuse investigation (the limits
+// themselves are enforced by OtpSendLimit). Kept separately from Otp because an
+// OTP is deleted once used or replaced.
+const otpRequestSchema = new mongoose.Schema({
+    // Phone number or lowercased email address
+    target: {
+        type: String,
+        required: true
+    },
+    channel: {
+        type: String,
+        enum: ['sms', 'email'],
+        required: true
+    },
+    purpose: {
+        type: String,
+        required: true
+    },
+    ip: {
+        type: String
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        expires: 24 * 60 * 60 // Only the last 24 hours matter
+    }
+}, {
+    collection: 'otp_requests'
+});
+
+otpRequestSchema.index({ target: 1, createdAt: -1 });
+
+module.exports = mongoose.model('OtpRequest', otpRequestSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Per phone number / email send counter - one document per target, updated with
+// conditional writes so parallel requests cannot get past the resend cooldown
+// or the daily cap (see otpService.claimSend)
+const otpSendLimitSchema = new mongoose.Schema({
+    // Phone number or lowercased email address
+    target: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Start of the current 24 hour window and codes sent in it
+    windowStart: {
+        type: Date,
+        required: true,
+        expires: 24 * 60 * 60 // Window over - the counter starts again
+    },
+    count: {
+        type: Number,
+        default: 0
+    },
+    lastSentAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    collection: 'otp_send_limits'
+});
+
+module.exports = mongoose.model('OtpSendLimit', otpSendLimitSchema);
@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+
+const serviceAreaSchema = new mongoose.Schema({
+    city: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    // Empty = the whole city
+    pincodes: [{
+        type: String,
+        match: [/^[1-9][0-9]{5}$/, 'Please provide a valid 6-digit pincode']
+    }]
+}, { _id: false });
+
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Working hours for one weekday, in IST ('HH:mm')
+const weeklyWindowSchema = new mongoose.Schema({
+    day: {
+        type: Number,
+        required: true,
+        min: 0, // Sunday
+        max: 6
+    },
+    start: {
+        type: String,
+        required: true,
+        match: [TIME_REGEX, 'Time must be in HH:mm format']
+    },
+    end: {
+        type: String,
+        required: true,
+        match: [TIME_REGEX, 'Time must be in HH:mm format']
+    }
+}, { _id: false });
+
+// Leave, festivals at the priest's own temple, etc.
+const blackoutSchema = new mongoose.Schema({
+    from: {
+        type: Date,
+        required: true
+    },
+    to: {
+        type: Date,
+        required: true
+    },
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: 200
+    }
+});
+
+// Used for priests that have not set their own hours: every day, 6 AM to 8 PM
+const DEFAULT_WEEKLY_AVAILABILITY = [0, 1, 2, 3, 4, 5, 6].map(day => ({ day, start: '06:00', end: '20:00' }));
+
+const priestSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    phone: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true
+    },
+    photoUrl: {
+        type: String,
+        default: ''
+    },
+    bio: {
+        type: String,
+        trim: true,
+        maxlength: 1000,
+        default: ''
+    },
+    languages: [{
+        type: String,
+        trim: true
+    }],
+    // Poojas / homams performed - Products in the 'Puja Service' category
+    specializations: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+    }],
+    serviceAreas: {
+        type: [serviceAreaSchema],
+        default: []
+    },
+    experienceYears: {
+        type: Number,
+        min: 0,
+        max: 80,
+        default: 0
+    },
+    // Background / credential check - only verified priests are listed and assignable
+    verificationStatus: {
+        type: String,
+        enum: ['pending', 'verified', 'rejected'],
+        default: 'pending'
+    },
+    verificationNote: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    },
+    verifiedAt: {
+        type: Date
+    },
+    verifiedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    status: {
+        type: String,
+        default: 'Active',
+        enum: ['Active', 'Inactive', 'Suspended']
+    },
+    isAvailable: {
+        type: Boolean,
+        default: true
+    },
+    weeklyAvailability: {
+        type: [weeklyWindowSchema],
+        default: () => DEFAULT_WEEKLY_AVAILABILITY.map(window => ({ ...window }))
+    },
+    blackouts: {
+        type: [blackoutSchema],
+        default: []
+    },
+    // Time kept free after each seva to reach the next venue
+    travelBufferMinutes: {
+        type: Number,
+        min: 0,
+        max: 480,
+        default: 60
+    },
+    joinedDate: {
+        type: Date,
+        default: Date.now
+    }
+}, { timestamps: true });
+
+// Public listing filters
+priestSchema.index({ verificationStatus: 1, status: 1 });
+priestSchema.index({ specializations: 1 });
+priestSchema.index({ 'serviceAreas.city': 1 });
+
+priestSchema.statics.DEFAULT_WEEKLY_AVAILABILITY = DEFAULT_WEEKLY_AVAILABILITY;
+
+module.exports = mongoose.model('Priest', priestSchema);
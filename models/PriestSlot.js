@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+/**
+ * Time a priest is booked for a seva. `blocks` lists every 15 minute block
+ * covered by the seva plus the priest's travel buffer; the unique index on
+ * { priest, blocks } makes MongoDB reject any overlapping reservation.
+ */
+const priestSlotSchema = new mongoose.Schema({
+    priest: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Priest',
+        required: true
+    },
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: true,
+        unique: true
+    },
+    start: {
+        type: Date,
+        required: true
+    },
+    end: {
+        type: Date,
+        required: true
+    },
+    // End of the travel buffer after the seva
+    blockedUntil: {
+        type: Date,
+        required: true
+    },
+    // Block numbers (ms since epoch / block length)
+    blocks: {
+        type: [Number],
+        required: true
+    }
+}, {
+    collection: 'priest_slots',
+    timestamps: true
+});
+
+priestSlotSchema.index({ priest: 1, blocks: 1 }, { unique: true });
+priestSlotSchema.index({ priest: 1, start: 1 });
+
+module.exports = mongoose.model('PriestSlot', priestSlotSchema);
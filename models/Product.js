@@ -1,5 +1,32 @@
 const mongoose = require('mongoose');
 
+// Seva delivery modes
+const SEVA_MODES = ['in_person', 'online'];
+
+// Pooja items that come with a seva
+const samagriSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    quantity: { type: String, trim: true, maxlength: 50 }, // e.g. '250 g', '5 nos'
+    // 'devotee' = listed so the devotee can arrange it themselves
+    providedBy: { type: String, enum: ['included', 'devotee'], default: 'included' }
+});
+
+// Optional extras charged on top of the seva (e.g. an extra homam)
+const addOnSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    description: { type: String, trim: true, maxlength: 500 },
+    price: { type: Number, required: true, min: 0 },
+    durationMinutes: { type: Number, min: 0, max: 1440, default: 0 },
+    isActive: { type: Boolean, default: true }
+});
+
+// Price for a mode, optionally limited to one city (overrides price / salePrice)
+const pricingRuleSchema = new mongoose.Schema({
+    mode: { type: String, enum: SEVA_MODES, required: true },
+    city: { type: String, trim: true, maxlength: 100, default: '' }, // '' = any city
+    price: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
 const productSchema = new mongoose.Schema({
     name: {
         type: String,
@@ -31,6 +58,35 @@ const productSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    // --- Seva attributes (products in the 'Puja Service' category) ---
+    // How long a seva takes to perform - used to block the priest's calendar
+    durationMinutes: {
+        type: Number,
+        min: 15,
+        max: 1440
+    },
+    priestCount: {
+        type: Number,
+        min: 1,
+        max: 50,
+        default: 1
+    },
+    modes: {
+        type: [{ type: String, enum: SEVA_MODES }],
+        default: () => [...SEVA_MODES]
+    },
+    samagri: {
+        type: [samagriSchema],
+        default: []
+    },
+    addOns: {
+        type: [addOnSchema],
+        default: []
+    },
+    pricing: {
+        type: [pricingRuleSchema],
+        default: []
+    },
     isFeatured: {
         type: Boolean,
         default: false
@@ -48,4 +104,6 @@ productSchema.index({ isFeatured: 1 });
 productSchema.index({ price: 1 });
 productSchema.index({ createdAt: -1 });
 
+productSchema.statics.SEVA_MODES = SEVA_MODES;
+
 module.exports = mongoose.model('Product', productSchema);
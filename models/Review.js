@@ -35,6 +35,12 @@ const reviewSchema = new mongoose.Schema({
     featured: {
         type: Boolean,
         default: false
+    },
+    // Set when submitted by a logged in customer
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'FrontendUser',
+        default: null
     }
 }, { timestamps: true });
 
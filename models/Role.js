@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const { PERMISSIONS } = require('../config/permissions');
+
+const roleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Role name is required'],
+        unique: true,
+        lowercase: true,
+        trim: true,
+        match: [/^[a-z][a-z0-9_-]{1,29}$/, 'Role name may only contain lowercase letters, numbers, hyphens and underscores']
+    },
+    description: {
+        type: String,
+        default: '',
+        maxlength: [200, 'Description cannot exceed 200 characters']
+    },
+    permissions: {
+        type: [String],
+        validate: {
+            validator: (values) => values.every(value => Object.prototype.hasOwnProperty.call(PERMISSIONS, value)),
+            message: 'Unknown permission in list'
+        },
+        default: []
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    collection: 'admin_roles',
+    timestamps: true
+});
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const SMS_LOG_RETENTION_DAYS = 90;
+
+// Delivery log - one document per message, one attempt per provider tried
+const smsMessageSchema = new mongoose.Schema({
+    to: {
+        type: String,
+        required: true
+    },
+    template: {
+        type: String,
+        required: true
+    },
+    // Non-sensitive template variables (OTPs are never stored)
+    variables: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'sent', 'failed', 'delivered', 'undelivered'],
+        default: 'pending'
+    },
+    // Provider that accepted the message
+    provider: {
+        type: String
+    },
+    providerMessageId: {
+        type: String
+    },
+    attempts: [{
+        _id: false,
+        provider: String,
+        status: { type: String, enum: ['sent', 'failed'] },
+        error: String,
+        providerMessageId: String,
+        at: { type: Date, default: Date.now }
+    }],
+    deliveredAt: {
+        type: Date
+    },
+    // Raw provider status from the delivery report
+    deliveryStatus: {
+        type: String
+    },
+    expiresAt: {
+        type: Date,
+        default: () => new Date(Date.now() + SMS_LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+    }
+}, {
+    collection: 'sms_messages',
+    timestamps: true
+});
+
+// Indexes
+smsMessageSchema.index({ provider: 1, providerMessageId: 1 });
+smsMessageSchema.index({ to: 1, createdAt: -1 });
+smsMessageSchema.index({ status: 1, createdAt: -1 });
+smsMessageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('SmsMessage', smsMessageSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const { SMS_TEMPLATES } = require('../config/smsTemplates');
+
+// Stored override of a built-in template (see config/smsTemplates.js)
+const smsTemplateSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+        enum: Object.keys(SMS_TEMPLATES)
+    },
+    body: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: [500, 'Template body cannot exceed 500 characters']
+    },
+    // Provider side template ids (e.g. MSG91 flow id / DLT template id), keyed by provider name
+    providerTemplateIds: {
+        type: Map,
+        of: String,
+        default: {}
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    collection: 'sms_templates',
+    timestamps: true
+});
+
+module.exports = mongoose.model('SmsTemplate', smsTemplateSchema);
@@ -0,0 +1,178 @@
+const mongoose = require('mongoose');
+
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+const timeField = (required = true) => ({
+    type: String,
+    required,
+    match: [TIME_REGEX, 'Time must be in HH:mm format']
+});
+
+// Weekdays: 0 = Sunday ... 6 = Saturday (empty = every day)
+const daysField = {
+    type: [{ type: Number, min: 0, max: 6 }],
+    default: []
+};
+
+const addressSchema = new mongoose.Schema({
+    line1: { type: String, trim: true, maxlength: 200 },
+    line2: { type: String, trim: true, maxlength: 200 },
+    landmark: { type: String, trim: true, maxlength: 100 },
+    city: { type: String, required: true, trim: true, maxlength: 100 },
+    state: { type: String, required: true, trim: true, maxlength: 100 },
+    pincode: { type: String, match: [/^[1-9][0-9]{5}$/, 'Please provide a valid 6-digit pincode'] }
+}, { _id: false });
+
+// Darshan hours (IST). A temple usually has a morning and an evening session.
+const darshanTimingSchema = new mongoose.Schema({
+    label: { type: String, trim: true, maxlength: 50 },
+    days: daysField,
+    open: timeField(),
+    close: timeField()
+}, { _id: false });
+
+// When a seva is performed (IST)
+const sevaTimingSchema = new mongoose.Schema({
+    days: daysField,
+    start: timeField(),
+    end: timeField(false)
+}, { _id: false });
+
+const templeSevaSchema = new mongoose.Schema({
+    // Catalog seva, when the temple's seva is also offered through the app
+    seva: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: 1000
+    },
+    price: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    durationMinutes: {
+        type: Number,
+        min: 5,
+        max: 1440
+    },
+    timings: {
+        type: [sevaTimingSchema],
+        default: []
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+});
+
+// Days the temple (or its sevas) is closed - eclipses, renovation, etc.
+const holidaySchema = new mongoose.Schema({
+    date: { type: Date, required: true },
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    note: { type: String, trim: true, maxlength: 300 }
+});
+
+const imageSchema = new mongoose.Schema({
+    url: { type: String, required: true },
+    // R2 object key, for clean up
+    key: { type: String },
+    caption: { type: String, trim: true, maxlength: 200 }
+});
+
+const templeSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 150
+    },
+    slug: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    deity: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    otherDeities: [{
+        type: String,
+        trim: true
+    }],
+    description: {
+        type: String,
+        trim: true,
+        maxlength: 5000,
+        default: ''
+    },
+    address: {
+        type: addressSchema,
+        required: true
+    },
+    // GeoJSON point - coordinates are [longitude, latitude]
+    geo: {
+        type: {
+            type: String,
+            enum: ['Point']
+        },
+        coordinates: {
+            type: [Number],
+            default: undefined
+        }
+    },
+    contact: {
+        phone: { type: String, trim: true },
+        email: { type: String, trim: true, lowercase: true },
+        website: { type: String, trim: true }
+    },
+    darshanTimings: {
+        type: [darshanTimingSchema],
+        default: []
+    },
+    sevas: {
+        type: [templeSevaSchema],
+        default: []
+    },
+    holidays: {
+        type: [holidaySchema],
+        default: []
+    },
+    images: {
+        type: [imageSchema],
+        default: []
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    collection: 'temples',
+    timestamps: true
+});
+
+// Slug from the name on create (kept stable afterwards so shared links keep working)
+templeSchema.pre('validate', async function () {
+    if (!this.slug && this.name) {
+        const base = this.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)+/g, '') || 'temple';
+        const taken = await this.constructor.exists({ slug: base });
+        this.slug = taken ? `${base}-${this._id.toString().slice(-6)}` : base;
+    }
+});
+
+templeSchema.index({ geo: '2dsphere' });
+templeSchema.index({ isActive: 1, 'address.city': 1 });
+templeSchema.index({ deity: 1 });
+templeSchema.index({ 'sevas.seva': 1 });
+
+module.exports = mongoose.model('Temple', templeSchema);
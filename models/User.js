@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 
 const userSchema = new mongoose.Schema({
@@ -34,10 +35,10 @@ const userSchema = new mongoose.Schema({
     role: {
         type: String,
         default: 'user', // FIXED: Changed from 'superadmin' to 'user'
-        enum: {
-            values: ['superadmin', 'admin', 'user'],
-            message: 'Invalid role'
-        }
+        lowercase: true,
+        trim: true,
+        // 'superadmin', 'admin', 'user' or a role defined in admin_roles (see config/permissions)
+        match: [/^[a-z][a-z0-9_-]{1,29}$/, 'Invalid role']
     },
     isActive: {
         type: Boolean,
@@ -49,12 +50,59 @@ const userSchema = new mongoose.Schema({
     passwordChangedAt: {
         type: Date
     },
+    // Progressive lockout (see loginSecurityService)
+    failedLoginAttempts: {
+        type: Number,
+        default: 0
+    },
+    lastFailedLoginAt: {
+        type: Date
+    },
+    lockUntil: {
+        type: Date
+    },
+    // Access tokens issued before this instant are rejected (force logout)
+    tokensValidAfter: {
+        type: Date
+    },
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
     passwordResetToken: {
         type: String
     },
     passwordResetExpires: {
         type: Date
     },
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        // AES-GCM encrypted base32 secrets (see totpService)
+        secret: {
+            type: String,
+            select: false
+        },
+        pendingSecret: {
+            type: String,
+            select: false
+        },
+        // SHA-256 hashes of unused recovery codes
+        recoveryCodes: {
+            type: [String],
+            select: false
+        },
+        // Last accepted TOTP time step (prevents code replay)
+        lastUsedStep: {
+            type: Number,
+            select: false
+        },
+        enabledAt: {
+            type: Date
+        }
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -64,6 +112,14 @@ const userSchema = new mongoose.Schema({
         browser: String,
         os: String,
         device: String,
+        newDevice: {
+            type: Boolean,
+            default: false
+        },
+        newIp: {
+            type: Boolean,
+            default: false
+        },
         timestamp: {
             type: Date,
             default: Date.now
@@ -86,4 +142,28 @@ userSchema.methods.changedPasswordAfter = function(JWTTimestamp) {
     return false;
 };
 
+// Instance method to check if sessions were revoked after token was issued
+userSchema.methods.tokensRevokedAfter = function(JWTTimestamp) {
+    if (this.tokensValidAfter) {
+        const revokedTimestamp = parseInt(this.tokensValidAfter.getTime() / 1000, 10);
+        return JWTTimestamp < revokedTimestamp;
+    }
+    return false;
+};
+
+// Instance method to check if the account is temporarily locked
+userSchema.methods.isLocked = function() {
+    return Boolean(this.lockUntil && this.lockUntil > Date.now());
+};
+
+// Instance method to create a single-use password reset token (only the hash is stored)
+userSchema.methods.createPasswordResetToken = function() {
+    const resetToken = crypto.randomBytes(32).toString('hex');
+
+    this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+    this.passwordResetExpires = Date.now() + 15 * 60 * 1000; // 15 minutes
+
+    return resetToken;
+};
+
 module.exports = mongoose.model('User', userSchema);
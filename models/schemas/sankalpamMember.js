@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+/**
+ * Snapshot of a family member's sankalpam details, embedded in enquiries and
+ * bookings (see familyMemberService.resolveMembers)
+ */
+const sankalpamMemberSchema = new mongoose.Schema({
+    member: { type: mongoose.Schema.Types.ObjectId }, // FrontendUser.familyMembers._id
+    name: { type: String, required: true },
+    relation: { type: String },
+    gotram: { type: String },
+    nakshatra: { type: String },
+    rashi: { type: String },
+    dateOfBirth: { type: Date }
+}, { _id: false });
+
+module.exports = sankalpamMemberSchema;
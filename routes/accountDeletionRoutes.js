@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const privacyController = require('../controllers/privacyController');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { accountDeletionValidation, validateObjectId } = require('../middleware/validators');
+
+router.use(verifyToken, requirePermission('customers:read'));
+
+router.get('/', accountDeletionValidation.query, privacyController.getDeletionRequests);
+router.get('/:id', validateObjectId('id'), privacyController.getDeletionRequestById);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const adminCustomerController = require('../controllers/adminCustomerController');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { adminCustomerValidation, validateObjectId } = require('../middleware/validators');
+const { adminLimiter } = require('../middleware/rateLimiter');
+const { audit } = require('../middleware/audit');
+
+router.use(verifyToken);
+
+router.get('/', requirePermission('customers:read'), adminCustomerValidation.list, adminCustomerController.getCustomers);
+router.get('/:id', requirePermission('customers:read'), validateObjectId('id'), adminCustomerController.getCustomer);
+router.post('/:id/block', adminLimiter, requirePermission('customers:write'), adminCustomerValidation.block, audit('FrontendUser', { action: 'update' }), adminCustomerController.blockCustomer);
+router.post('/:id/unblock', adminLimiter, requirePermission('customers:write'), validateObjectId('id'), audit('FrontendUser', { action: 'update' }), adminCustomerController.unblockCustomer);
+
+module.exports = router;
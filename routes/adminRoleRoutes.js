@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const adminRoleController = require('../controllers/adminRoleController');
+const { verifyToken, verifySuperAdmin } = require('../middleware/auth');
+const { roleValidation } = require('../middleware/validators');
+const { adminLimiter } = require('../middleware/rateLimiter');
+const { audit } = require('../middleware/audit');
+
+const auditRole = audit('Role', { find: req => ({ name: req.params.name.toLowerCase() }), targetId: req => req.params.name.toLowerCase() });
+
+// Role management is for super admins only
+router.use(verifyToken, verifySuperAdmin);
+
+router.get('/', adminRoleController.getRoles);
+router.put('/:name', adminLimiter, roleValidation.upsert, auditRole, adminRoleController.upsertRole);
+router.delete('/:name', adminLimiter, roleValidation.name, auditRole, adminRoleController.deleteRole);
+
+module.exports = router;
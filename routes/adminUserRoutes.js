@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const adminUserController = require('../controllers/adminUserController');
+const { verifyToken, verifySuperAdmin } = require('../middleware/auth');
+const { adminUserValidation, validateObjectId } = require('../middleware/validators');
+const { adminLimiter, authLimiter } = require('../middleware/rateLimiter');
+const { audit } = require('../middleware/audit');
+
+// Invite acceptance (public - authenticated by the invite token)
+router.post('/invites/accept', authLimiter, adminUserValidation.acceptInvite, adminUserController.acceptInvite);
+
+// All other routes are for super admins only
+router.use(verifyToken, verifySuperAdmin);
+
+// Invitations
+router.get('/invites', adminUserController.getInvites);
+router.post('/invites', adminLimiter, adminUserValidation.invite, audit('AdminInvite'), adminUserController.inviteAdmin);
+router.delete('/invites/:id', adminLimiter, validateObjectId('id'), audit('AdminInvite', { action: 'update' }), adminUserController.revokeInvite);
+
+// Admin users
+router.get('/', adminUserValidation.list, adminUserController.getAdminUsers);
+router.get('/:id', validateObjectId('id'), adminUserController.getAdminUser);
+router.patch('/:id/role', adminLimiter, adminUserValidation.updateRole, audit('User'), adminUserController.updateRole);
+router.patch('/:id/status', adminLimiter, adminUserValidation.updateStatus, audit('User'), adminUserController.updateStatus);
+router.post('/:id/force-logout', adminLimiter, validateObjectId('id'), audit('User', { action: 'update', details: () => ({ operation: 'force-logout' }) }), adminUserController.forceLogout);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const apiKeyController = require('../controllers/apiKeyController');
+const { verifyToken, verifySuperAdmin } = require('../middleware/auth');
+const { apiKeyValidation, validateObjectId } = require('../middleware/validators');
+const { adminLimiter } = require('../middleware/rateLimiter');
+const { audit } = require('../middleware/audit');
+
+// API key management is for super admins only
+router.use(verifyToken, verifySuperAdmin);
+
+router.get('/', apiKeyController.getApiKeys);
+router.get('/:id', validateObjectId('id'), apiKeyController.getApiKey);
+router.post('/', adminLimiter, apiKeyValidation.create, audit('ApiKey'), apiKeyController.createApiKey);
+router.patch('/:id', adminLimiter, apiKeyValidation.update, audit('ApiKey'), apiKeyController.updateApiKey);
+router.delete('/:id', adminLimiter, validateObjectId('id'), audit('ApiKey', { action: 'update' }), apiKeyController.revokeApiKey);
+
+module.exports = router;
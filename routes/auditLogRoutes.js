@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const auditLogController = require('../controllers/auditLogController');
+const { verifyToken, verifySuperAdmin } = require('../middleware/auth');
+const { auditLogValidation, validateObjectId } = require('../middleware/validators');
+
+// The audit trail is for super admins only
+router.use(verifyToken, verifySuperAdmin);
+
+router.get('/', auditLogValidation.query, auditLogController.getAuditLogs);
+router.get('/:id', validateObjectId('id'), auditLogController.getAuditLog);
+
+module.exports = router;
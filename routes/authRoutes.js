@@ -1,17 +1,43 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { verifyToken } = require('../middleware/auth');
-const { authLimiter } = require('../middleware/rateLimiter');
-const { authValidation } = require('../middleware/validators');
+const {
+    verifyToken,
+    verifySuperAdmin,
+    optionalAuth,
+    verifyTwoFactorPending,
+    verifyTokenOrTwoFactorSetup
+} = require('../middleware/auth');
+const { authLimiter, passwordResetLimiter } = require('../middleware/rateLimiter');
+const { authValidation, validateObjectId } = require('../middleware/validators');
+const { audit } = require('../middleware/audit');
 
 // Public routes with rate limiting
 router.post('/login', authLimiter, authValidation.login, authController.login);
-router.post('/logout', verifyToken, authController.logout);
+router.post('/refresh-token', authLimiter, authValidation.refreshToken, authController.refreshToken);
+
+// Password reset (strictly rate limited)
+router.post('/forgot-password', passwordResetLimiter, authValidation.forgotPassword, authController.forgotPassword);
+router.post('/reset-password', passwordResetLimiter, authValidation.resetPassword, authController.resetPassword);
+
+// Logout works with an expired access token - the refresh token identifies the session
+router.post('/logout', optionalAuth, authValidation.refreshToken, authController.logout);
 
 // Protected routes
 router.get('/me', verifyToken, authController.getMe);
-router.post('/refresh-token', verifyToken, authController.refreshToken);
+
+// Two-factor authentication
+router.post('/2fa/verify', authLimiter, verifyTwoFactorPending('2fa_verify'), authValidation.twoFactorVerify, authController.verifyTwoFactor);
+router.get('/2fa/status', verifyToken, authController.getTwoFactorStatus);
+router.post('/2fa/setup', authLimiter, verifyTokenOrTwoFactorSetup, authController.setupTwoFactor);
+router.post('/2fa/enable', authLimiter, verifyTokenOrTwoFactorSetup, authValidation.twoFactorCode, authController.enableTwoFactor);
+router.post('/2fa/disable', authLimiter, verifyToken, authValidation.twoFactorDisable, authController.disableTwoFactor);
+router.post('/2fa/recovery-codes', authLimiter, verifyToken, authValidation.twoFactorCode, authController.regenerateRecoveryCodes);
+router.delete('/2fa/users/:id', verifyToken, verifySuperAdmin, validateObjectId('id'), audit('User', { action: 'update' }), authController.resetUserTwoFactor);
+
+// Account lockout management (Super Admin)
+router.get('/users/:id/lockout', verifyToken, verifySuperAdmin, validateObjectId('id'), authController.getLockoutStatus);
+router.post('/users/:id/unlock', verifyToken, verifySuperAdmin, validateObjectId('id'), audit('User'), authController.unlockUser);
 
 // Development only route
 if (process.env.NODE_ENV !== 'production') {
@@ -0,0 +1,34 @@
+const express = require('express');
+const { ipKeyGenerator } = require('express-rate-limit');
+const router = express.Router();
+const bookingController = require('../controllers/bookingController');
+const { verifyToken, requirePermission, verifyCustomer } = require('../middleware/auth');
+const { bookingValidation, validateObjectId } = require('../middleware/validators');
+const { adminLimiter, createLimiter } = require('../middleware/rateLimiter');
+const { audit } = require('../middleware/audit');
+
+// Each booking is reviewed by the office - keep requests per customer reasonable
+const bookingCreateLimiter = createLimiter({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 10,
+    keyGenerator: (req) => req.customer?.id || ipKeyGenerator(req.ip),
+    message: {
+        success: false,
+        message: 'Too many booking requests, please try again later'
+    }
+});
+
+// Customer routes
+router.post('/', verifyCustomer, bookingCreateLimiter, bookingValidation.create, bookingController.createBooking);
+router.get('/mine', verifyCustomer, bookingValidation.list, bookingController.getMyBookings);
+router.get('/mine/:id', verifyCustomer, validateObjectId('id'), bookingController.getMyBooking);
+router.post('/mine/:id/cancel', verifyCustomer, bookingValidation.cancel, bookingController.cancelMyBooking);
+
+// Admin routes
+router.get('/', verifyToken, requirePermission('bookings:read'), bookingValidation.list, bookingController.getBookings);
+router.get('/:id', verifyToken, requirePermission('bookings:read'), validateObjectId('id'), bookingController.getBooking);
+router.patch('/:id/status', verifyToken, adminLimiter, requirePermission('bookings:write'), bookingValidation.updateStatus, audit('Booking'), bookingController.updateStatus);
+router.patch('/:id/priest', verifyToken, adminLimiter, requirePermission('bookings:write'), bookingValidation.assignPriest, audit('Booking'), bookingController.assignPriest);
+router.patch('/:id', verifyToken, adminLimiter, requirePermission('bookings:write'), bookingValidation.update, audit('Booking'), bookingController.updateBooking);
+
+module.exports = router;
@@ -4,10 +4,11 @@ const ChatSession = require('../models/ChatSession');
 const ChatMessage = require('../models/ChatMessage');
 const BotIntent = require('../models/BotIntent');
 const QuickAction = require('../models/QuickAction');
-const { verifyToken, verifyAdmin } = require('../middleware/auth');
+const { verifyToken, requirePermission } = require('../middleware/auth');
 const { chatValidation } = require('../middleware/validators');
 const { chatLimiter, adminLimiter } = require('../middleware/rateLimiter');
 const { catchAsync } = require('../middleware/errorHandler');
+const { audit } = require('../middleware/audit');
 const AppError = require('../utils/AppError');
 
 // ===== PUBLIC ROUTES (for chat widget) =====
@@ -24,7 +25,7 @@ router.get('/quick-actions', chatLimiter, catchAsync(async (req, res) => {
 // ===== ADMIN ROUTES =====
 
 // Get all chat sessions (Admin)
-router.get('/sessions', verifyToken, verifyAdmin, adminLimiter, catchAsync(async (req, res) => {
+router.get('/sessions', verifyToken, requirePermission('chat:read'), adminLimiter, catchAsync(async (req, res) => {
     const { status, limit = 50, page = 1 } = req.query;
     const query = {};
     if (status === 'active') query.isActive = true;
@@ -54,7 +55,7 @@ router.get('/sessions', verifyToken, verifyAdmin, adminLimiter, catchAsync(async
 }));
 
 // Get chat history for a specific session (Admin)
-router.get('/history/:sessionId', verifyToken, verifyAdmin, catchAsync(async (req, res) => {
+router.get('/history/:sessionId', verifyToken, requirePermission('chat:read'), catchAsync(async (req, res) => {
     const { sessionId } = req.params;
     
     // Validate sessionId format
@@ -70,7 +71,7 @@ router.get('/history/:sessionId', verifyToken, verifyAdmin, catchAsync(async (re
 }));
 
 // Delete a session (Admin)
-router.delete('/sessions/:id', verifyToken, verifyAdmin, adminLimiter, catchAsync(async (req, res) => {
+router.delete('/sessions/:id', verifyToken, requirePermission('chat:delete'), adminLimiter, audit('ChatSession'), catchAsync(async (req, res) => {
     const { id } = req.params;
     
     if (!id.match(/^[0-9a-fA-F]{24}$/)) {
@@ -88,7 +89,7 @@ router.delete('/sessions/:id', verifyToken, verifyAdmin, adminLimiter, catchAsyn
 }));
 
 // Get chat analytics (Admin)
-router.get('/analytics', verifyToken, verifyAdmin, catchAsync(async (req, res) => {
+router.get('/analytics', verifyToken, requirePermission('chat:read'), catchAsync(async (req, res) => {
     const [
         totalSessions,
         activeSessions,
@@ -128,7 +129,7 @@ router.get('/analytics', verifyToken, verifyAdmin, catchAsync(async (req, res) =
 // ===== BOT INTENTS CRUD (Admin Only) =====
 
 // Get all bot intents
-router.get('/intents', verifyToken, verifyAdmin, catchAsync(async (req, res) => {
+router.get('/intents', verifyToken, requirePermission('chat:read'), catchAsync(async (req, res) => {
     const intents = await BotIntent.find()
         .sort({ priority: -1, createdAt: -1 })
         .lean();
@@ -136,7 +137,7 @@ router.get('/intents', verifyToken, verifyAdmin, catchAsync(async (req, res) =>
 }));
 
 // Create a new bot intent
-router.post('/intents', verifyToken, verifyAdmin, chatValidation.intent, catchAsync(async (req, res) => {
+router.post('/intents', verifyToken, requirePermission('chat:write'), chatValidation.intent, audit('BotIntent'), catchAsync(async (req, res) => {
     const { intent, keywords, response, quickReplies, priority, isActive } = req.body;
     
     const newIntent = new BotIntent({
@@ -153,7 +154,7 @@ router.post('/intents', verifyToken, verifyAdmin, chatValidation.intent, catchAs
 }));
 
 // Update a bot intent
-router.put('/intents/:id', verifyToken, verifyAdmin, catchAsync(async (req, res) => {
+router.put('/intents/:id', verifyToken, requirePermission('chat:write'), audit('BotIntent'), catchAsync(async (req, res) => {
     const { id } = req.params;
     
     if (!id.match(/^[0-9a-fA-F]{24}$/)) {
@@ -174,7 +175,7 @@ router.put('/intents/:id', verifyToken, verifyAdmin, catchAsync(async (req, res)
 }));
 
 // Delete a bot intent
-router.delete('/intents/:id', verifyToken, verifyAdmin, catchAsync(async (req, res) => {
+router.delete('/intents/:id', verifyToken, requirePermission('chat:delete'), audit('BotIntent'), catchAsync(async (req, res) => {
     const { id } = req.params;
     
     if (!id.match(/^[0-9a-fA-F]{24}$/)) {
@@ -192,7 +193,7 @@ router.delete('/intents/:id', verifyToken, verifyAdmin, catchAsync(async (req, r
 // ===== QUICK ACTIONS CRUD (Admin Only) =====
 
 // Get all quick actions (Admin - full details)
-router.get('/quick-actions/all', verifyToken, verifyAdmin, catchAsync(async (req, res) => {
+router.get('/quick-actions/all', verifyToken, requirePermission('chat:read'), catchAsync(async (req, res) => {
     const quickActions = await QuickAction.find()
         .sort({ order: 1, createdAt: -1 })
         .lean();
@@ -200,14 +201,14 @@ router.get('/quick-actions/all', verifyToken, verifyAdmin, catchAsync(async (req
 }));
 
 // Create a new quick action
-router.post('/quick-actions', verifyToken, verifyAdmin, chatValidation.quickAction, catchAsync(async (req, res) => {
+router.post('/quick-actions', verifyToken, requirePermission('chat:write'), chatValidation.quickAction, audit('QuickAction'), catchAsync(async (req, res) => {
     const newAction = new QuickAction(req.body);
     await newAction.save();
     res.status(201).json({ success: true, data: newAction });
 }));
 
 // Update a quick action
-router.put('/quick-actions/:id', verifyToken, verifyAdmin, catchAsync(async (req, res) => {
+router.put('/quick-actions/:id', verifyToken, requirePermission('chat:write'), audit('QuickAction'), catchAsync(async (req, res) => {
     const { id } = req.params;
     
     if (!id.match(/^[0-9a-fA-F]{24}$/)) {
@@ -228,7 +229,7 @@ router.put('/quick-actions/:id', verifyToken, verifyAdmin, catchAsync(async (req
 }));
 
 // Delete a quick action
-router.delete('/quick-actions/:id', verifyToken, verifyAdmin, catchAsync(async (req, res) => {
+router.delete('/quick-actions/:id', verifyToken, requirePermission('chat:delete'), audit('QuickAction'), catchAsync(async (req, res) => {
     const { id } = req.params;
     
     if (!id.match(/^[0-9a-fA-F]{24}$/)) {
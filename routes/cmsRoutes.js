@@ -1,9 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const cmsController = require('../controllers/cmsController');
-const { verifyToken, verifyAdmin } = require('../middleware/auth');
+const { verifyToken, requirePermission } = require('../middleware/auth');
 const { blogValidation, categoryValidation, productValidation, queryValidation } = require('../middleware/validators');
 const { apiLimiter, adminLimiter } = require('../middleware/rateLimiter');
+const { audit } = require('../middleware/audit');
 
 // ===== PUBLIC ROUTES (with standard rate limiting) =====
 
@@ -26,26 +27,26 @@ router.get('/content/:identifier', cmsController.getContentBlock);
 // ===== ADMIN ROUTES =====
 
 // App Config management (Admin)
-router.put('/app-config', verifyToken, verifyAdmin, adminLimiter, cmsController.updateAppConfig);
+router.put('/app-config', verifyToken, requirePermission('content:write'), adminLimiter, audit('AppConfig', { find: () => ({}) }), cmsController.updateAppConfig);
 
 // Content management (Admin)
-router.post('/content', verifyToken, verifyAdmin, adminLimiter, cmsController.createContentBlock);
+router.post('/content', verifyToken, requirePermission('content:write'), adminLimiter, audit('ContentBlock', { find: req => ({ identifier: req.body.identifier }) }), cmsController.createContentBlock);
 
 // Blog management (Admin)
-router.post('/blogs', verifyToken, verifyAdmin, adminLimiter, blogValidation.create, cmsController.createBlog);
-router.put('/blogs/:id', verifyToken, verifyAdmin, adminLimiter, blogValidation.update, cmsController.updateBlog);
-router.delete('/blogs/:id', verifyToken, verifyAdmin, adminLimiter, cmsController.deleteBlog);
+router.post('/blogs', verifyToken, requirePermission('blogs:write'), adminLimiter, blogValidation.create, audit('Blog'), cmsController.createBlog);
+router.put('/blogs/:id', verifyToken, requirePermission('blogs:write'), adminLimiter, blogValidation.update, audit('Blog'), cmsController.updateBlog);
+router.delete('/blogs/:id', verifyToken, requirePermission('blogs:delete'), adminLimiter, audit('Blog'), cmsController.deleteBlog);
 
 // Category management (Admin)
-router.post('/categories', verifyToken, verifyAdmin, adminLimiter, categoryValidation.create, cmsController.createCategory);
-router.put('/categories/:id', verifyToken, verifyAdmin, adminLimiter, categoryValidation.update, cmsController.updateCategory);
-router.delete('/categories/:id', verifyToken, verifyAdmin, adminLimiter, cmsController.deleteCategory);
+router.post('/categories', verifyToken, requirePermission('content:write'), adminLimiter, categoryValidation.create, audit('Category'), cmsController.createCategory);
+router.put('/categories/:id', verifyToken, requirePermission('content:write'), adminLimiter, categoryValidation.update, audit('Category'), cmsController.updateCategory);
+router.delete('/categories/:id', verifyToken, requirePermission('content:write'), adminLimiter, audit('Category'), cmsController.deleteCategory);
 
 // Product management (Admin)
-router.post('/products', verifyToken, verifyAdmin, adminLimiter, productValidation.create, cmsController.createProduct);
+router.post('/products', verifyToken, requirePermission('content:write'), adminLimiter, productValidation.create, audit('Product'), cmsController.createProduct);
 
-// Frontend Users (Admin)
-router.get('/frontend-users', verifyToken, verifyAdmin, queryValidation.pagination, cmsController.getFrontendUsers);
+// Frontend Users (Admin) - kept for older admin builds, which expect a bare array (new clients use GET /admin-customers)
+router.get('/frontend-users', verifyToken, requirePermission('customers:read'), queryValidation.pagination, cmsController.getFrontendUsers);
 
 // ===== CATCH-ALL for Content Blocks - MUST BE LAST =====
 // For direct /content mount (e.g., /api/v1/content/banner-1)
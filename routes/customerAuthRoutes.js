@@ -1,12 +1,26 @@
 const express = require('express');
 const router = express.Router();
 const customerAuthController = require('../controllers/customerAuthController');
-const { apiLimiter } = require('../middleware/rateLimiter');
+const { authLimiter, otpSendLimiter, otpVerifyLimiter } = require('../middleware/rateLimiter');
+const { verifyCustomer, optionalCustomer } = require('../middleware/auth');
+const { authValidation, customerAuthValidation } = require('../middleware/validators');
 
 console.log('[DEBUG_LOAD] customerAuthRoutes loaded');
 
-// Rate limit OTP requests strictly
-router.post('/send-otp', customerAuthController.sendOtp);
-router.post('/verify-otp', apiLimiter, customerAuthController.verifyOtp);
+// Rate limit OTP requests strictly (per IP here, per phone/email in otpService)
+router.post('/send-otp', otpSendLimiter, customerAuthController.sendOtp);
+router.post('/verify-otp', otpVerifyLimiter, customerAuthController.verifyOtp);
+
+// Email OTP (passwordless email login / signup)
+router.post('/email/send-otp', otpSendLimiter, customerAuthValidation.sendEmailOtp, customerAuthController.sendEmailOtp);
+router.post('/email/verify-otp', otpVerifyLimiter, customerAuthValidation.verifyEmailOtp, customerAuthController.verifyEmailOtp);
+
+// Google sign-in (ID token)
+router.post('/google', authLimiter, customerAuthValidation.google, customerAuthController.googleSignIn);
+
+// Session management
+router.post('/refresh-token', authLimiter, authValidation.refreshToken, customerAuthController.refreshToken);
+router.post('/logout', optionalCustomer, authValidation.refreshToken, customerAuthController.logout);
+router.get('/me', verifyCustomer, customerAuthController.getMe);
 
 module.exports = router;
@@ -0,0 +1,78 @@
+const express = require('express');
+const { ipKeyGenerator } = require('express-rate-limit');
+const router = express.Router();
+const customerController = require('../controllers/customerController');
+const familyMemberController = require('../controllers/familyMemberController');
+const privacyController = require('../controllers/privacyController');
+const { verifyCustomer } = require('../middleware/auth');
+const { customerValidation } = require('../middleware/validators');
+const { uploadAvatar, validateUpload, handleMulterError } = require('../middleware/fileUpload');
+const { uploadLimiter, createLimiter, otpSendLimiter, otpVerifyLimiter } = require('../middleware/rateLimiter');
+
+// OTPs cost money - limit phone/email change requests per customer
+const contactChangeLimiter = createLimiter({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 5,
+    keyGenerator: (req) => req.customer?.id || ipKeyGenerator(req.ip),
+    message: {
+        success: false,
+        message: 'Too many verification attempts, please try again after an hour'
+    }
+});
+
+// Data exports are built on demand - keep them rare
+const exportLimiter = createLimiter({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 5,
+    keyGenerator: (req) => req.customer?.id || ipKeyGenerator(req.ip),
+    message: {
+        success: false,
+        message: 'Too many data export requests, please try again after an hour'
+    }
+});
+
+// All customer routes require a customer token
+router.use(verifyCustomer);
+
+// Profile
+router.get('/me', customerController.getProfile);
+router.put('/me', customerValidation.updateProfile, customerController.updateProfile);
+
+// Profile picture
+router.post('/me/avatar',
+    uploadLimiter,
+    uploadAvatar.single('avatar'),
+    handleMulterError,
+    validateUpload,
+    customerController.uploadAvatar
+);
+router.delete('/me/avatar', customerController.removeAvatar);
+
+// Phone number change (OTP to the new number)
+router.post('/me/phone', otpSendLimiter, contactChangeLimiter, customerValidation.requestPhoneChange, customerController.requestPhoneChange);
+router.put('/me/phone', otpVerifyLimiter, contactChangeLimiter, customerValidation.verifyPhoneChange, customerController.verifyPhoneChange);
+
+// Email linking (OTP to the address) - enables email OTP login
+router.post('/me/email', otpSendLimiter, contactChangeLimiter, customerValidation.requestEmailLink, customerController.requestEmailLink);
+router.put('/me/email', otpVerifyLimiter, contactChangeLimiter, customerValidation.verifyEmailLink, customerController.verifyEmailLink);
+
+// Address book
+router.get('/me/addresses', customerController.getAddresses);
+router.post('/me/addresses', customerValidation.createAddress, customerController.addAddress);
+router.put('/me/addresses/:addressId', customerValidation.updateAddress, customerController.updateAddress);
+router.patch('/me/addresses/:addressId/default', customerValidation.addressId, customerController.setDefaultAddress);
+router.delete('/me/addresses/:addressId', customerValidation.addressId, customerController.deleteAddress);
+
+// Family members (sankalpam details)
+router.get('/me/family', familyMemberController.getFamilyMembers);
+router.post('/me/family', customerValidation.createFamilyMember, familyMemberController.addFamilyMember);
+router.put('/me/family/:memberId', customerValidation.updateFamilyMember, familyMemberController.updateFamilyMember);
+router.delete('/me/family/:memberId', customerValidation.familyMemberId, familyMemberController.deleteFamilyMember);
+
+// Privacy - data export and account deletion (with grace period)
+router.get('/me/export', exportLimiter, customerValidation.exportData, privacyController.exportData);
+router.get('/me/deletion-request', privacyController.getDeletionRequest);
+router.post('/me/deletion-request', customerValidation.requestDeletion, privacyController.requestDeletion);
+router.delete('/me/deletion-request', privacyController.cancelDeletionRequest);
+
+module.exports = router;
@@ -1,19 +1,47 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Enquiry = require('../models/Enquiry');
-const { verifyToken, verifyAdmin } = require('../middleware/auth');
+const Temple = require('../models/Temple');
+const { verifyToken, verifyTokenOrApiKey, requirePermission, verifyCustomer, optionalCustomer } = require('../middleware/auth');
 const { adminLimiter } = require('../middleware/rateLimiter');
 const { catchAsync } = require('../middleware/errorHandler');
+const { audit } = require('../middleware/audit');
+const { customerValidation, bookingValidation, priestValidation } = require('../middleware/validators');
+const familyMemberService = require('../services/familyMemberService');
+const bookingService = require('../services/bookingService');
+const logger = require('../services/logger');
+const AppError = require('../utils/AppError');
+
+// Create enquiry (public - for frontend form submission, linked to the customer when logged in)
+router.post('/', optionalCustomer, customerValidation.memberIds, catchAsync(async (req, res) => {
+    const { type, festivalId, festivalName, userDetails, formData, templeId, memberIds = [] } = req.body;
+
+    // Family member profiles can only be referenced by their owner
+    if (memberIds.length && !req.customer) {
+        throw new AppError('Please log in to use saved family members', 401);
+    }
+    const members = await familyMemberService.resolveMembers(req.customer?.id, memberIds);
 
-// Create enquiry (public - for frontend form submission)
-router.post('/', catchAsync(async (req, res) => {
-    const { type, festivalId, festivalName, userDetails, formData } = req.body;
+    // Optional link to a temple from the catalog
+    if (templeId && !(mongoose.isValidObjectId(templeId) && await Temple.exists({ _id: templeId, isActive: true }))) {
+        throw new AppError('Temple not found', 400);
+    }
 
     const enquiry = new Enquiry({
         type: type || 'festival', // Default to 'festival' if not provided
         festivalId,
         festivalName,
-        userDetails,
+        userDetails: req.customer
+            ? {
+                name: userDetails?.name || req.customer.name,
+                email: userDetails?.email || req.customer.email,
+                phone: userDetails?.phone || req.customer.phone
+            }
+            : userDetails,
+        customer: req.customer?.id || null,
+        members,
+        temple: templeId || null,
         formData,
         status: 'New'
     });
@@ -33,20 +61,52 @@ router.post('/', catchAsync(async (req, res) => {
     });
 }));
 
-// All enquiry routes require admin authentication
-router.use(verifyToken, verifyAdmin);
+// Enquiries submitted by the logged in customer
+router.get('/mine', verifyCustomer, catchAsync(async (req, res) => {
+    const { limit = 20, page = 1 } = req.query;
+    const query = { customer: req.customer.id };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [enquiries, total] = await Promise.all([
+        Enquiry.find(query)
+            .select('-contactNote')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit))
+            .lean(),
+        Enquiry.countDocuments(query)
+    ]);
+
+    res.json({
+        success: true,
+        enquiries,
+        pagination: {
+            total,
+            page: parseInt(page),
+            limit: parseInt(limit),
+            pages: Math.ceil(total / parseInt(limit))
+        }
+    });
+}));
+
+// All enquiry routes below require authentication
+// (an admin token, or an API key with the matching scope where noted)
 
-// Get all enquiries
-router.get('/', adminLimiter, catchAsync(async (req, res) => {
-    const { status, type, limit = 100, page = 1 } = req.query;
+// Get all enquiries (admin or API key)
+router.get('/', verifyTokenOrApiKey('enquiries:read'), adminLimiter, requirePermission('enquiries:read'), catchAsync(async (req, res) => {
+    const { status, type, converted, temple, limit = 100, page = 1 } = req.query;
 
     const query = {};
     if (status) query.status = status;
     if (type) query.type = type; // Filter by type (festival/panchangam)
+    if (temple && mongoose.isValidObjectId(temple)) query.temple = temple;
+    if (converted !== undefined) query.booking = converted === 'true' ? { $ne: null } : null; // Converted into a booking?
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     const [enquiries, total] = await Promise.all([
         Enquiry.find(query)
+            .populate('booking', 'bookingNumber status scheduledAt')
+            .populate('temple', 'name slug')
             .sort({ createdAt: -1 })
             .skip(skip)
             .limit(parseInt(limit))
@@ -66,9 +126,14 @@ router.get('/', adminLimiter, catchAsync(async (req, res) => {
     });
 }));
 
-// Get single enquiry
-router.get('/:id', adminLimiter, catchAsync(async (req, res) => {
-    const enquiry = await Enquiry.findById(req.params.id).lean();
+// Get single enquiry (admin or API key)
+router.get('/:id', verifyTokenOrApiKey('enquiries:read'), adminLimiter, requirePermission('enquiries:read'), catchAsync(async (req, res) => {
+    const enquiry = await Enquiry.findById(req.params.id)
+        .populate('booking', 'bookingNumber status scheduledAt sevaName')
+        .populate('convertedBy', 'name email')
+        .populate('assignedPriest', 'name phone languages')
+        .populate('temple', 'name slug address contact')
+        .lean();
 
     if (!enquiry) {
         return res.status(404).json({
@@ -80,8 +145,8 @@ router.get('/:id', adminLimiter, catchAsync(async (req, res) => {
     res.json({ success: true, enquiry });
 }));
 
-// Update enquiry status
-router.put('/:id/status', adminLimiter, catchAsync(async (req, res) => {
+// Update enquiry status (admin or API key)
+router.put('/:id/status', verifyTokenOrApiKey('enquiries:write'), adminLimiter, requirePermission('enquiries:write'), audit('Enquiry'), catchAsync(async (req, res) => {
     const { status, contactNote } = req.body;
 
     const updateData = { status };
@@ -107,8 +172,47 @@ router.put('/:id/status', adminLimiter, catchAsync(async (req, res) => {
     res.json({ success: true, enquiry });
 }));
 
+// Convert an enquiry into a confirmed booking (links both and completes the enquiry)
+router.post('/:id/convert', verifyToken, adminLimiter, requirePermission('enquiries:write', 'bookings:write'), bookingValidation.convertEnquiry, audit('Enquiry', { action: 'update' }), catchAsync(async (req, res) => {
+    const { booking, enquiry } = await bookingService.convertEnquiry(req.params.id, req.body, req.user.id);
+
+    logger.info('Enquiry converted into booking', { enquiryId: enquiry._id, bookingId: booking._id, convertedBy: req.user.id });
+    bookingService.notify(req.app.get('socketio'), 'new_booking', booking);
+
+    res.status(201).json({
+        success: true,
+        message: 'Enquiry converted into a booking',
+        booking,
+        enquiry
+    });
+}));
+
+// Assign a verified priest to an enquiry (priestId: null unassigns)
+router.patch('/:id/priest', verifyToken, adminLimiter, requirePermission('enquiries:write'), priestValidation.assign, audit('Enquiry'), catchAsync(async (req, res) => {
+    const { priestId } = req.body;
+    const priest = priestId ? await bookingService.findAssignablePriest(priestId) : null;
+
+    const enquiry = await Enquiry.findByIdAndUpdate(
+        req.params.id,
+        {
+            assignedPriest: priest?._id || null,
+            priestAssignedAt: priest ? new Date() : null
+        },
+        { new: true }
+    ).populate('assignedPriest', 'name phone languages');
+
+    if (!enquiry) {
+        return res.status(404).json({
+            success: false,
+            message: 'Enquiry not found'
+        });
+    }
+
+    res.json({ success: true, enquiry });
+}));
+
 // Generic update enquiry (PATCH)
-router.patch('/:id', adminLimiter, catchAsync(async (req, res) => {
+router.patch('/:id', verifyToken, adminLimiter, requirePermission('enquiries:write'), audit('Enquiry'), catchAsync(async (req, res) => {
     const updates = req.body;
 
     // Special handling for status change to 'Contacted'
@@ -133,7 +237,7 @@ router.patch('/:id', adminLimiter, catchAsync(async (req, res) => {
 }));
 
 // Delete enquiry
-router.delete('/:id', adminLimiter, catchAsync(async (req, res) => {
+router.delete('/:id', verifyToken, adminLimiter, requirePermission('enquiries:delete'), audit('Enquiry'), catchAsync(async (req, res) => {
     const enquiry = await Enquiry.findByIdAndDelete(req.params.id);
 
     if (!enquiry) {
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const muhurthamController = require('../controllers/muhurthamController');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { muhurthamValidation } = require('../middleware/validators');
+const { adminLimiter } = require('../middleware/rateLimiter');
+const { audit } = require('../middleware/audit');
+
+// Public finder
+router.get('/', muhurthamValidation.search, muhurthamController.findMuhurthams);
+router.get('/event-types', muhurthamController.getEventTypes);
+
+// Rule management (Admin)
+router.get('/rules', verifyToken, requirePermission('spiritual:write'), muhurthamController.getRules);
+router.put('/rules/:eventType', verifyToken, adminLimiter, requirePermission('spiritual:write'), muhurthamValidation.updateRule, audit('MuhurthamRule', { find: req => ({ eventType: req.params.eventType }) }), muhurthamController.updateRule);
+router.delete('/rules/:eventType', verifyToken, adminLimiter, requirePermission('spiritual:write'), muhurthamValidation.eventType, audit('MuhurthamRule', { find: req => ({ eventType: req.params.eventType }) }), muhurthamController.resetRule);
+
+module.exports = router;
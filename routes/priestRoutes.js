@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const priestController = require('../controllers/priestController');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { priestValidation, validateObjectId } = require('../middleware/validators');
+const { adminLimiter } = require('../middleware/rateLimiter');
+const { audit } = require('../middleware/audit');
+
+// Public directory - verified, active priests without contact details
+router.get('/public', priestValidation.list, priestController.getPublicPriests);
+router.get('/public/:id', validateObjectId('id'), priestController.getPublicPriest);
+
+// Admin routes
+router.get('/availability', verifyToken, requirePermission('priests:read'), priestValidation.availabilitySearch, priestController.searchAvailability);
+router.get('/', verifyToken, requirePermission('priests:read'), priestValidation.list, priestController.getPriests);
+router.get('/:id', verifyToken, requirePermission('priests:read'), validateObjectId('id'), priestController.getPriest);
+router.post('/', verifyToken, adminLimiter, requirePermission('priests:write'), priestValidation.create, audit('Priest'), priestController.createPriest);
+router.put('/:id', verifyToken, adminLimiter, requirePermission('priests:write'), priestValidation.update, audit('Priest'), priestController.updatePriest);
+router.patch('/:id/verification', verifyToken, adminLimiter, requirePermission('priests:write'), priestValidation.verification, audit('Priest'), priestController.updateVerification);
+router.get('/:id/availability', verifyToken, requirePermission('priests:read'), priestValidation.calendar, priestController.getAvailability);
+router.put('/:id/availability', verifyToken, adminLimiter, requirePermission('priests:write'), priestValidation.updateAvailability, audit('Priest'), priestController.updateAvailability);
+router.post('/:id/blackouts', verifyToken, adminLimiter, requirePermission('priests:write'), priestValidation.addBlackout, audit('Priest', { action: 'update' }), priestController.addBlackout);
+router.delete('/:id/blackouts/:blackoutId', verifyToken, adminLimiter, requirePermission('priests:write'), priestValidation.removeBlackout, audit('Priest', { action: 'update' }), priestController.removeBlackout);
+router.delete('/:id', verifyToken, adminLimiter, requirePermission('priests:delete'), validateObjectId('id'), audit('Priest'), priestController.deletePriest);
+
+module.exports = router;
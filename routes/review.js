@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const Review = require('../models/Review');
+const { verifyCustomer, optionalCustomer } = require('../middleware/auth');
 
 // Get all reviews (Admin: all, Public: approved) 
 // Simplification: query param ?status=approved for public
@@ -83,13 +84,27 @@ router.get('/all', async (req, res) => {
     }
 });
 
-// Create a review
-router.post('/', async (req, res) => {
+// Reviews submitted by the logged in customer
+router.get('/mine', verifyCustomer, async (req, res) => {
+    try {
+        const reviews = await Review.find({ customer: req.customer.id })
+            .sort({ createdAt: -1 })
+            .limit(100);
+
+        res.json(reviews);
+    } catch (error) {
+        res.status(500).json({ message: 'Error fetching reviews', error: error.message });
+    }
+});
+
+// Create a review (linked to the customer when logged in)
+router.post('/', optionalCustomer, async (req, res) => {
     try {
         const { name, email, rating, comment, city, service } = req.body;
         const newReview = new Review({
-            name,
-            email,
+            name: name || req.customer?.name,
+            email: email || req.customer?.email,
+            customer: req.customer?.id || null,
             rating,
             comment,
             city,
@@ -1,23 +1,24 @@
 const express = require('express');
 const router = express.Router();
 const riderController = require('../controllers/riderController');
-const { verifyToken, verifyAdmin } = require('../middleware/auth');
+const { verifyToken, requirePermission } = require('../middleware/auth');
 const { riderValidation, queryValidation } = require('../middleware/validators');
 const { adminLimiter } = require('../middleware/rateLimiter');
+const { audit } = require('../middleware/audit');
 
 // All rider routes require authentication
-router.use(verifyToken, verifyAdmin);
+router.use(verifyToken);
 
 // Get all riders with pagination
-router.get('/', queryValidation.pagination, riderController.getAllRiders);
+router.get('/', requirePermission('riders:read'), queryValidation.pagination, riderController.getAllRiders);
 
 // Create rider with validation and rate limiting
-router.post('/', adminLimiter, riderValidation.create, riderController.createRider);
+router.post('/', adminLimiter, requirePermission('riders:write'), riderValidation.create, audit('Rider'), riderController.createRider);
 
 // Update rider with validation
-router.put('/:id', adminLimiter, riderValidation.update, riderController.updateRider);
+router.put('/:id', adminLimiter, requirePermission('riders:write'), riderValidation.update, audit('Rider'), riderController.updateRider);
 
 // Delete rider with rate limiting
-router.delete('/:id', adminLimiter, riderController.deleteRider);
+router.delete('/:id', adminLimiter, requirePermission('riders:delete'), audit('Rider'), riderController.deleteRider);
 
 module.exports = router;
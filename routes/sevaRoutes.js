@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const sevaController = require('../controllers/sevaController');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { sevaValidation, validateObjectId } = require('../middleware/validators');
+const { adminLimiter } = require('../middleware/rateLimiter');
+const { audit } = require('../middleware/audit');
+
+// Public catalog and price quotes
+router.get('/', sevaValidation.list, sevaController.getSevas);
+router.get('/:id', validateObjectId('id'), sevaController.getSeva);
+router.post('/:id/quote', sevaValidation.quote, sevaController.quoteSeva);
+
+// Seva attributes (Admin)
+router.put('/:id', verifyToken, adminLimiter, requirePermission('content:write'), sevaValidation.update, audit('Product'), sevaController.updateSeva);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const smsController = require('../controllers/smsController');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { smsValidation } = require('../middleware/validators');
+const { adminLimiter } = require('../middleware/rateLimiter');
+const { audit } = require('../middleware/audit');
+
+// Provider delivery report webhook (authenticated by the ?token= shared secret)
+router.post('/delivery-reports/:provider', smsController.receiveDeliveryReport);
+
+// Admin routes
+router.get('/messages', verifyToken, requirePermission('sms:read'), smsValidation.messages, smsController.getMessages);
+router.get('/templates', verifyToken, requirePermission('sms:read'), smsController.getTemplates);
+router.put('/templates/:key', verifyToken, adminLimiter, requirePermission('sms:write'), smsValidation.updateTemplate, audit('SmsTemplate', { find: req => ({ key: req.params.key }) }), smsController.updateTemplate);
+router.delete('/templates/:key', verifyToken, adminLimiter, requirePermission('sms:write'), smsValidation.templateKey, audit('SmsTemplate', { find: req => ({ key: req.params.key }) }), smsController.resetTemplate);
+
+module.exports = router;
@@ -3,9 +3,19 @@ const router = express.Router();
 const GitaContent = require('../models/GitaContent');
 const Mantra = require('../models/Mantra');
 const Panchangam = require('../models/Panchangam');
-const { verifyToken, verifyAdmin } = require('../middleware/auth');
+const { verifyToken, verifyTokenOrApiKey, requirePermission } = require('../middleware/auth');
 const { adminLimiter } = require('../middleware/rateLimiter');
 const { catchAsync } = require('../middleware/errorHandler');
+const { audit } = require('../middleware/audit');
+
+/**
+ * Panchangam entries are keyed by the start of their day
+ */
+const panchangamDayFilter = (req) => {
+    const targetDate = new Date(req.body.date);
+    targetDate.setHours(0, 0, 0, 0);
+    return isNaN(targetDate) ? null : { date: targetDate };
+};
 
 // =============================================
 // GITA CONTENT ROUTES
@@ -21,7 +31,7 @@ router.get('/gita-sloka', catchAsync(async (req, res) => {
 }));
 
 // Get all Gita content (Admin)
-router.get('/gita', verifyToken, verifyAdmin, catchAsync(async (req, res) => {
+router.get('/gita', verifyToken, requirePermission('spiritual:write'), catchAsync(async (req, res) => {
     const { type } = req.query;
     const query = type ? { type } : {};
     const content = await GitaContent.find(query)
@@ -31,14 +41,14 @@ router.get('/gita', verifyToken, verifyAdmin, catchAsync(async (req, res) => {
 }));
 
 // Create Gita content (Admin)
-router.post('/gita', verifyToken, verifyAdmin, adminLimiter, catchAsync(async (req, res) => {
+router.post('/gita', verifyToken, requirePermission('spiritual:write'), adminLimiter, audit('GitaContent'), catchAsync(async (req, res) => {
     const newContent = new GitaContent(req.body);
     await newContent.save();
     res.status(201).json(newContent);
 }));
 
 // Update Gita content (Admin)
-router.put('/gita/:id', verifyToken, verifyAdmin, adminLimiter, catchAsync(async (req, res) => {
+router.put('/gita/:id', verifyToken, requirePermission('spiritual:write'), adminLimiter, audit('GitaContent'), catchAsync(async (req, res) => {
     const updated = await GitaContent.findByIdAndUpdate(
         req.params.id,
         req.body,
@@ -51,7 +61,7 @@ router.put('/gita/:id', verifyToken, verifyAdmin, adminLimiter, catchAsync(async
 }));
 
 // Delete Gita content (Admin)
-router.delete('/gita/:id', verifyToken, verifyAdmin, adminLimiter, catchAsync(async (req, res) => {
+router.delete('/gita/:id', verifyToken, requirePermission('spiritual:write'), adminLimiter, audit('GitaContent'), catchAsync(async (req, res) => {
     const deleted = await GitaContent.findByIdAndDelete(req.params.id);
     if (!deleted) {
         return res.status(404).json({ message: 'Gita content not found' });
@@ -81,7 +91,7 @@ router.get('/mantras/list', catchAsync(async (req, res) => {
 
 
 // Get all mantras (Admin)
-router.get('/mantras', verifyToken, verifyAdmin, catchAsync(async (req, res) => {
+router.get('/mantras', verifyToken, requirePermission('spiritual:write'), catchAsync(async (req, res) => {
     const mantras = await Mantra.find()
         .sort({ order: 1, createdAt: -1 })
         .lean();
@@ -89,14 +99,14 @@ router.get('/mantras', verifyToken, verifyAdmin, catchAsync(async (req, res) =>
 }));
 
 // Create mantra (Admin)
-router.post('/mantras', verifyToken, verifyAdmin, adminLimiter, catchAsync(async (req, res) => {
+router.post('/mantras', verifyToken, requirePermission('spiritual:write'), adminLimiter, audit('Mantra'), catchAsync(async (req, res) => {
     const newMantra = new Mantra(req.body);
     await newMantra.save();
     res.status(201).json(newMantra);
 }));
 
 // Update mantra (Admin)
-router.put('/mantras/:id', verifyToken, verifyAdmin, adminLimiter, catchAsync(async (req, res) => {
+router.put('/mantras/:id', verifyToken, requirePermission('spiritual:write'), adminLimiter, audit('Mantra'), catchAsync(async (req, res) => {
     const updated = await Mantra.findByIdAndUpdate(
         req.params.id,
         req.body,
@@ -109,7 +119,7 @@ router.put('/mantras/:id', verifyToken, verifyAdmin, adminLimiter, catchAsync(as
 }));
 
 // Delete mantra (Admin)
-router.delete('/mantras/:id', verifyToken, verifyAdmin, adminLimiter, catchAsync(async (req, res) => {
+router.delete('/mantras/:id', verifyToken, requirePermission('spiritual:write'), adminLimiter, audit('Mantra'), catchAsync(async (req, res) => {
     const deleted = await Mantra.findByIdAndDelete(req.params.id);
     if (!deleted) {
         return res.status(404).json({ message: 'Mantra not found' });
@@ -142,8 +152,8 @@ router.get('/panchangam', catchAsync(async (req, res) => {
     res.json(panchangam || { message: 'No panchangam data for this date' });
 }));
 
-// Get all Panchangam entries (Admin)
-router.get('/panchangam/all', verifyToken, verifyAdmin, catchAsync(async (req, res) => {
+// Get all Panchangam entries (Admin or API key)
+router.get('/panchangam/all', verifyTokenOrApiKey('panchangam:read'), requirePermission('spiritual:write'), catchAsync(async (req, res) => {
     const { startDate, endDate, limit = 30 } = req.query;
     const query = {};
 
@@ -163,7 +173,7 @@ router.get('/panchangam/all', verifyToken, verifyAdmin, catchAsync(async (req, r
 }));
 
 // Create or Update Panchangam (Admin) - Upsert by date
-router.post('/panchangam', verifyToken, verifyAdmin, adminLimiter, catchAsync(async (req, res) => {
+router.post('/panchangam', verifyToken, requirePermission('spiritual:write'), adminLimiter, audit('Panchangam', { find: panchangamDayFilter }), catchAsync(async (req, res) => {
     const { date, ...data } = req.body;
 
     // Set to start of day for consistent storage
@@ -180,7 +190,7 @@ router.post('/panchangam', verifyToken, verifyAdmin, adminLimiter, catchAsync(as
 }));
 
 // Delete Panchangam entry (Admin)
-router.delete('/panchangam/:id', verifyToken, verifyAdmin, adminLimiter, catchAsync(async (req, res) => {
+router.delete('/panchangam/:id', verifyToken, requirePermission('spiritual:write'), adminLimiter, audit('Panchangam'), catchAsync(async (req, res) => {
     const deleted = await Panchangam.findByIdAndDelete(req.params.id);
     if (!deleted) {
         return res.status(404).json({ message: 'Panchangam entry not found' });
@@ -2,9 +2,10 @@ const express = require('express');
 const router = express.Router();
 const { S3Client, ListObjectsV2Command, DeleteObjectCommand, DeleteObjectsCommand } = require('@aws-sdk/client-s3');
 const AppConfig = require('../models/AppConfig');
-const { verifyToken, verifyAdmin } = require('../middleware/auth');
+const { verifyToken, requirePermission } = require('../middleware/auth');
 const { adminLimiter } = require('../middleware/rateLimiter');
 const { catchAsync } = require('../middleware/errorHandler');
+const { audit } = require('../middleware/audit');
 const AppError = require('../utils/AppError');
 const logger = require('../services/logger');
 
@@ -18,11 +19,11 @@ const r2 = new S3Client({
     },
 });
 
-// All storage routes require admin authentication
-router.use(verifyToken, verifyAdmin, adminLimiter);
+// All storage routes require authentication
+router.use(verifyToken, adminLimiter);
 
 // Get Storage Usage (Analytics)
-router.get('/usage', catchAsync(async (req, res) => {
+router.get('/usage', requirePermission('storage:read'), catchAsync(async (req, res) => {
     const config = await AppConfig.findOne().lean();
     res.json({
         success: true,
@@ -31,7 +32,7 @@ router.get('/usage', catchAsync(async (req, res) => {
 }));
 
 // List Files with pagination
-router.get('/files', catchAsync(async (req, res) => {
+router.get('/files', requirePermission('storage:read'), catchAsync(async (req, res) => {
     const { prefix, continuationToken, maxKeys = 50 } = req.query;
     
     // Limit maxKeys to prevent abuse
@@ -71,7 +72,7 @@ router.get('/files', catchAsync(async (req, res) => {
 }));
 
 // Delete Single File
-router.delete('/files/:key', catchAsync(async (req, res) => {
+router.delete('/files/:key', requirePermission('storage:delete'), audit('R2Object', { targetId: req => decodeURIComponent(req.params.key) }), catchAsync(async (req, res) => {
     const { key } = req.params;
     
     if (!key) {
@@ -104,8 +105,8 @@ router.delete('/files/:key', catchAsync(async (req, res) => {
     res.json({ success: true, message: 'File deleted successfully' });
 }));
 
-// Bulk Delete Files (Admin only)
-router.post('/files/bulk-delete', catchAsync(async (req, res) => {
+// Bulk Delete Files
+router.post('/files/bulk-delete', requirePermission('storage:delete'), audit('R2Object', { action: 'delete', details: req => ({ keys: req.body.keys }) }), catchAsync(async (req, res) => {
     const { keys } = req.body;
     
     if (!Array.isArray(keys) || keys.length === 0) {
@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const templeController = require('../controllers/templeController');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { templeValidation, validateObjectId } = require('../middleware/validators');
+const { uploadImage, validateUpload, handleMulterError } = require('../middleware/fileUpload');
+const { adminLimiter, uploadLimiter } = require('../middleware/rateLimiter');
+const { audit } = require('../middleware/audit');
+
+// Public catalog
+router.get('/public', templeValidation.list, templeController.getPublicTemples);
+router.get('/public/:idOrSlug', templeController.getPublicTemple);
+
+// Admin routes
+router.get('/', verifyToken, requirePermission('temples:read'), templeValidation.list, templeController.getTemples);
+router.get('/:id', verifyToken, requirePermission('temples:read'), validateObjectId('id'), templeController.getTemple);
+router.post('/', verifyToken, adminLimiter, requirePermission('temples:write'), templeValidation.create, audit('Temple'), templeController.createTemple);
+router.put('/:id', verifyToken, adminLimiter, requirePermission('temples:write'), templeValidation.update, audit('Temple'), templeController.updateTemple);
+router.delete('/:id', verifyToken, adminLimiter, requirePermission('temples:delete'), validateObjectId('id'), audit('Temple'), templeController.deleteTemple);
+
+// Photos (stored in R2)
+router.post('/:id/images',
+    verifyToken,
+    uploadLimiter,
+    requirePermission('temples:write'),
+    uploadImage.single('image'),
+    handleMulterError,
+    validateUpload,
+    templeValidation.image,
+    audit('Temple', { action: 'update' }),
+    templeController.addImage
+);
+router.delete('/:id/images/:imageId', verifyToken, adminLimiter, requirePermission('temples:write'), templeValidation.removeImage, audit('Temple', { action: 'update' }), templeController.removeImage);
+
+module.exports = router;
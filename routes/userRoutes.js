@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
 const { verifyToken } = require('../middleware/auth');
-const { userValidation, authValidation, queryValidation } = require('../middleware/validators');
+const { userValidation, authValidation, queryValidation, validateObjectId } = require('../middleware/validators');
 const { userBasedLimiter } = require('../middleware/rateLimiter');
 
 // All routes require authentication
@@ -22,4 +22,9 @@ router.put('/change-password',
 // Login history with pagination
 router.get('/login-history', queryValidation.pagination, userController.getLoginHistory);
 
+// Active sessions
+router.get('/sessions', userController.getSessions);
+router.post('/sessions/sign-out-others', userBasedLimiter(10, 15), userController.revokeOtherSessions);
+router.delete('/sessions/:id', userBasedLimiter(10, 15), validateObjectId('id'), userController.revokeSession);
+
 module.exports = router;
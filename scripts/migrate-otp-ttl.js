@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Otp = require('../models/Otp');
+
+dotenv.config();
+
+// OTPs now store their real expiry time in expiresAt - the TTL index must fire
+// at that time (expireAfterSeconds 0), not 300 seconds later. autoIndex cannot
+// change the options of an existing index, so update it in place.
+const INDEX_NAME = 'expiresAt_1';
+
+const migrateOtpTtl = async () => {
+    try {
+        await mongoose.connect(process.env.DATABASE_URL);
+        console.log('Connected to MongoDB');
+
+        const indexes = await Otp.collection.indexes().catch(() => []);
+        const ttlIndex = indexes.find(index => index.name === INDEX_NAME);
+
+        if (!ttlIndex) {
+            await Otp.collection.createIndex({ expiresAt: 1 }, { name: INDEX_NAME, expireAfterSeconds: 0 });
+            console.log(`Created ${INDEX_NAME} with expireAfterSeconds 0`);
+        } else if (ttlIndex.expireAfterSeconds !== 0) {
+            await mongoose.connection.db.command({
+                collMod: Otp.collection.collectionName,
+                index: { name: INDEX_NAME, expireAfterSeconds: 0 }
+            });
+            console.log(`Updated ${INDEX_NAME}: expireAfterSeconds ${ttlIndex.expireAfterSeconds} -> 0`);
+        } else {
+            console.log(`${INDEX_NAME} is already up to date`);
+        }
+
+        await mongoose.connection.close();
+    } catch (error) {
+        console.error('Error migrating the OTP TTL index:', error);
+        process.exit(1);
+    }
+};
+
+migrateOtpTtl();
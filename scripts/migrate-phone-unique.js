@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const FrontendUser = require('../models/FrontendUser');
+
+dotenv.config();
+
+// Customer phone numbers are now unique (partial index 'phone_unique').
+// Replaces the old non-unique 'phone_1' index - stops if two accounts
+// already share a number, so they can be merged or corrected first.
+const OLD_INDEX = 'phone_1';
+
+const migratePhoneUnique = async () => {
+    try {
+        await mongoose.connect(process.env.DATABASE_URL);
+        console.log('Connected to MongoDB');
+
+        const duplicates = await FrontendUser.aggregate([
+            { $match: { phone: { $type: 'string', $gt: '' } } },
+            { $group: { _id: '$phone', count: { $sum: 1 }, ids: { $push: '$_id' } } },
+            { $match: { count: { $gt: 1 } } }
+        ]);
+
+        if (duplicates.length > 0) {
+            console.log(`${duplicates.length} phone number(s) are shared by more than one account:`);
+            duplicates.forEach(item => console.log(`  ${item._id}: ${item.ids.join(', ')}`));
+            console.log('Resolve these accounts and run the migration again.');
+            await mongoose.connection.close();
+            process.exit(1);
+        }
+
+        const indexes = await FrontendUser.collection.indexes().catch(() => []);
+        if (indexes.some(index => index.name === OLD_INDEX)) {
+            await FrontendUser.collection.dropIndex(OLD_INDEX);
+            console.log(`Dropped ${OLD_INDEX}`);
+        }
+
+        await FrontendUser.createIndexes();
+        console.log('Unique phone index is in place');
+
+        await mongoose.connection.close();
+    } catch (error) {
+        console.error('Error migrating the phone index:', error);
+        process.exit(1);
+    }
+};
+
+migratePhoneUnique();
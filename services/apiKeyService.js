@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const net = require('net');
+const ApiKey = require('../models/ApiKey');
+const logger = require('./logger');
+
+const KEY_PREFIX = 'bms';
+
+/**
+ * Hash a raw API key for storage/lookup
+ * @param {string} key Raw key
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Generate a new random key
+ * @returns {{key: string, prefix: string, keyHash: string}}
+ */
+function generateKey() {
+    const key = `${KEY_PREFIX}_${crypto.randomBytes(32).toString('base64url')}`;
+    return {
+        key,
+        prefix: key.slice(0, KEY_PREFIX.length + 9),
+        keyHash: hashKey(key)
+    };
+}
+
+/**
+ * Strip the IPv4-mapped IPv6 prefix Express reports for IPv4 clients
+ */
+const normalizeIp = (ip) => (ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+
+/**
+ * Is an allowlist entry a valid IP or CIDR range?
+ * @param {string} entry
+ * @returns {boolean}
+ */
+function isValidAllowlistEntry(entry) {
+    if (typeof entry !== 'string') return false;
+    const [address, prefix] = entry.split('/');
+    const family = net.isIP(address);
+    if (!family) return false;
+    if (prefix === undefined) return true;
+
+    const bits = Number(prefix);
+    return Number.isInteger(bits) && bits >= 0 && bits <= (family === 4 ? 32 : 128);
+}
+
+/**
+ * Check an IP against an allowlist of IPs/CIDR ranges (empty list allows all)
+ * @param {string} ip Request IP
+ * @param {string[]} allowlist
+ * @returns {boolean}
+ */
+function isIpAllowed(ip, allowlist) {
+    if (!allowlist || allowlist.length === 0) return true;
+
+    const address = normalizeIp(ip);
+    const family = net.isIP(address);
+    if (!family) return false;
+
+    const blockList = new net.BlockList();
+    for (const entry of allowlist) {
+        const [range, prefix] = entry.split('/');
+        const type = net.isIP(range) === 6 ? 'ipv6' : 'ipv4';
+        if (prefix === undefined) blockList.addAddress(range, type);
+        else blockList.addSubnet(range, Number(prefix), type);
+    }
+    return blockList.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Look up an active key by its raw value
+ * @param {string} rawKey Key from the X-API-Key header
+ * @returns {Promise<Object|null>} Key document (lean) or null
+ */
+async function findActiveKey(rawKey) {
+    if (!rawKey || !rawKey.startsWith(`${KEY_PREFIX}_`)) return null;
+
+    const key = await ApiKey.findOne({ keyHash: hashKey(rawKey), revokedAt: null }).lean();
+    if (!key) return null;
+    if (key.expiresAt && key.expiresAt <= new Date()) return null;
+    return key;
+}
+
+/**
+ * Record that a key was used. Best effort - never blocks the request.
+ * @param {string} keyId
+ * @param {string} ip
+ */
+function recordUsage(keyId, ip) {
+    ApiKey.updateOne(
+        { _id: keyId },
+        { $set: { lastUsedAt: new Date(), lastUsedIp: normalizeIp(ip) }, $inc: { usageCount: 1 } }
+    ).catch(error => logger.logError(error, { context: 'apiKeyService.recordUsage', keyId }));
+}
+
+module.exports = {
+    hashKey,
+    generateKey,
+    isValidAllowlistEntry,
+    isIpAllowed,
+    findActiveKey,
+    recordUsage
+};
@@ -0,0 +1,94 @@
+const AuditLog = require('../models/AuditLog');
+const { config } = require('../config/env');
+const logger = require('./logger');
+
+// Bookkeeping fields that change on every write and carry no meaning
+const IGNORED_FIELDS = ['__v', 'updatedAt'];
+
+// Values of matching keys are never written to the audit trail
+const SENSITIVE_KEY_REGEX = /password|token|secret|recoveryCodes|otp/i;
+
+const MAX_DEPTH = 4;
+const MAX_VALUE_LENGTH = 2000;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Flatten a document into dot paths (arrays are compared as a whole)
+ */
+function flatten(value, prefix = '', depth = 0, out = {}) {
+    for (const [key, child] of Object.entries(value || {})) {
+        if (IGNORED_FIELDS.includes(key)) continue;
+
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (SENSITIVE_KEY_REGEX.test(key)) {
+            out[path] = '[REDACTED]';
+        } else if (isPlainObject(child) && depth < MAX_DEPTH) {
+            flatten(child, path, depth + 1, out);
+        } else {
+            out[path] = child;
+        }
+    }
+    return out;
+}
+
+/**
+ * Keep large values (e.g. blog bodies) from bloating the audit collection
+ */
+function truncate(value) {
+    if (value === undefined) return null;
+    const serialized = JSON.stringify(value);
+    if (serialized && serialized.length > MAX_VALUE_LENGTH) {
+        return `[truncated ${serialized.length} chars]`;
+    }
+    return value;
+}
+
+/**
+ * Compute a field level diff between two versions of a document
+ * @param {Object|null} before Document before the change (null for creates)
+ * @param {Object|null} after Document after the change (null for deletes)
+ * @returns {Array<{path: string, before: any, after: any}>} One entry per changed path
+ */
+function computeDiff(before, after) {
+    // JSON round trip turns ObjectIds and Dates into comparable strings
+    const flatBefore = flatten(before ? JSON.parse(JSON.stringify(before)) : {});
+    const flatAfter = flatten(after ? JSON.parse(JSON.stringify(after)) : {});
+
+    const diff = [];
+    const paths = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+
+    for (const path of paths) {
+        const previous = flatBefore[path];
+        const next = flatAfter[path];
+        if (JSON.stringify(previous) !== JSON.stringify(next)) {
+            diff.push({
+                path,
+                before: truncate(previous),
+                after: truncate(next)
+            });
+        }
+    }
+    return diff;
+}
+
+/**
+ * Write an audit entry. Never throws - auditing must not break the request.
+ * @param {Object} entry AuditLog fields
+ */
+async function record(entry) {
+    try {
+        const expiresAt = config.audit.retentionDays > 0
+            ? new Date(Date.now() + config.audit.retentionDays * 24 * 60 * 60 * 1000)
+            : undefined;
+
+        await AuditLog.create({ ...entry, expiresAt });
+    } catch (error) {
+        logger.logError(error, { context: 'auditService.record', targetModel: entry.targetModel });
+    }
+}
+
+module.exports = {
+    computeDiff,
+    record
+};
@@ -0,0 +1,351 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Booking = require('../models/Booking');
+const Enquiry = require('../models/Enquiry');
+const Priest = require('../models/Priest');
+const Temple = require('../models/Temple');
+const AppError = require('../utils/AppError');
+const smsService = require('./smsService');
+const logger = require('./logger');
+
+// Product category that holds bookable sevas / poojas
+const SEVA_CATEGORY = 'Puja Service';
+
+// Statuses the devotee is told about by SMS
+const SMS_STATUSES = ['confirmed', 'priest_assigned', 'completed', 'cancelled'];
+
+const STATUS_LABELS = {
+    requested: 'requested',
+    confirmed: 'confirmed',
+    priest_assigned: 'confirmed with a priest assigned',
+    completed: 'completed',
+    cancelled: 'cancelled'
+};
+
+/**
+ * Load a bookable seva
+ * @param {string} sevaId Product id
+ * @returns {Promise<Object>} Product (lean)
+ * @throws {AppError} 400 when the product is not an available seva
+ */
+async function findBookableSeva(sevaId) {
+    const seva = await Product.findOne({ _id: sevaId, category: SEVA_CATEGORY }).lean();
+    if (!seva) {
+        throw new AppError('Seva not found', 400);
+    }
+    if (!seva.inStock) {
+        throw new AppError('This seva is not available for booking right now', 400);
+    }
+    return seva;
+}
+
+/**
+ * Price charged for a seva (sale price when set)
+ * @param {Object} seva Product
+ * @returns {number}
+ */
+function priceOf(seva) {
+    return typeof seva.salePrice === 'number' ? seva.salePrice : seva.price;
+}
+
+/**
+ * Load a priest that can be assigned work (verified and active)
+ * @param {string} priestId
+ * @returns {Promise<Object>} Priest (lean)
+ * @throws {AppError} 400 when the priest does not exist or cannot be assigned
+ */
+async function findAssignablePriest(priestId) {
+    const priest = await Priest.findById(priestId).select('name phone status verificationStatus').lean();
+    if (!priest) {
+        throw new AppError('Priest not found', 400);
+    }
+    if (priest.verificationStatus !== 'verified' || priest.status !== 'Active') {
+        throw new AppError('Only verified, active priests can be assigned', 400);
+    }
+    return priest;
+}
+
+/**
+ * Validate a location sent with a request - home sevas need a full address
+ * @param {Object} [location]
+ * @returns {Object} Location with its type defaulted to 'home'
+ * @throws {AppError} 400 when a home seva has no address
+ */
+function buildLocation(location = {}) {
+    const type = location.type || 'home';
+    if (type === 'home' && !(location.line1 && location.city && location.state && location.pincode)) {
+        throw new AppError('Address line 1, city, state and pincode are required for a home seva', 400);
+    }
+    return { ...location, type };
+}
+
+/**
+ * Load a temple a seva can be booked at and build the booking location from its address
+ * @param {string} templeId
+ * @param {Date|string} scheduledAt
+ * @returns {Promise<{temple: Object, location: Object}>}
+ * @throws {AppError} 400 when the temple is unknown, inactive or closed that day
+ */
+async function resolveTemple(templeId, scheduledAt) {
+    const temple = await Temple.findOne({ _id: templeId, isActive: true }).select('name address sevas holidays').lean();
+    if (!temple) {
+        throw new AppError('Temple not found', 400);
+    }
+
+    const day = new Date(scheduledAt).toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+    const holiday = temple.holidays.find(item => item.date.toISOString().slice(0, 10) === day);
+    if (holiday) {
+        throw new AppError(`${temple.name} is closed on ${day} (${holiday.name})`, 400);
+    }
+
+    const { line1, line2, landmark, city, state, pincode } = temple.address;
+    return {
+        temple,
+        location: { type: 'temple', line1: line1 || temple.name, line2, landmark, city, state, pincode }
+    };
+}
+
+/**
+ * Work out what a seva costs for a configuration.
+ * Base price: the temple's own price when it lists the seva, else the seva's
+ * price rule for the mode and city, then for the mode in any city, then the
+ * catalog price (sale price when set). Add-ons are charged on top.
+ * @param {Object} seva Product (lean)
+ * @param {Object} [options]
+ * @param {string} [options.mode='in_person'] 'in_person' | 'online'
+ * @param {string} [options.city] Where an in-person seva is performed
+ * @param {string[]} [options.addOnIds] Add-ons chosen
+ * @param {Object} [options.temple] Temple (lean, with sevas) the seva is performed at
+ * @returns {Object} { seva, mode, basePrice, priceSource, addOns, total, currency, durationMinutes, priestCount, samagri }
+ * @throws {AppError} 400 for a mode the seva is not offered in or an unknown add-on
+ */
+function quoteSeva(seva, { mode = 'in_person', city, addOnIds = [], temple } = {}) {
+    const modes = seva.modes?.length ? seva.modes : Product.SEVA_MODES;
+    if (!modes.includes(mode)) {
+        throw new AppError(`${seva.name} is not offered ${mode === 'online' ? 'online' : 'in person'}`, 400);
+    }
+
+    const cityKey = mode === 'online' ? '' : (city || '').trim().toLowerCase();
+    const rules = (seva.pricing || []).filter(rule => rule.mode === mode);
+    const cityRule = cityKey && rules.find(rule => rule.city && rule.city.toLowerCase() === cityKey);
+    const modeRule = rules.find(rule => !rule.city);
+    const templeSeva = temple?.sevas?.find(item => item.isActive && item.seva && item.seva.equals(seva._id));
+
+    let basePrice = priceOf(seva);
+    let priceSource = 'catalog';
+    if (templeSeva) {
+        basePrice = templeSeva.price;
+        priceSource = 'temple';
+    } else if (cityRule) {
+        basePrice = cityRule.price;
+        priceSource = 'city';
+    } else if (modeRule) {
+        basePrice = modeRule.price;
+        priceSource = 'mode';
+    }
+
+    const available = new Map((seva.addOns || []).filter(addOn => addOn.isActive).map(addOn => [addOn._id.toString(), addOn]));
+    const addOns = [...new Set(addOnIds.map(String))].map(id => {
+        const addOn = available.get(id);
+        if (!addOn) {
+            throw new AppError('One or more add-ons are not available for this seva', 400);
+        }
+        return { addOn: addOn._id, name: addOn.name, price: addOn.price, durationMinutes: addOn.durationMinutes || 0 };
+    });
+
+    const extraMinutes = addOns.reduce((sum, addOn) => sum + addOn.durationMinutes, 0);
+
+    return {
+        seva: { _id: seva._id, name: seva.name },
+        mode,
+        city: cityKey ? city.trim() : undefined,
+        temple: templeSeva ? { _id: temple._id, name: temple.name } : undefined,
+        basePrice,
+        priceSource,
+        addOns,
+        total: basePrice + addOns.reduce((sum, addOn) => sum + addOn.price, 0),
+        currency: 'INR',
+        durationMinutes: seva.durationMinutes ? seva.durationMinutes + extraMinutes : null,
+        priestCount: seva.priestCount || 1,
+        samagri: seva.samagri || []
+    };
+}
+
+/**
+ * Move a booking to a new status and record it in the history (does not save)
+ * @param {Object} booking Booking document
+ * @param {string} status Target status
+ * @param {Object} [options]
+ * @param {string} [options.actorId] Admin user id (omit for customer actions)
+ * @param {string} [options.note] Note stored with the history entry / cancellation reason
+ * @throws {AppError} 400 for transitions the lifecycle does not allow
+ */
+function applyStatus(booking, status, { actorId, note } = {}) {
+    if (!booking.canTransitionTo(status)) {
+        throw new AppError(`A ${booking.status} booking cannot be moved to ${status}`, 400);
+    }
+
+    booking.status = status;
+    booking.statusHistory.push({
+        status,
+        by: actorId,
+        byCustomer: !actorId,
+        note
+    });
+
+    if (status === 'cancelled') {
+        booking.cancellation = { reason: note, by: actorId ? 'admin' : 'customer', at: new Date() };
+    }
+    if (status === 'completed') {
+        booking.completedAt = new Date();
+    }
+}
+
+/**
+ * Turn an enquiry into a confirmed booking. The enquiry is claimed atomically
+ * (so it converts only once), linked to the booking and marked 'Completed'.
+ * @param {string} enquiryId
+ * @param {Object} input
+ * @param {string} input.sevaId Product in the 'Puja Service' category
+ * @param {Date|string} input.scheduledAt
+ * @param {Object} [input.location]
+ * @param {string} [input.templeId] Temple the seva is performed at (defaults to the enquiry's temple)
+ * @param {string[]} [input.addOnIds] Seva add-ons included in the price
+ * @param {Object} [input.contact] Overrides the enquiry's userDetails
+ * @param {number} [input.amount] Agreed price (defaults to the quoted total)
+ * @param {string} [input.note] Stored with the confirmation
+ * @param {string} actorId Admin converting the enquiry
+ * @returns {Promise<{booking: Object, enquiry: Object}>}
+ * @throws {AppError} 404 unknown enquiry, 409 already converted, 400 invalid input
+ */
+async function convertEnquiry(enquiryId, input, actorId) {
+    const enquiry = await Enquiry.findById(enquiryId).lean();
+    if (!enquiry) {
+        throw new AppError('Enquiry not found', 404);
+    }
+    if (enquiry.booking) {
+        throw new AppError('This enquiry has already been converted into a booking', 409);
+    }
+
+    const seva = await findBookableSeva(input.sevaId);
+    const templeId = input.templeId || enquiry.temple;
+    const atTemple = templeId ? await resolveTemple(templeId, input.scheduledAt) : null;
+    const location = atTemple
+        ? { ...atTemple.location, notes: input.location?.notes }
+        : buildLocation(input.location);
+    const quote = quoteSeva(seva, {
+        mode: location.type === 'online' ? 'online' : 'in_person',
+        city: location.city,
+        addOnIds: input.addOnIds,
+        temple: atTemple?.temple
+    });
+
+    const contact = {
+        name: input.contact?.name || enquiry.userDetails?.name,
+        phone: input.contact?.phone || enquiry.userDetails?.phone,
+        email: input.contact?.email || enquiry.userDetails?.email
+    };
+    if (!contact.name || !contact.phone) {
+        throw new AppError('The enquiry has no contact name or phone - please provide contact details', 400);
+    }
+
+    const bookingId = new mongoose.Types.ObjectId();
+    const claimed = await Enquiry.findOneAndUpdate(
+        { _id: enquiry._id, booking: null },
+        { $set: { booking: bookingId, status: 'Completed', convertedAt: new Date(), convertedBy: actorId } },
+        { new: true }
+    );
+    if (!claimed) {
+        throw new AppError('This enquiry has already been converted into a booking', 409);
+    }
+
+    try {
+        const booking = await Booking.create({
+            _id: bookingId,
+            customer: enquiry.customer || null,
+            source: 'enquiry',
+            enquiry: enquiry._id,
+            seva: seva._id,
+            sevaName: seva.name,
+            scheduledAt: input.scheduledAt,
+            location,
+            temple: atTemple?.temple._id || null,
+            contact,
+            members: enquiry.members || [],
+            formData: enquiry.formData,
+            addOns: quote.addOns,
+            durationMinutes: quote.durationMinutes,
+            price: { amount: input.amount !== undefined ? input.amount : quote.total },
+            status: 'confirmed',
+            statusHistory: [
+                { status: 'requested', at: enquiry.createdAt, byCustomer: true, note: `Enquiry: ${enquiry.festivalName}` },
+                { status: 'confirmed', by: actorId, note: input.note }
+            ]
+        });
+
+        return { booking, enquiry: claimed };
+    } catch (error) {
+        // Release the enquiry so the conversion can be retried
+        await Enquiry.updateOne(
+            { _id: enquiry._id, booking: bookingId },
+            { $set: { booking: null, status: enquiry.status }, $unset: { convertedAt: 1, convertedBy: 1 } }
+        );
+        throw error;
+    }
+}
+
+/**
+ * Minimal booking payload for dashboard socket events (no devotee details -
+ * events are broadcast, the dashboard loads the rest through the API)
+ */
+function toEventPayload(booking) {
+    return {
+        id: booking._id,
+        bookingNumber: booking.bookingNumber,
+        sevaName: booking.sevaName,
+        scheduledAt: booking.scheduledAt,
+        status: booking.status,
+        updatedAt: booking.updatedAt
+    };
+}
+
+/**
+ * Tell the admin dashboard (socket) and the devotee (SMS) about a booking change.
+ * Never throws - notifications must not fail the request.
+ * @param {Object} io Socket.io server (req.app.get('socketio'))
+ * @param {string} event 'new_booking' | 'booking_updated'
+ * @param {Object} booking Booking document
+ * @param {Object} [options]
+ * @param {boolean} [options.sms=true] Send the status SMS (off for changes that are not status changes)
+ */
+function notify(io, event, booking, { sms = true } = {}) {
+    if (io) {
+        io.emit(event, toEventPayload(booking));
+    }
+
+    if (sms && event === 'booking_updated' && SMS_STATUSES.includes(booking.status) && booking.contact?.phone) {
+        smsService.send({
+            to: booking.contact.phone,
+            template: 'booking_update',
+            variables: {
+                bookingId: booking.bookingNumber,
+                seva: booking.sevaName,
+                date: booking.scheduledAt.toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' }),
+                status: STATUS_LABELS[booking.status]
+            }
+        }).catch(error => logger.logError(error, { context: 'booking SMS', bookingId: booking._id }));
+    }
+}
+
+module.exports = {
+    SEVA_CATEGORY,
+    findBookableSeva,
+    priceOf,
+    findAssignablePriest,
+    resolveTemple,
+    quoteSeva,
+    buildLocation,
+    applyStatus,
+    convertEnquiry,
+    notify
+};
@@ -0,0 +1,230 @@
+const FrontendUser = require('../models/FrontendUser');
+const Enquiry = require('../models/Enquiry');
+const Booking = require('../models/Booking');
+const PriestSlot = require('../models/PriestSlot');
+const Review = require('../models/Review');
+const ChatSession = require('../models/ChatSession');
+const ChatMessage = require('../models/ChatMessage');
+const SmsMessage = require('../models/SmsMessage');
+const Otp = require('../models/Otp');
+const OtpRequest = require('../models/OtpRequest');
+const OtpSendLimit = require('../models/OtpSendLimit');
+const AccountDeletionRequest = require('../models/AccountDeletionRequest');
+const customerTokenService = require('./customerTokenService');
+const r2Service = require('./r2Service');
+const logger = require('./logger');
+
+// Placeholder written over personal fields of records that are kept
+const ANONYMIZED_NAME = 'Deleted user';
+
+/**
+ * Filters that find everything linked to a customer: by reference, or by
+ * phone / email for records submitted before they logged in
+ * @param {Object} customer FrontendUser (lean)
+ * @returns {{enquiries: Object, reviews: Object, chatSessions: Object, smsMessages: Object}}
+ */
+function buildLinkFilters(customer) {
+    const or = (refField, emailField, phoneField) => {
+        const conditions = [{ [refField]: customer._id }];
+        if (customer.email) conditions.push({ [emailField]: customer.email });
+        if (customer.phone) conditions.push({ [phoneField]: customer.phone });
+        return { $or: conditions };
+    };
+
+    return {
+        enquiries: or('customer', 'userDetails.email', 'userDetails.phone'),
+        reviews: customer.email
+            ? { $or: [{ customer: customer._id }, { email: customer.email }] }
+            : { customer: customer._id },
+        chatSessions: or('customer', 'guestDetails.email', 'guestDetails.phone'),
+        smsMessages: { to: customer.phone }
+    };
+}
+
+/**
+ * Collect every record linked to a customer ("download my data")
+ * @param {string} customerId FrontendUser id
+ * @returns {Promise<Object|null>} Export sections, or null when the customer does not exist
+ */
+async function collectCustomerData(customerId) {
+    const customer = await FrontendUser.findById(customerId).select('-otp -otpExpires -__v').lean();
+    if (!customer) return null;
+
+    const filters = buildLinkFilters(customer);
+
+    const [enquiries, bookings, reviews, chatSessions, smsMessages] = await Promise.all([
+        Enquiry.find(filters.enquiries).select('-__v').sort({ createdAt: -1 }).lean(),
+        Booking.find({ customer: customer._id }).select('-__v -adminNotes -statusHistory.by').sort({ createdAt: -1 }).lean(),
+        Review.find(filters.reviews).select('-__v').sort({ createdAt: -1 }).lean(),
+        ChatSession.find(filters.chatSessions).select('-__v -socketId -context').sort({ createdAt: -1 }).lean(),
+        customer.phone
+            ? SmsMessage.find(filters.smsMessages).select('to template variables status createdAt').sort({ createdAt: -1 }).lean()
+            : []
+    ]);
+
+    const chatMessages = chatSessions.length > 0
+        ? await ChatMessage.find({ sessionId: { $in: chatSessions.map(session => session._id.toString()) } })
+            .select('sessionId sender message attachments createdAt')
+            .sort({ createdAt: 1 })
+            .lean()
+        : [];
+
+    return {
+        exportedAt: new Date(),
+        profile: customer,
+        enquiries,
+        bookings,
+        reviews,
+        chats: chatSessions.map(session => ({
+            ...session,
+            messages: chatMessages.filter(message => message.sessionId === session._id.toString())
+        })),
+        smsMessages
+    };
+}
+
+/**
+ * Erase a customer: delete what we do not need and anonymize what we must keep
+ * - Completed enquiries and bookings are kept (service records) with personal fields removed
+ * - Approved reviews stay published under an anonymous name
+ * - Everything else linked to the customer is deleted
+ * @param {string} customerId FrontendUser id
+ * @returns {Promise<Object>} Counts of deleted / anonymized records
+ */
+async function eraseCustomer(customerId) {
+    const customer = await FrontendUser.findById(customerId).select('email phone avatarKey').lean();
+    if (!customer) {
+        return { customer: 0 };
+    }
+
+    const filters = buildLinkFilters(customer);
+
+    const chatSessionIds = (await ChatSession.find(filters.chatSessions).select('_id').lean())
+        .map(session => session._id);
+    const deletedBookingIds = await Booking.find({ customer: customer._id, status: { $ne: 'completed' } }).distinct('_id');
+
+    const [
+        keptEnquiries,
+        deletedEnquiries,
+        keptBookings,
+        deletedBookings,
+        keptReviews,
+        deletedReviews,
+        deletedChatMessages,
+        deletedChatSessions,
+        deletedSmsMessages
+    ] = await Promise.all([
+        Enquiry.updateMany(
+            { $and: [filters.enquiries, { status: 'Completed' }] },
+            {
+                $set: {
+                    userDetails: { name: ANONYMIZED_NAME, email: null, phone: null },
+                    customer: null,
+                    members: [],
+                    formData: { anonymized: true },
+                    contactNote: null
+                }
+            }
+        ),
+        Enquiry.deleteMany({ $and: [filters.enquiries, { status: { $ne: 'Completed' } }] }),
+        Booking.updateMany(
+            { customer: customer._id, status: 'completed' },
+            {
+                $set: {
+                    contact: { name: ANONYMIZED_NAME },
+                    location: { type: 'home' },
+                    members: [],
+                    notes: null
+                }
+            }
+        ),
+        Booking.deleteMany({ _id: { $in: deletedBookingIds } }),
+        Review.updateMany(
+            { $and: [filters.reviews, { status: 'approved' }] },
+            { $set: { name: ANONYMIZED_NAME, email: null, city: null, customer: null } }
+        ),
+        Review.deleteMany({ $and: [filters.reviews, { status: { $ne: 'approved' } }] }),
+        ChatMessage.deleteMany({ sessionId: { $in: chatSessionIds.map(id => id.toString()) } }),
+        ChatSession.deleteMany({ _id: { $in: chatSessionIds } }),
+        customer.phone ? SmsMessage.deleteMany(filters.smsMessages) : { deletedCount: 0 }
+    ]);
+
+    const targets = [customer.email, customer.phone].filter(Boolean);
+    const otpConditions = [{ customer: customer._id }];
+    if (customer.email) otpConditions.push({ email: customer.email });
+    if (customer.phone) otpConditions.push({ phone: customer.phone });
+
+    await Promise.all([
+        Otp.deleteMany({ $or: otpConditions }),
+        OtpRequest.deleteMany({ target: { $in: targets } }),
+        OtpSendLimit.deleteMany({ target: { $in: targets } }),
+        PriestSlot.deleteMany({ booking: { $in: deletedBookingIds } }),
+        customerTokenService.revokeAllForCustomer(customer._id, 'account_deleted')
+    ]);
+
+    // The avatar is publicly reachable - remove it (best effort)
+    let avatarDeleted = false;
+    if (customer.avatarKey) {
+        avatarDeleted = await r2Service.deleteFromR2(customer.avatarKey)
+            .then(() => true)
+            .catch(error => {
+                logger.logError(error, { context: 'erase customer avatar', customerId: customer._id, key: customer.avatarKey });
+                return false;
+            });
+    }
+
+    await FrontendUser.deleteOne({ _id: customer._id });
+
+    return {
+        customer: 1,
+        enquiriesAnonymized: keptEnquiries.modifiedCount,
+        enquiriesDeleted: deletedEnquiries.deletedCount,
+        bookingsAnonymized: keptBookings.modifiedCount,
+        bookingsDeleted: deletedBookings.deletedCount,
+        reviewsAnonymized: keptReviews.modifiedCount,
+        reviewsDeleted: deletedReviews.deletedCount,
+        chatSessionsDeleted: deletedChatSessions.deletedCount,
+        chatMessagesDeleted: deletedChatMessages.deletedCount,
+        smsMessagesDeleted: deletedSmsMessages.deletedCount,
+        avatarDeleted
+    };
+}
+
+/**
+ * Erase every account whose deletion grace period has ended.
+ * Run periodically from index.js; a failure only affects that request.
+ * @returns {Promise<number>} Number of accounts erased
+ */
+async function processDueDeletions() {
+    const dueRequests = await AccountDeletionRequest.find({
+        status: 'pending',
+        scheduledFor: { $lte: new Date() }
+    }).limit(50);
+
+    let erased = 0;
+    for (const request of dueRequests) {
+        try {
+            request.summary = await eraseCustomer(request.customer);
+            request.status = 'completed';
+            request.completedAt = new Date();
+            await request.save();
+            erased++;
+
+            logger.logSecurity('Customer account erased', { requestId: request._id, customerId: request.customer });
+        } catch (error) {
+            request.status = 'failed';
+            request.error = error.message;
+            await request.save();
+
+            logger.logError(error, { context: 'processDueDeletions', requestId: request._id });
+        }
+    }
+    return erased;
+}
+
+module.exports = {
+    buildLinkFilters,
+    collectCustomerData,
+    eraseCustomer,
+    processDueDeletions
+};
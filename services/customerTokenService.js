@@ -0,0 +1,89 @@
+const jwt = require('jsonwebtoken');
+const CustomerRefreshToken = require('../models/CustomerRefreshToken');
+const { createRefreshTokenStore } = require('./tokenService');
+const { config } = require('../config/env');
+
+// Refresh token issue / rotation / reuse detection shared with admin tokens
+const {
+    issueRefreshToken,
+    revokeFamily,
+    revokeAllForOwner,
+    rotateRefreshToken,
+    revokeByToken
+} = createRefreshTokenStore({
+    Model: CustomerRefreshToken,
+    ownerField: 'customer',
+    expiresInDays: () => config.jwt.customer.refreshExpiresInDays,
+    label: 'Customer refresh token'
+});
+
+/**
+ * Sign a customer access token
+ * @param {Object} customer FrontendUser document
+ * @returns {string} Signed JWT
+ */
+function signAccessToken(customer) {
+    return jwt.sign(
+        {
+            id: customer._id,
+            role: 'customer',
+            email: customer.email,
+            mobile: customer.phone
+        },
+        config.jwt.secret,
+        {
+            expiresIn: config.jwt.customer.expiresIn,
+            issuer: config.jwt.issuer,
+            audience: config.jwt.customer.audience
+        }
+    );
+}
+
+/**
+ * Verify a customer access token
+ * @param {string} token
+ * @returns {Object} Decoded payload (throws if invalid/expired)
+ */
+function verifyAccessToken(token) {
+    return jwt.verify(token, config.jwt.secret, {
+        issuer: config.jwt.issuer,
+        audience: config.jwt.customer.audience
+    });
+}
+
+/**
+ * Issue the token pair returned by every customer login
+ * @param {Object} customer FrontendUser document
+ * @param {Object} req Express request
+ * @returns {Promise<Object>} Response fields (token, expiresIn, refreshToken, refreshTokenExpiresAt)
+ */
+async function issueTokens(customer, req) {
+    const refresh = await issueRefreshToken(customer, req);
+    return {
+        token: signAccessToken(customer),
+        expiresIn: config.jwt.customer.expiresIn,
+        refreshToken: refresh.token,
+        refreshTokenExpiresAt: refresh.expiresAt
+    };
+}
+
+/**
+ * Revoke every live token belonging to a customer
+ * @param {string} customerId FrontendUser id
+ * @param {string} reason Revocation reason
+ * @returns {Promise<number>} Number of tokens revoked
+ */
+function revokeAllForCustomer(customerId, reason) {
+    return revokeAllForOwner(customerId, reason);
+}
+
+module.exports = {
+    signAccessToken,
+    verifyAccessToken,
+    issueRefreshToken,
+    issueTokens,
+    rotateRefreshToken,
+    revokeFamily,
+    revokeAllForCustomer,
+    revokeByToken
+};
@@ -0,0 +1,40 @@
+const FrontendUser = require('../models/FrontendUser');
+const AppError = require('../utils/AppError');
+
+/**
+ * Resolve family member ids to a snapshot of their sankalpam details.
+ * A snapshot is stored (not just the id) so later edits or deletions of the
+ * profile do not change what was submitted with an enquiry/booking.
+ * @param {string} customerId FrontendUser id
+ * @param {string[]} memberIds Ids from customer.familyMembers
+ * @returns {Promise<Array<Object>>} One snapshot per id, in the given order
+ */
+async function resolveMembers(customerId, memberIds = []) {
+    if (!memberIds.length) return [];
+
+    const customer = await FrontendUser.findById(customerId).select('familyMembers').lean();
+    if (!customer) {
+        throw new AppError('Account not found', 404);
+    }
+
+    const uniqueIds = [...new Set(memberIds.map(String))];
+    return uniqueIds.map(id => {
+        const member = customer.familyMembers.find(item => item._id.toString() === id);
+        if (!member) {
+            throw new AppError(`Family member ${id} not found`, 400);
+        }
+        return {
+            member: member._id,
+            name: member.name,
+            relation: member.relation,
+            gotram: member.gotram,
+            nakshatra: member.nakshatra,
+            rashi: member.rashi,
+            dateOfBirth: member.dateOfBirth
+        };
+    });
+}
+
+module.exports = {
+    resolveMembers
+};
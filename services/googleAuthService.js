@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const { fileURLToPath } = require('url');
+const jwt = require('jsonwebtoken');
+const { config } = require('../config/env');
+const logger = require('./logger');
+
+// Do not refetch the key set more often than this when an unknown kid shows up
+const MIN_REFETCH_INTERVAL_MS = 60 * 1000;
+
+// kid -> KeyObject, refreshed when expired or when a token uses an unknown kid
+let keyCache = { keys: new Map(), expiresAt: 0, fetchedAt: 0 };
+
+/**
+ * Load the JWKS document from an https:// URL or a file:// path
+ * @returns {Promise<{jwks: Object, maxAgeSeconds: number}>}
+ */
+async function loadJwks() {
+    const { jwksUri, jwksCacheSeconds } = config.google;
+
+    if (jwksUri.startsWith('file://')) {
+        const jwks = JSON.parse(await fs.readFile(fileURLToPath(jwksUri), 'utf8'));
+        return { jwks, maxAgeSeconds: jwksCacheSeconds };
+    }
+
+    const response = await fetch(jwksUri);
+    if (!response.ok) {
+        throw new Error(`Failed to fetch Google signing keys (HTTP ${response.status})`);
+    }
+
+    const maxAge = /max-age=(\d+)/.exec(response.headers.get('cache-control') || '');
+    return {
+        jwks: await response.json(),
+        maxAgeSeconds: maxAge ? parseInt(maxAge[1], 10) : jwksCacheSeconds
+    };
+}
+
+/**
+ * Fetch the key set and replace the cache
+ */
+async function refreshKeys() {
+    const { jwks, maxAgeSeconds } = await loadJwks();
+
+    const keys = new Map();
+    for (const jwk of jwks.keys || []) {
+        if (jwk.kty !== 'RSA' || !jwk.kid) continue;
+        keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+    }
+
+    keyCache = { keys, expiresAt: Date.now() + maxAgeSeconds * 1000, fetchedAt: Date.now() };
+    logger.debug('Google signing keys refreshed', { count: keys.size });
+}
+
+/**
+ * Resolve the public key for a kid, refreshing the cache when needed
+ * @param {string} kid
+ * @returns {Promise<crypto.KeyObject|null>}
+ */
+async function getSigningKey(kid) {
+    const expired = keyCache.expiresAt <= Date.now();
+    const unknownKid = !keyCache.keys.has(kid) && Date.now() - keyCache.fetchedAt > MIN_REFETCH_INTERVAL_MS;
+
+    if (expired || unknownKid) {
+        await refreshKeys();
+    }
+    return keyCache.keys.get(kid) || null;
+}
+
+/**
+ * Verify a Google ID token (signature, audience, issuer, expiry)
+ * @param {string} idToken
+ * @returns {Promise<{sub: string, email: string, emailVerified: boolean, name: string, picture: string}>}
+ * @throws {Error} When the token is not a valid Google ID token for one of our client ids
+ */
+async function verifyIdToken(idToken) {
+    if (config.google.clientIds.length === 0) {
+        throw new Error('Google sign-in is not configured (GOOGLE_CLIENT_IDS)');
+    }
+
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !decoded.header.kid) {
+        throw new Error('Malformed ID token');
+    }
+
+    const key = await getSigningKey(decoded.header.kid);
+    if (!key) {
+        throw new Error('ID token signed with an unknown key');
+    }
+
+    const payload = jwt.verify(idToken, key, {
+        algorithms: ['RS256'],
+        audience: config.google.clientIds,
+        issuer: config.google.issuers
+    });
+
+    return {
+        sub: payload.sub,
+        email: payload.email ? payload.email.toLowerCase() : undefined,
+        emailVerified: payload.email_verified === true || payload.email_verified === 'true',
+        name: payload.name,
+        picture: payload.picture
+    };
+}
+
+/**
+ * Forget cached keys (e.g. after changing GOOGLE_JWKS_URI in tests)
+ */
+function clearKeyCache() {
+    keyCache = { keys: new Map(), expiresAt: 0, fetchedAt: 0 };
+}
+
+module.exports = {
+    verifyIdToken,
+    clearKeyCache
+};
@@ -0,0 +1,131 @@
+const User = require('../models/User');
+const { config } = require('../config/env');
+const mailService = require('./mailService');
+const logger = require('./logger');
+
+/**
+ * Strip the version from a parsed browser/OS string ("Chrome 120.0.1" -> "chrome")
+ * @param {string} value
+ * @returns {string}
+ */
+function family(value) {
+    return String(value || '').replace(/\s+[\d._]+$/, '').trim().toLowerCase();
+}
+
+/**
+ * Lock duration for a given number of consecutive failures
+ * Doubles for every failure past the threshold, capped at maxMinutes
+ * @param {number} attempts Consecutive failed attempts
+ * @returns {number} Lock duration in ms (0 when below threshold)
+ */
+function getLockDuration(attempts) {
+    const { threshold, baseMinutes, maxMinutes } = config.security.lockout;
+    if (attempts < threshold) return 0;
+
+    const minutes = Math.min(baseMinutes * 2 ** (attempts - threshold), maxMinutes);
+    return minutes * 60 * 1000;
+}
+
+/**
+ * Record a failed login attempt and lock the account when the threshold is reached
+ * @param {string} userId User id
+ * @param {Object} req Express request
+ * @returns {Promise<{failedLoginAttempts: number, lockUntil: Date|null}>}
+ */
+async function registerFailedLogin(userId, req) {
+    const user = await User.findByIdAndUpdate(
+        userId,
+        {
+            $inc: { failedLoginAttempts: 1 },
+            $set: { lastFailedLoginAt: new Date() }
+        },
+        { new: true }
+    ).select('failedLoginAttempts lockUntil');
+
+    if (!user) return { failedLoginAttempts: 0, lockUntil: null };
+
+    const duration = getLockDuration(user.failedLoginAttempts);
+    if (duration > 0) {
+        const lockUntil = new Date(Date.now() + duration);
+        await User.updateOne({ _id: userId }, { $set: { lockUntil } });
+
+        logger.logSecurity('Account locked after repeated failed logins', {
+            userId,
+            failedLoginAttempts: user.failedLoginAttempts,
+            lockUntil,
+            ip: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+
+        return { failedLoginAttempts: user.failedLoginAttempts, lockUntil };
+    }
+
+    return { failedLoginAttempts: user.failedLoginAttempts, lockUntil: null };
+}
+
+/**
+ * Lockout status for a user document
+ * @param {Object} user User document
+ * @returns {Object}
+ */
+function getLockoutStatus(user) {
+    const locked = Boolean(user.lockUntil && user.lockUntil > Date.now());
+    return {
+        locked,
+        lockUntil: locked ? user.lockUntil : null,
+        retryAfterSeconds: locked ? Math.ceil((user.lockUntil - Date.now()) / 1000) : 0,
+        failedLoginAttempts: user.failedLoginAttempts || 0,
+        lastFailedLoginAt: user.lastFailedLoginAt || null
+    };
+}
+
+/**
+ * Compare a new login against the stored history
+ * @param {Array} history Existing loginHistory entries
+ * @param {Object} loginInfo New login entry (ip, browser, os)
+ * @returns {{newDevice: boolean, newIp: boolean}}
+ */
+function assessLogin(history, loginInfo) {
+    // First recorded login - nothing to compare against
+    if (!history || history.length === 0) {
+        return { newDevice: false, newIp: false };
+    }
+
+    const knownDevice = history.some(entry =>
+        family(entry.browser) === family(loginInfo.browser) &&
+        family(entry.os) === family(loginInfo.os)
+    );
+    const knownIp = history.some(entry => entry.ip === loginInfo.ip);
+
+    return { newDevice: !knownDevice, newIp: !knownIp };
+}
+
+/**
+ * Email the account owner about a sign-in from an unrecognised device
+ * Failures are logged but never block the login
+ * @param {Object} user User document
+ * @param {Object} loginInfo Login entry
+ */
+async function notifyNewDeviceLogin(user, loginInfo) {
+    try {
+        await mailService.sendMail({
+            to: user.email,
+            subject: 'BookMySeva Admin - New sign-in to your account',
+            text: `Hello ${user.name},\n\n` +
+                'Your BookMySeva admin account was just signed in from a new device:\n\n' +
+                `Browser: ${loginInfo.browser}\nOS: ${loginInfo.os}\nDevice: ${loginInfo.device}\n` +
+                `IP address: ${loginInfo.ip}\nTime: ${loginInfo.timestamp.toISOString()}\n\n` +
+                'If this was not you, reset your password immediately and contact a super admin.'
+        });
+    } catch (error) {
+        logger.logError(error, { context: 'notifyNewDeviceLogin', userId: user._id });
+    }
+}
+
+module.exports = {
+    getLockDuration,
+    registerFailedLogin,
+    getLockoutStatus,
+    assessLogin,
+    notifyNewDeviceLogin
+};
@@ -0,0 +1,122 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { config } = require('../config/env');
+const logger = require('./logger');
+
+/**
+ * Mail transports
+ * Each transport receives a normalized message ({ from, to, subject, text, html })
+ * and resolves with a provider specific result.
+ */
+const transports = {
+    /**
+     * Development stand-in - writes the message to the log
+     */
+    console: async (message) => {
+        logger.info(`[MAIL] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+        return { transport: 'console' };
+    },
+
+    /**
+     * Development stand-in - writes each message as a JSON file
+     */
+    file: async (message) => {
+        const dir = path.resolve(config.mail.fileDir);
+        await fs.mkdir(dir, { recursive: true });
+
+        const fileName = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.json`;
+        const filePath = path.join(dir, fileName);
+        await fs.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+
+        logger.debug('Mail written to file', { filePath });
+        return { transport: 'file', filePath };
+    },
+
+    /**
+     * Generic HTTP mail API (JSON POST with bearer key)
+     */
+    http: async (message) => {
+        if (!config.mail.httpUrl) {
+            throw new Error('MAIL_HTTP_URL is not configured');
+        }
+
+        const response = await fetch(config.mail.httpUrl, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${config.mail.httpApiKey}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(message)
+        });
+
+        if (!response.ok) {
+            const body = await response.text();
+            logger.error('Mail API error', { status: response.status, body });
+            throw new Error('Failed to send email');
+        }
+
+        return { transport: 'http', status: response.status };
+    }
+};
+
+/**
+ * Escape a value for use inside an HTML email body
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Register (or replace) a mail transport
+ * @param {string} name Transport name used in MAIL_TRANSPORT
+ * @param {Function} handler async (message) => result
+ */
+function registerTransport(name, handler) {
+    transports[name] = handler;
+}
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} params
+ * @param {string} params.to Recipient address
+ * @param {string} params.subject Subject line
+ * @param {string} params.text Plain text body
+ * @param {string} [params.html] HTML body
+ * @returns {Promise<any>} Transport result
+ */
+async function sendMail({ to, subject, text, html }) {
+    const transportName = config.mail.transport;
+    const transport = transports[transportName];
+
+    if (!transport) {
+        throw new Error(`Unknown mail transport: ${transportName}`);
+    }
+
+    const message = {
+        from: config.mail.from,
+        to,
+        subject,
+        text,
+        html: html || undefined
+    };
+
+    try {
+        return await transport(message);
+    } catch (error) {
+        logger.error('Error sending email:', { transport: transportName, to, error: error.message });
+        throw error;
+    }
+}
+
+module.exports = {
+    sendMail,
+    registerTransport,
+    escapeHtml
+};
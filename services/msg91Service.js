@@ -31,104 +31,98 @@ function formatPhoneForMSG91(phoneNumber) {
     return `91${phoneNumber}`;
 }
 
-/**
- * Send OTP via MSG91 using flow API
- * @param {Object} params
- * @param {string} params.mobile
- * @param {string} [params.otp]
- * @param {string} [params.template_id]
- * @returns {Promise<any>} Response data
- */
-async function sendOTP({ mobile, otp, template_id }) {
-    try {
-        const formattedMobile = formatPhoneForMSG91(mobile);
-
-
-        // Use MSG91 Flow API (as in freshcutss)
-        // But pass the locally generated OTP in 'var' to ensure correct content
-        const url = `${MSG91_BASE_URL}/flow/`;
-
-        const payload = {
-            template_id: template_id || config.msg91.templateId,
-            sender: config.msg91.senderId,
-            short_url: "0",
-            mobiles: formattedMobile,
-            var: otp || '' // crucial: map OTP to 'var'
-        };
-
-        logger.info(`[DEBUG_MSG91] Sending OTP via Flow API. Payload: ${JSON.stringify(payload)}`);
-
-        // logger.info('Sending OTP request to MSG91', { mobile: formattedMobile });
-
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: {
-                'authkey': config.msg91.authKey,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(payload)
-        });
-
-        const responseData = await response.json();
-
-        logger.info('MSG91 Response:', responseData);
-
-        if (!response.ok) {
-            logger.error('MSG91 OTP error', { status: response.status, data: responseData });
-            throw new Error(responseData.message || 'Failed to send OTP');
-        }
-
-        return responseData;
-    } catch (error) {
-        logger.error('Error sending OTP:', error);
-        throw error;
-    }
-}
+// MSG91 delivery report status codes
+const DELIVERY_STATUS = {
+    1: 'delivered',
+    2: 'undelivered',
+    9: 'undelivered', // NDNC
+    16: 'undelivered', // Rejected
+    17: 'undelivered', // Blocked
+    25: 'undelivered' // Rejected (DLT)
+};
 
 /**
- * Verify OTP via MSG91
- * @param {Object} params
- * @param {string} params.mobile
- * @param {string} params.otp
- * @returns {Promise<any>} Verification result
+ * Send a message through the MSG91 Flow API
+ * The flow template holds the text; variables are passed as flow variables
+ * (`var` carries the OTP for the existing OTP flow).
+ * @param {Object} message
+ * @param {string} message.to 10-digit mobile number
+ * @param {string} message.template Template key
+ * @param {Object} message.variables Template variables
+ * @param {string} [message.providerTemplateId] MSG91 flow id for this template
+ * @returns {Promise<{providerMessageId: string}>}
  */
-async function verifyOTP({ mobile, otp }) {
-    try {
-        const formattedMobile = formatPhoneForMSG91(mobile);
-
-        const response = await fetch(`${MSG91_BASE_URL}/otp/verify`, {
-            method: 'POST',
-            headers: {
-                'authkey': config.msg91.authKey,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                mobile: formattedMobile,
-                otp: otp
-            })
-        });
+async function send({ to, template, variables = {}, providerTemplateId }) {
+    // The default flow id is the OTP flow - other message types need their own
+    const templateId = providerTemplateId || (template.startsWith('otp_') ? config.msg91.templateId : null);
+    if (!templateId) {
+        throw new Error(`No MSG91 flow template configured for "${template}"`);
+    }
+    if (!config.msg91.authKey) {
+        throw new Error('MSG91_AUTH_KEY is not configured');
+    }
 
-        return await response.json();
-    } catch (error) {
-        logger.error('Error verifying OTP:', error);
-        throw error;
+    const payload = {
+        template_id: templateId,
+        sender: config.msg91.senderId,
+        short_url: '0',
+        mobiles: formatPhoneForMSG91(to),
+        ...variables,
+        var: variables.otp || ''
+    };
+
+    const response = await fetch(`${MSG91_BASE_URL}/flow/`, {
+        method: 'POST',
+        headers: {
+            'authkey': config.msg91.authKey,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(payload)
+    });
+
+    const responseData = await response.json().catch(() => ({}));
+
+    if (!response.ok || responseData.type === 'error') {
+        logger.error('MSG91 send error', { status: response.status, message: responseData.message });
+        throw new Error(responseData.message || 'MSG91 request failed');
     }
+
+    logger.debug('MSG91 accepted message', { template, requestId: responseData.message });
+    return { providerMessageId: responseData.message };
 }
 
 /**
- * Resend OTP via MSG91 using flow API
- * @param {Object} params
- * @param {string} params.mobile
- * @param {string} [params.template_id]
- * @returns {Promise<any>} Response data
+ * Parse a MSG91 delivery report webhook body
+ * MSG91 posts `data` as a JSON string (or array) of { requestId, report: [{ status }] }
+ * @param {Object} body Webhook body
+ * @returns {Array<{providerMessageId: string, status: string, raw: string}>}
  */
-async function resendOTP({ mobile, template_id }) {
-    // Same as sendOTP basically for flow API usually, but sometimes separate endpoint
-    return sendOTP({ mobile, template_id });
+function parseDeliveryReports(body) {
+    let reports = body?.data ?? body;
+    if (typeof reports === 'string') {
+        try {
+            reports = JSON.parse(reports);
+        } catch (error) {
+            return [];
+        }
+    }
+    if (!Array.isArray(reports)) reports = [reports];
+
+    return reports
+        .filter(report => report && report.requestId)
+        .map(report => {
+            const code = Number(report.report?.[0]?.status ?? report.status);
+            return {
+                providerMessageId: report.requestId,
+                status: DELIVERY_STATUS[code] || 'sent',
+                raw: String(code)
+            };
+        });
 }
 
 module.exports = {
-    sendOTP,
-    verifyOTP,
-    resendOTP
+    name: 'msg91',
+    send,
+    parseDeliveryReports,
+    cleanPhoneNumber
 };
@@ -0,0 +1,252 @@
+const MuhurthamRule = require('../models/MuhurthamRule');
+const Panchangam = require('../models/Panchangam');
+const AppError = require('../utils/AppError');
+const { MUHURTHAM_RULES } = require('../config/muhurthamRules');
+const { parseTimes, parseTimeRanges, parseTimeRange, formatMinutes } = require('../utils/timeRange');
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Windows shorter than this (after removing rahu kalam) are not offered
+const MIN_WINDOW_MINUTES = 30;
+
+const SCORES = {
+    tithi: 40,
+    nakshatra: 40,
+    auspiciousTime: 15,
+    specialEvent: 5
+};
+
+const RULE_FIELDS = ['name', 'description', 'allowedTithis', 'allowedNakshatras', 'excludedYogas', 'excludedWeekdays', 'isActive'];
+
+/**
+ * Spelling-insensitive form of a tithi / nakshatra / yoga name, so that
+ * 'Dwitiya' matches 'Dvitiya' and 'Moola' matches 'Mula'
+ */
+const normalizeName = (value) => String(value || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[^a-z]/g, '')
+    .replace(/w/g, 'v')
+    .replace(/oo/g, 'u')
+    .replace(/h/g, '')
+    .replace(/(.)\1+/g, '$1');
+
+/**
+ * First listed name mentioned in a Panchangam field (entries may read
+ * 'Dashami upto 10:42 AM' or name two tithis for one day)
+ */
+const findMention = (text, names) => {
+    const normalizedText = normalizeName(text);
+    if (!normalizedText) return null;
+    return names.find(name => normalizedText.includes(normalizeName(name))) || null;
+};
+
+/**
+ * Rule as returned by the API: built-in definition merged with the stored override
+ */
+const toRuleView = (eventType, stored) => {
+    const builtIn = MUHURTHAM_RULES[eventType];
+    const base = builtIn ? { ...builtIn, isActive: true } : {};
+    const overrides = stored
+        ? Object.fromEntries(RULE_FIELDS.filter(field => stored[field] !== undefined).map(field => [field, stored[field]]))
+        : {};
+
+    return {
+        eventType,
+        ...base,
+        ...overrides,
+        builtIn: Boolean(builtIn),
+        customized: Boolean(stored),
+        updatedBy: stored?.updatedBy,
+        updatedAt: stored?.updatedAt
+    };
+};
+
+/**
+ * Every rule: built-in ones (with any override applied) and admin-added event types
+ * @param {Object} [options]
+ * @param {boolean} [options.activeOnly=false]
+ * @returns {Promise<Object[]>}
+ */
+async function listRules({ activeOnly = false } = {}) {
+    const stored = await MuhurthamRule.find().populate('updatedBy', 'name email').lean();
+    const byType = new Map(stored.map(rule => [rule.eventType, rule]));
+
+    const eventTypes = [...new Set([...Object.keys(MUHURTHAM_RULES), ...byType.keys()])];
+    const rules = eventTypes.map(eventType => toRuleView(eventType, byType.get(eventType)));
+
+    return activeOnly ? rules.filter(rule => rule.isActive) : rules;
+}
+
+/**
+ * Resolve the rule for an event type
+ * @param {string} eventType
+ * @returns {Promise<Object>}
+ * @throws {AppError} 404 for unknown or disabled event types
+ */
+async function getRule(eventType) {
+    const stored = await MuhurthamRule.findOne({ eventType }).lean();
+    if (!stored && !MUHURTHAM_RULES[eventType]) {
+        throw new AppError('Unknown event type', 404);
+    }
+
+    const rule = toRuleView(eventType, stored);
+    if (!rule.isActive) {
+        throw new AppError('Muhurtham search is not available for this event type', 404);
+    }
+    return rule;
+}
+
+/**
+ * Remove rahu kalam from a window
+ * @returns {Array<{start: number, end: number}>}
+ */
+function subtractRange(window, excluded) {
+    if (!excluded || excluded.end <= window.start || excluded.start >= window.end) return [window];
+    return [
+        { start: window.start, end: excluded.start },
+        { start: excluded.end, end: window.end }
+    ].filter(part => part.end > part.start);
+}
+
+/**
+ * Time windows for a day: the stored auspicious time (or sunrise to sunset
+ * when there is none), without rahu kalam
+ */
+function buildWindows(panchangam, reasons) {
+    const rahu = parseTimeRange(panchangam.rahu);
+    let windows = parseTimeRanges(panchangam.auspiciousTime);
+
+    if (windows.length) {
+        reasons.push(`Auspicious time: ${panchangam.auspiciousTime}`);
+    } else {
+        const [sunrise] = parseTimes(panchangam.sunrise);
+        const [sunset] = parseTimes(panchangam.sunset);
+        if (sunrise !== undefined && sunset > sunrise) {
+            windows = [{ start: sunrise, end: sunset }];
+            reasons.push('No auspicious time recorded - sunrise to sunset offered');
+        }
+    }
+
+    if (rahu) {
+        windows = windows.flatMap(window => subtractRange(window, rahu));
+        reasons.push(`Rahu kalam (${panchangam.rahu}) avoided`);
+    }
+
+    return windows
+        .filter(window => window.end - window.start >= MIN_WINDOW_MINUTES)
+        .map(window => ({ start: formatMinutes(window.start), end: formatMinutes(window.end) }));
+}
+
+/**
+ * Score one day against a rule
+ * @param {Object} panchangam Panchangam entry
+ * @param {Object} rule Resolved rule
+ * @returns {Object|null} Candidate, or null when the day is ruled out
+ */
+function evaluateDay(panchangam, rule) {
+    const weekday = panchangam.date.getDay();
+    if ((rule.excludedWeekdays || []).includes(weekday)) return null;
+
+    const avoidedYoga = findMention(panchangam.yoga, rule.excludedYogas || []);
+    if (avoidedYoga) return null;
+
+    const reasons = [];
+    let score = 0;
+    let matched = 0;
+
+    const criteria = [
+        { key: 'tithi', label: 'Tithi', allowed: rule.allowedTithis || [], value: panchangam.tithi },
+        { key: 'nakshatra', label: 'Nakshatra', allowed: rule.allowedNakshatras || [], value: panchangam.nakshatra }
+    ];
+    for (const { key, label, allowed, value } of criteria) {
+        if (!allowed.length) continue;
+
+        const mention = findMention(value, allowed);
+        if (mention) {
+            score += SCORES[key];
+            matched++;
+            reasons.push(`${label} ${mention} is favourable for ${rule.name}`);
+        } else {
+            reasons.push(`${label} ${value || '(not recorded)'} is not among the preferred ${key}s`);
+        }
+    }
+
+    // Ruled out when neither the tithi nor the nakshatra is favourable
+    const hasCriteria = criteria.some(({ allowed }) => allowed.length);
+    if (hasCriteria && matched === 0) return null;
+
+    const windows = buildWindows(panchangam, reasons);
+    if (parseTimeRanges(panchangam.auspiciousTime).length) score += SCORES.auspiciousTime;
+    if (panchangam.specialEventName) {
+        score += SCORES.specialEvent;
+        reasons.push(`Special day: ${panchangam.specialEventName}`);
+    }
+
+    return {
+        date: toDateKey(panchangam.date),
+        weekday: WEEKDAYS[weekday],
+        score,
+        tithi: panchangam.tithi,
+        nakshatra: panchangam.nakshatra,
+        yoga: panchangam.yoga,
+        windows,
+        reasons
+    };
+}
+
+/**
+ * 'YYYY-MM-DD' of a Panchangam date (entries are keyed by local midnight)
+ */
+function toDateKey(date) {
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Ranked muhurtham candidates for an event between two dates
+ * @param {Object} params
+ * @param {string} params.eventType
+ * @param {string} params.from 'YYYY-MM-DD'
+ * @param {string} params.to 'YYYY-MM-DD' (inclusive)
+ * @param {number} [params.limit=10]
+ * @returns {Promise<Object>} { eventType, name, from, to, daysWithData, candidates }
+ */
+async function findMuhurthams({ eventType, from, to, limit = 10 }) {
+    const rule = await getRule(eventType);
+
+    // Same day boundaries as GET /panchangam
+    const startOfDay = new Date(from);
+    startOfDay.setHours(0, 0, 0, 0);
+    const endOfDay = new Date(to);
+    endOfDay.setHours(23, 59, 59, 999);
+
+    const days = await Panchangam.find({ date: { $gte: startOfDay, $lte: endOfDay } })
+        .select('date tithi nakshatra yoga sunrise sunset rahu auspiciousTime specialEventName')
+        .sort({ date: 1 })
+        .lean();
+
+    const candidates = days
+        .map(day => evaluateDay(day, rule))
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score || a.date.localeCompare(b.date))
+        .slice(0, limit);
+
+    return {
+        eventType,
+        name: rule.name,
+        from,
+        to,
+        daysWithData: days.length,
+        candidates
+    };
+}
+
+module.exports = {
+    RULE_FIELDS,
+    normalizeName,
+    listRules,
+    getRule,
+    evaluateDay,
+    findMuhurthams
+};
@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const Otp = require('../models/Otp');
+const OtpRequest = require('../models/OtpRequest');
+const OtpSendLimit = require('../models/OtpSendLimit');
+const AppError = require('../utils/AppError');
+const { config } = require('../config/env');
+const logger = require('./logger');
+
+const OTP_EXPIRY_MINUTES = config.otp.expiryMinutes;
+
+/**
+ * Generate a numeric one-time code (cryptographically random)
+ * @returns {string}
+ */
+function generateOtp() {
+    return crypto.randomInt(0, 10 ** config.otp.length).toString().padStart(config.otp.length, '0');
+}
+
+/**
+ * Keyed hash of a code. Keyed so a leaked collection cannot be brute forced
+ * offline - a 6-digit code has only a million values.
+ * @param {string} code
+ * @returns {string}
+ */
+function hashOtp(code) {
+    const key = config.otp.hashKey || process.env.SECRET_KEY;
+    return crypto.createHmac('sha256', key).update(String(code)).digest('hex');
+}
+
+/**
+ * Build the lookup filter for an OTP target
+ * @param {{phone?: string, email?: string}} target
+ * @param {string} purpose
+ * @param {string} [customerId]
+ */
+function buildFilter(target, purpose, customerId) {
+    const filter = { purpose };
+    if (target.email) filter.email = target.email.toLowerCase();
+    else filter.phone = target.phone;
+    if (customerId) filter.customer = customerId;
+    return filter;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Claim a send against the per phone/email resend cooldown and daily cap.
+ * Each step is a single conditional write on the target's counter document,
+ * so parallel requests cannot all pass a check made before the write.
+ * @throws {AppError} 429 when either limit is reached
+ */
+async function claimSend(targetValue, { purpose, ip }) {
+    const { resendCooldownSeconds, dailyLimit } = config.otp;
+
+    // A second pass covers losing the race to create the counter document
+    for (let attempt = 0; attempt < 2; attempt++) {
+        const now = new Date();
+        const windowOpenedAfter = new Date(now.getTime() - DAY_MS);
+        const cooledDownBefore = new Date(now.getTime() - resendCooldownSeconds * 1000);
+
+        // Same window: count the send while under the cap
+        const counted = await OtpSendLimit.findOneAndUpdate(
+            { target: targetValue, windowStart: { $gt: windowOpenedAfter }, count: { $lt: dailyLimit }, lastSentAt: { $lte: cooledDownBefore } },
+            { $inc: { count: 1 }, $set: { lastSentAt: now } }
+        );
+        if (counted) return;
+
+        // Window over (the TTL monitor has not removed the document yet): start a new one
+        const restarted = await OtpSendLimit.findOneAndUpdate(
+            { target: targetValue, windowStart: { $lte: windowOpenedAfter }, lastSentAt: { $lte: cooledDownBefore } },
+            { $set: { windowStart: now, count: 1, lastSentAt: now } }
+        );
+        if (restarted) return;
+
+        try {
+            await OtpSendLimit.create({ target: targetValue, windowStart: now, count: 1, lastSentAt: now });
+            return;
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+        }
+    }
+
+    // Rejected - work out which limit applies
+    const limit = await OtpSendLimit.findOne({ target: targetValue }).lean();
+    const capReached = limit && limit.count >= dailyLimit && limit.windowStart.getTime() > Date.now() - DAY_MS;
+    if (!capReached) {
+        const waitSeconds = limit
+            ? Math.max(1, Math.ceil((limit.lastSentAt.getTime() + resendCooldownSeconds * 1000 - Date.now()) / 1000))
+            : 1;
+        throw new AppError(`Please wait ${waitSeconds} seconds before requesting another OTP`, 429);
+    }
+
+    logger.logSecurity('OTP daily limit reached', { target: targetValue, purpose, sentToday: limit?.count, ip });
+    throw new AppError('Too many OTP requests for this number or email today. Please try again tomorrow.', 429);
+}
+
+/**
+ * Create (or replace) the OTP for a phone number or email address
+ * @param {{phone?: string, email?: string}} target
+ * @param {Object} [options]
+ * @param {string} [options.purpose='login'] login | phone_change | email_link
+ * @param {string} [options.customerId] Customer the OTP was issued to (account changes)
+ * @param {string} [options.ip] Requesting IP (abuse logging)
+ * @returns {Promise<{otp: string, expiresAt: Date}>}
+ * @throws {AppError} 429 during the resend cooldown or once the daily cap is reached
+ */
+async function issueOtp(target, { purpose = 'login', customerId, ip } = {}) {
+    const filter = buildFilter(target, purpose, customerId);
+    const targetValue = filter.email || filter.phone;
+
+    await claimSend(targetValue, { purpose, ip });
+
+    const otp = generateOtp();
+    const expiresAt = new Date(Date.now() + OTP_EXPIRY_MINUTES * 60 * 1000);
+
+    // Replacing the document also resets the attempt counter
+    await Otp.findOneAndReplace(
+        filter,
+        { ...filter, codeHash: hashOtp(otp), attempts: 0, expiresAt },
+        { upsert: true }
+    );
+
+    await OtpRequest.create({
+        target: targetValue,
+        channel: filter.email ? 'email' : 'sms',
+        purpose,
+        ip
+    });
+
+    return { otp, expiresAt };
+}
+
+/**
+ * Check an OTP and consume it on success (prevents replay).
+ * Every guess is counted before comparing, so parallel guesses cannot exceed the limit;
+ * the OTP is deleted once config.otp.maxAttempts wrong guesses have been made.
+ * @param {{phone?: string, email?: string}} target
+ * @param {string} code Code entered by the user
+ * @param {Object} [options] Same as issueOtp
+ * @returns {Promise<{valid: boolean, reason?: 'not_found'|'invalid'|'too_many_attempts', message?: string, attemptsRemaining?: number}>}
+ */
+async function verifyOtp(target, code, { purpose = 'login', customerId, ip } = {}) {
+    const filter = buildFilter(target, purpose, customerId);
+
+    const storedOtp = await Otp.findOneAndUpdate(
+        { ...filter, expiresAt: { $gt: new Date() }, attempts: { $lt: config.otp.maxAttempts } },
+        { $inc: { attempts: 1 } },
+        { new: true }
+    );
+
+    if (!storedOtp) {
+        const exhausted = await Otp.exists({ ...filter, attempts: { $gte: config.otp.maxAttempts } });
+        if (exhausted) {
+            return { valid: false, reason: 'too_many_attempts', message: 'Too many incorrect attempts. Please request a new OTP.' };
+        }
+        return { valid: false, reason: 'not_found', message: 'OTP expired or not found' };
+    }
+
+    const expected = Buffer.from(storedOtp.codeHash, 'hex');
+    const received = Buffer.from(hashOtp(code), 'hex');
+
+    if (!crypto.timingSafeEqual(expected, received)) {
+        const attemptsRemaining = config.otp.maxAttempts - storedOtp.attempts;
+
+        if (attemptsRemaining <= 0) {
+            await Otp.deleteOne({ _id: storedOtp._id });
+            logger.logSecurity('OTP invalidated after too many incorrect attempts', {
+                target: filter.email || filter.phone,
+                purpose,
+                ip
+            });
+            return { valid: false, reason: 'too_many_attempts', message: 'Too many incorrect attempts. Please request a new OTP.' };
+        }
+
+        return { valid: false, reason: 'invalid', message: 'Invalid OTP', attemptsRemaining };
+    }
+
+    await Otp.deleteOne({ _id: storedOtp._id });
+    return { valid: true };
+}
+
+module.exports = {
+    OTP_EXPIRY_MINUTES,
+    generateOtp,
+    hashOtp,
+    issueOtp,
+    verifyOtp
+};
@@ -0,0 +1,72 @@
+const Role = require('../models/Role');
+const {
+    ALL_PERMISSIONS,
+    DEFAULT_ROLES,
+    NON_ADMIN_ROLE
+} = require('../config/permissions');
+
+const CACHE_TTL_MS = 60 * 1000; // 1 minute
+
+// roleName -> { permissions, expiresAt }
+const cache = new Map();
+
+/**
+ * Resolve the permissions granted to a role.
+ * superadmin always has every permission; other roles come from Mongo,
+ * falling back to the built-in definition when no document exists.
+ * @param {string} roleName
+ * @returns {Promise<string[]>}
+ */
+async function getPermissionsForRole(roleName) {
+    if (!roleName || roleName === NON_ADMIN_ROLE) return [];
+    if (roleName === 'superadmin') return [ALL_PERMISSIONS];
+
+    const cached = cache.get(roleName);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.permissions;
+    }
+
+    const role = await Role.findOne({ name: roleName }).select('permissions').lean();
+    const permissions = role?.permissions || DEFAULT_ROLES[roleName]?.permissions || [];
+
+    cache.set(roleName, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+    return permissions;
+}
+
+/**
+ * Does the role grant all of the given permissions?
+ * @param {string} roleName
+ * @param {string[]} required
+ * @returns {Promise<boolean>}
+ */
+async function hasPermissions(roleName, required) {
+    const granted = await getPermissionsForRole(roleName);
+    if (granted.includes(ALL_PERMISSIONS)) return true;
+    return required.every(permission => granted.includes(permission));
+}
+
+/**
+ * Does a role exist (built-in or stored)?
+ * @param {string} roleName
+ * @returns {Promise<boolean>}
+ */
+async function roleExists(roleName) {
+    if (DEFAULT_ROLES[roleName]) return true;
+    return Boolean(await Role.exists({ name: roleName }));
+}
+
+/**
+ * Drop cached permissions after a role is changed
+ * @param {string} [roleName] Omit to clear everything
+ */
+function invalidate(roleName) {
+    if (roleName) cache.delete(roleName);
+    else cache.clear();
+}
+
+module.exports = {
+    getPermissionsForRole,
+    hasPermissions,
+    roleExists,
+    invalidate
+};
@@ -0,0 +1,336 @@
+const Priest = require('../models/Priest');
+const PriestSlot = require('../models/PriestSlot');
+const Product = require('../models/Product');
+const Panchangam = require('../models/Panchangam');
+const AppError = require('../utils/AppError');
+const { parseTimeRange } = require('../utils/timeRange');
+const bookingService = require('./bookingService');
+const logger = require('./logger');
+
+// Calendars are kept in IST (no daylight saving)
+const IST_OFFSET_MINUTES = 330;
+
+// Granularity of reservations - see models/PriestSlot.js
+const BLOCK_MINUTES = 15;
+const BLOCK_MS = BLOCK_MINUTES * 60 * 1000;
+
+// Candidate start times offered by the slot search
+const SLOT_STEP_MINUTES = 30;
+
+// Used when neither the request nor the seva gives a duration
+const DEFAULT_DURATION_MINUTES = 120;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * Escape user input for use inside a RegExp
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * 'HH:mm' -> minutes since midnight
+ */
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+/**
+ * Start of an IST calendar day
+ * @param {string} date 'YYYY-MM-DD'
+ * @returns {Date}
+ */
+function istDayStart(date) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day) - IST_OFFSET_MINUTES * MINUTE_MS);
+}
+
+/**
+ * IST weekday (0 = Sunday) and minutes since IST midnight of an instant
+ */
+function istClock(date) {
+    const shifted = new Date(date.getTime() + IST_OFFSET_MINUTES * MINUTE_MS);
+    return {
+        day: shifted.getUTCDay(),
+        minutes: shifted.getUTCHours() * 60 + shifted.getUTCMinutes()
+    };
+}
+
+/**
+ * Blocks covered by [start, end)
+ * @returns {number[]}
+ */
+function blocksBetween(start, end) {
+    const blocks = [];
+    const last = Math.ceil(end.getTime() / BLOCK_MS);
+    for (let block = Math.floor(start.getTime() / BLOCK_MS); block < last; block++) {
+        blocks.push(block);
+    }
+    return blocks;
+}
+
+const overlaps = (startA, endA, startB, endB) => startA < endB && startB < endA;
+
+const weeklyAvailabilityOf = (priest) => priest.weeklyAvailability || Priest.DEFAULT_WEEKLY_AVAILABILITY;
+
+/**
+ * Is [start, end) inside one of the priest's working windows?
+ */
+function withinWorkingHours(priest, start, end) {
+    const { day, minutes } = istClock(start);
+    const endMinutes = minutes + (end.getTime() - start.getTime()) / MINUTE_MS;
+    return weeklyAvailabilityOf(priest).some(window =>
+        window.day === day && toMinutes(window.start) <= minutes && endMinutes <= toMinutes(window.end)
+    );
+}
+
+/**
+ * Blackout overlapping [start, end), if any
+ */
+function findBlackout(priest, start, end) {
+    return (priest.blackouts || []).find(blackout => overlaps(start, end, blackout.from, blackout.to));
+}
+
+/**
+ * Rahu kalam for a day from the stored Panchangam
+ * @param {string} date 'YYYY-MM-DD'
+ * @returns {Promise<{start: Date, end: Date, text: string}|null>} null when there is no entry or it cannot be read
+ */
+async function getRahuWindow(date) {
+    // Same day lookup as GET /panchangam
+    const startOfDay = new Date(date);
+    startOfDay.setHours(0, 0, 0, 0);
+    const endOfDay = new Date(date);
+    endOfDay.setHours(23, 59, 59, 999);
+
+    const panchangam = await Panchangam.findOne({ date: { $gte: startOfDay, $lte: endOfDay } }).select('rahu').lean();
+    const range = parseTimeRange(panchangam?.rahu);
+    if (!range) return null;
+
+    const dayStart = istDayStart(date).getTime();
+    return {
+        start: new Date(dayStart + range.start * MINUTE_MS),
+        end: new Date(dayStart + range.end * MINUTE_MS),
+        text: panchangam.rahu
+    };
+}
+
+/**
+ * Find priests free to perform a seva on a day, with their open start times
+ * @param {Object} params
+ * @param {string} params.sevaId Product in the 'Puja Service' category
+ * @param {string} params.city Service city
+ * @param {string} [params.pincode] Narrow to priests covering this pincode
+ * @param {string} params.date 'YYYY-MM-DD' (IST)
+ * @param {number} [params.durationMinutes] Defaults to the seva's duration
+ * @param {boolean} [params.excludeRahu] Skip slots overlapping rahu kalam
+ * @returns {Promise<Object>} { date, durationMinutes, rahu, priests: [{ priest, slots }] }
+ */
+async function searchFreeSlots({ sevaId, city, pincode, date, durationMinutes, excludeRahu = false }) {
+    const seva = await bookingService.findBookableSeva(sevaId);
+    const duration = durationMinutes || seva.durationMinutes || DEFAULT_DURATION_MINUTES;
+
+    const area = { city: { $regex: `^${escapeRegex(city.trim())}$`, $options: 'i' } };
+    if (pincode) area.$or = [{ pincodes: { $size: 0 } }, { pincodes: pincode }];
+
+    const priests = await Priest.find({
+        verificationStatus: 'verified',
+        status: 'Active',
+        isAvailable: true,
+        specializations: seva._id,
+        serviceAreas: { $elemMatch: area }
+    })
+        .select('name phone languages experienceYears weeklyAvailability blackouts travelBufferMinutes')
+        .sort({ name: 1 })
+        .lean();
+
+    const dayStart = istDayStart(date);
+    const dayEnd = new Date(dayStart.getTime() + DAY_MS);
+    const rahu = excludeRahu ? await getRahuWindow(date) : null;
+
+    // Reservations that could touch the day, including sevas running past midnight
+    const reserved = await PriestSlot.find({
+        priest: { $in: priests.map(priest => priest._id) },
+        blocks: {
+            $gte: Math.floor((dayStart.getTime() - DAY_MS) / BLOCK_MS),
+            $lt: Math.ceil((dayEnd.getTime() + DAY_MS) / BLOCK_MS)
+        }
+    }).select('priest blocks').lean();
+
+    const takenByPriest = new Map();
+    for (const slot of reserved) {
+        const key = slot.priest.toString();
+        if (!takenByPriest.has(key)) takenByPriest.set(key, new Set());
+        slot.blocks.forEach(block => takenByPriest.get(key).add(block));
+    }
+
+    const weekday = istClock(dayStart).day;
+    const now = Date.now();
+    const results = [];
+
+    for (const priest of priests) {
+        const taken = takenByPriest.get(priest._id.toString()) || new Set();
+        const buffer = (priest.travelBufferMinutes ?? 0) * MINUTE_MS;
+        const slots = [];
+
+        for (const window of weeklyAvailabilityOf(priest)) {
+            if (window.day !== weekday) continue;
+
+            const windowEnd = toMinutes(window.end);
+            for (let minutes = toMinutes(window.start); minutes + duration <= windowEnd; minutes += SLOT_STEP_MINUTES) {
+                const start = new Date(dayStart.getTime() + minutes * MINUTE_MS);
+                const end = new Date(start.getTime() + duration * MINUTE_MS);
+
+                if (start.getTime() <= now) continue;
+                if (findBlackout(priest, start, end)) continue;
+                if (rahu && overlaps(start, end, rahu.start, rahu.end)) continue;
+                if (blocksBetween(start, new Date(end.getTime() + buffer)).some(block => taken.has(block))) continue;
+
+                slots.push({ start, end });
+            }
+        }
+
+        if (slots.length) {
+            const { weeklyAvailability, blackouts, ...summary } = priest;
+            results.push({ priest: summary, slots });
+        }
+    }
+
+    return {
+        date,
+        seva: { _id: seva._id, name: seva.name },
+        durationMinutes: duration,
+        rahu: rahu && { start: rahu.start, end: rahu.end, text: rahu.text },
+        priests: results
+    };
+}
+
+/**
+ * Reserve the priest's time for a booking (seva duration plus travel buffer).
+ * Replaces the booking's previous reservation in the same write, so
+ * reassigning or rescheduling frees the old time atomically.
+ * @param {Object} booking Booking with seva and scheduledAt set (durationMinutes when known)
+ * @param {string} priestId
+ * @returns {Promise<Object>} PriestSlot
+ * @throws {AppError} 409 when the priest is unavailable or already booked
+ */
+async function reserve(booking, priestId) {
+    const [priest, seva] = await Promise.all([
+        Priest.findById(priestId).select('name isAvailable weeklyAvailability blackouts travelBufferMinutes').lean(),
+        Product.findById(booking.seva).select('durationMinutes').lean()
+    ]);
+    if (!priest) {
+        throw new AppError('Priest not found', 400);
+    }
+
+    const start = new Date(booking.scheduledAt);
+    const duration = booking.durationMinutes || seva?.durationMinutes || DEFAULT_DURATION_MINUTES;
+    const end = new Date(start.getTime() + duration * MINUTE_MS);
+    const blockedUntil = new Date(end.getTime() + (priest.travelBufferMinutes ?? 0) * MINUTE_MS);
+
+    if (!priest.isAvailable) {
+        throw new AppError(`${priest.name} is not taking bookings at the moment`, 409);
+    }
+    if (!withinWorkingHours(priest, start, end)) {
+        throw new AppError(`The seva falls outside ${priest.name}'s working hours`, 409);
+    }
+    const blackout = findBlackout(priest, start, end);
+    if (blackout) {
+        throw new AppError(`${priest.name} is unavailable at this time${blackout.reason ? ` (${blackout.reason})` : ''}`, 409);
+    }
+
+    try {
+        return await PriestSlot.findOneAndUpdate(
+            { booking: booking._id },
+            { $set: { priest: priest._id, start, end, blockedUntil, blocks: blocksBetween(start, blockedUntil) } },
+            { new: true, upsert: true, runValidators: true }
+        );
+    } catch (error) {
+        if (error.code === 11000) {
+            throw new AppError(`${priest.name} already has a seva at this time (including travel time)`, 409);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Reserve the priest's time, then save the booking. If the save fails the
+ * booking's previous reservation is put back (or the time freed) so no
+ * orphaned slot keeps blocking the priest.
+ * @param {Object} booking Booking document, already updated
+ * @param {string} priestId
+ * @returns {Promise<Object>} Saved booking
+ * @throws {AppError} 409 when the priest is unavailable or already booked
+ */
+async function reserveAndSave(booking, priestId) {
+    const previous = await PriestSlot.findOne({ booking: booking._id }).lean();
+
+    await reserve(booking, priestId);
+
+    try {
+        return await booking.save();
+    } catch (error) {
+        try {
+            if (previous) {
+                const { priest, start, end, blockedUntil, blocks } = previous;
+                await PriestSlot.updateOne({ booking: booking._id }, { $set: { priest, start, end, blockedUntil, blocks } });
+            } else {
+                await release(booking._id);
+            }
+        } catch (restoreError) {
+            logger.logError(restoreError, { context: 'priest slot restore', bookingId: booking._id });
+        }
+        throw error;
+    }
+}
+
+/**
+ * Free the priest's time held for a booking
+ * @param {string} bookingId
+ */
+async function release(bookingId) {
+    await PriestSlot.deleteOne({ booking: bookingId });
+}
+
+/**
+ * A priest's calendar: working hours, blackouts and reservations in a range
+ * @param {string} priestId
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Promise<Object|null>} null when the priest does not exist
+ */
+async function getCalendar(priestId, from, to) {
+    const priest = await Priest.findById(priestId)
+        .select('name weeklyAvailability blackouts travelBufferMinutes isAvailable')
+        .lean();
+    if (!priest) return null;
+
+    const reservations = await PriestSlot.find({
+        priest: priest._id,
+        start: { $lt: to },
+        blockedUntil: { $gt: from }
+    })
+        .populate('booking', 'bookingNumber sevaName status location.city')
+        .select('booking start end blockedUntil')
+        .sort({ start: 1 })
+        .lean();
+
+    return {
+        priest: { _id: priest._id, name: priest.name, isAvailable: priest.isAvailable },
+        weeklyAvailability: weeklyAvailabilityOf(priest),
+        travelBufferMinutes: priest.travelBufferMinutes ?? 0,
+        blackouts: (priest.blackouts || []).filter(blackout => overlaps(from, to, blackout.from, blackout.to)),
+        reservations
+    };
+}
+
+module.exports = {
+    DEFAULT_DURATION_MINUTES,
+    getRahuWindow,
+    searchFreeSlots,
+    reserve,
+    reserveAndSave,
+    release,
+    getCalendar
+};
@@ -1,4 +1,4 @@
-const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
+const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
 const { v4: uuidv4 } = require('uuid');
 
 const r2 = new S3Client({
@@ -24,3 +24,10 @@ exports.uploadToR2 = async (file, folder = 'images') => {
     const publicUrl = `${process.env.R2_PUBLIC_DOMAIN}/${fileName}`;
     return { publicUrl, fileName };
 };
+
+exports.deleteFromR2 = async (key) => {
+    await r2.send(new DeleteObjectCommand({
+        Bucket: process.env.R2_BUCKET_NAME,
+        Key: key,
+    }));
+};
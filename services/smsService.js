@@ -0,0 +1,235 @@
+const fs = require('fs/promises');
+const path = require('path');
+const SmsMessage = require('../models/SmsMessage');
+const SmsTemplate = require('../models/SmsTemplate');
+const msg91Provider = require('./msg91Service');
+const { SMS_TEMPLATES } = require('../config/smsTemplates');
+const { config } = require('../config/env');
+const logger = require('./logger');
+
+/**
+ * SMS providers
+ * Each provider implements:
+ *   send({ to, template, text, variables, providerTemplateId }) => Promise<{ providerMessageId }>
+ *   parseDeliveryReports(body) => [{ providerMessageId, status, raw }]   (optional)
+ * Providers are tried in the order of config.sms.providers until one accepts the message.
+ */
+const providers = {
+    msg91: msg91Provider,
+
+    /**
+     * Development stand-in - writes the message to the log
+     */
+    console: {
+        name: 'console',
+        send: async ({ to, text }) => {
+            logger.info(`[SMS] To: ${to} | ${text}`);
+            return { providerMessageId: `console-${Date.now()}` };
+        }
+    },
+
+    /**
+     * Development stand-in - writes each message as a JSON file
+     */
+    file: {
+        name: 'file',
+        send: async ({ to, template, text }) => {
+            const dir = path.resolve(config.sms.fileDir);
+            await fs.mkdir(dir, { recursive: true });
+
+            const providerMessageId = `file-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+            const filePath = path.join(dir, `${providerMessageId}.json`);
+            await fs.writeFile(filePath, JSON.stringify({ to, template, text, sentAt: new Date() }, null, 2));
+
+            logger.debug('SMS written to file', { filePath });
+            return { providerMessageId };
+        }
+    },
+
+    /**
+     * Generic HTTP SMS gateway (JSON POST with bearer key)
+     * Expects { id } or { messageId } back and posts delivery reports as { messageId, status }
+     */
+    http: {
+        name: 'http',
+        send: async ({ to, template, text, providerTemplateId }) => {
+            if (!config.sms.http.url) {
+                throw new Error('SMS_HTTP_URL is not configured');
+            }
+
+            const response = await fetch(config.sms.http.url, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${config.sms.http.apiKey}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    to: `+91${msg91Provider.cleanPhoneNumber(to)}`,
+                    sender: config.sms.http.senderId,
+                    message: text,
+                    templateId: providerTemplateId,
+                    reference: template
+                })
+            });
+
+            const responseData = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                logger.error('SMS gateway error', { status: response.status, message: responseData.message });
+                throw new Error(responseData.message || 'SMS gateway request failed');
+            }
+
+            return { providerMessageId: String(responseData.messageId || responseData.id || '') };
+        },
+        parseDeliveryReports: (body) => {
+            const reports = Array.isArray(body) ? body : [body];
+            return reports
+                .filter(report => report && (report.messageId || report.id))
+                .map(report => {
+                    const raw = String(report.status || '').toLowerCase();
+                    return {
+                        providerMessageId: String(report.messageId || report.id),
+                        status: raw === 'delivered' ? 'delivered' : ['failed', 'undelivered', 'rejected'].includes(raw) ? 'undelivered' : 'sent',
+                        raw
+                    };
+                });
+        }
+    }
+};
+
+/**
+ * Register (or replace) an SMS provider
+ * @param {string} name Provider name used in SMS_PROVIDERS
+ * @param {Object} provider { send, parseDeliveryReports? }
+ */
+function registerProvider(name, provider) {
+    providers[name] = { name, ...provider };
+}
+
+/**
+ * Does a provider with this name exist?
+ * @param {string} name
+ * @returns {boolean}
+ */
+function hasProvider(name) {
+    return Boolean(providers[name]);
+}
+
+/**
+ * Resolve a template: stored override first, then the built-in definition
+ * @param {string} key Template key
+ * @returns {Promise<{body: string, providerTemplateIds: Object, sensitiveVariables: string[]}>}
+ */
+async function resolveTemplate(key) {
+    const definition = SMS_TEMPLATES[key];
+    if (!definition) {
+        throw new Error(`Unknown SMS template: ${key}`);
+    }
+
+    const override = await SmsTemplate.findOne({ key, isActive: true }).lean();
+    return {
+        body: override?.body || definition.body,
+        providerTemplateIds: override?.providerTemplateIds || {},
+        sensitiveVariables: definition.sensitiveVariables
+    };
+}
+
+/**
+ * Fill {{variable}} placeholders
+ * @param {string} body
+ * @param {Object} variables
+ * @returns {string}
+ */
+function render(body, variables = {}) {
+    return body.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (
+        variables[name] !== undefined ? String(variables[name]) : ''
+    ));
+}
+
+/**
+ * Send an SMS, failing over through the configured providers in order.
+ * Every attempt is recorded in the delivery log.
+ * @param {Object} params
+ * @param {string} params.to 10-digit mobile number
+ * @param {string} params.template Template key (config/smsTemplates.js)
+ * @param {Object} [params.variables] Template variables
+ * @returns {Promise<{messageId: string, provider: string}>}
+ */
+async function send({ to, template, variables = {} }) {
+    const resolved = await resolveTemplate(template);
+    const text = render(resolved.body, variables);
+
+    const loggedVariables = { ...variables };
+    resolved.sensitiveVariables.forEach(name => delete loggedVariables[name]);
+
+    const record = await SmsMessage.create({ to, template, variables: loggedVariables });
+
+    for (const providerName of config.sms.providers) {
+        const provider = providers[providerName];
+        if (!provider) {
+            logger.error('Unknown SMS provider in SMS_PROVIDERS', { provider: providerName });
+            continue;
+        }
+
+        try {
+            const result = await provider.send({
+                to,
+                template,
+                text,
+                variables,
+                providerTemplateId: resolved.providerTemplateIds[providerName]
+            });
+
+            record.attempts.push({ provider: providerName, status: 'sent', providerMessageId: result.providerMessageId });
+            record.status = 'sent';
+            record.provider = providerName;
+            record.providerMessageId = result.providerMessageId;
+            await record.save();
+
+            return { messageId: record._id.toString(), provider: providerName };
+        } catch (error) {
+            logger.warn('SMS provider failed, trying next', { provider: providerName, template, error: error.message });
+            record.attempts.push({ provider: providerName, status: 'failed', error: error.message });
+        }
+    }
+
+    record.status = 'failed';
+    await record.save();
+
+    logger.error('SMS could not be sent by any provider', { template, messageId: record._id });
+    throw new Error('Failed to send SMS');
+}
+
+/**
+ * Apply a provider's delivery report webhook to the delivery log
+ * @param {string} providerName
+ * @param {Object} body Webhook body
+ * @returns {Promise<number>} Number of messages updated
+ */
+async function recordDeliveryReports(providerName, body) {
+    const provider = providers[providerName];
+    if (!provider || !provider.parseDeliveryReports) {
+        return 0;
+    }
+
+    let updated = 0;
+    for (const report of provider.parseDeliveryReports(body)) {
+        const update = { status: report.status, deliveryStatus: report.raw };
+        if (report.status === 'delivered') update.deliveredAt = new Date();
+
+        const result = await SmsMessage.updateOne(
+            { provider: providerName, providerMessageId: report.providerMessageId },
+            { $set: update }
+        );
+        updated += result.modifiedCount;
+    }
+    return updated;
+}
+
+module.exports = {
+    send,
+    render,
+    resolveTemplate,
+    recordDeliveryReports,
+    registerProvider,
+    hasProvider
+};
@@ -2,6 +2,17 @@ const { Server } = require('socket.io');
 const ChatSession = require('../models/ChatSession');
 const ChatMessage = require('../models/ChatMessage');
 const BotIntent = require('../models/BotIntent');
+const FrontendUser = require('../models/FrontendUser');
+const customerTokenService = require('./customerTokenService');
+
+const SESSION_LOGIN_MESSAGE = 'Please log in to continue this chat';
+
+/**
+ * Sessions linked to a customer account are only open to that customer's
+ * authenticated socket - a userId sent by the client proves nothing
+ */
+const canUseSession = (socket, session) =>
+    !session.customer || socket.customer?.id === session.customer.toString();
 
 exports.initSocket = (server) => {
     const io = new Server(server, {
@@ -16,6 +27,29 @@ exports.initSocket = (server) => {
         }
     });
 
+    // Identify logged in customers from the handshake token (socket.handshake.auth.token).
+    // Invalid or missing tokens fall back to guest chat - never reject the connection.
+    io.use(async (socket, next) => {
+        const token = socket.handshake.auth?.token;
+        if (!token) return next();
+
+        try {
+            const decoded = customerTokenService.verifyAccessToken(token);
+            const customer = await FrontendUser.findById(decoded.id).select('name email phone status').lean();
+            if (customer && customer.status === 'Active') {
+                socket.customer = {
+                    id: customer._id.toString(),
+                    name: customer.name,
+                    email: customer.email,
+                    phone: customer.phone
+                };
+            }
+        } catch (error) {
+            // Treat as guest
+        }
+        next();
+    });
+
     io.on('connection', (socket) => {
         console.log('User Connected:', socket.id);
 
@@ -34,6 +68,17 @@ exports.initSocket = (server) => {
                     userId = data; // Backward compatibility
                 }
 
+                // A verified customer always chats as themselves - their account details
+                // win over anything the client sends (they are used to link records)
+                if (socket.customer) {
+                    const { name, phone, email } = socket.customer;
+                    userId = socket.customer.id;
+                    guestDetails = {
+                        ...guestDetails,
+                        ...Object.fromEntries(Object.entries({ name, phone, email }).filter(([, value]) => value))
+                    };
+                }
+
                 // Store context on socket
                 socket.guestId = guestId;
                 socket.userId = userId;
@@ -48,9 +93,19 @@ exports.initSocket = (server) => {
                 // Find session
                 let session = await ChatSession.findOne(query);
 
+                if (session && !canUseSession(socket, session)) {
+                    socket.userId = null;
+                    socket.guestId = null;
+                    socket.emit('session_error', { message: SESSION_LOGIN_MESSAGE });
+                    return;
+                }
+
                 if (session) {
                     session.socketId = socket.id;
                     session.isActive = true;
+                    if (socket.customer && !session.customer) {
+                        session.customer = socket.customer.id;
+                    }
                     if (guestDetails) {
                         session.guestDetails = { ...session.guestDetails, ...guestDetails };
                     }
@@ -126,7 +181,7 @@ exports.initSocket = (server) => {
 
                 // 1. Find or Create Session
                 const searchGuestId = guestId || socket.guestId;
-                const searchUserId = userId || socket.userId;
+                const searchUserId = socket.customer?.id || userId || socket.userId;
 
                 console.log('Sending message. Search UserID:', searchUserId, 'Search GuestID:', searchGuestId);
 
@@ -141,11 +196,17 @@ exports.initSocket = (server) => {
 
                 let session = await ChatSession.findOne(query);
 
+                if (session && !canUseSession(socket, session)) {
+                    socket.emit('session_error', { message: SESSION_LOGIN_MESSAGE });
+                    return;
+                }
+
                 // Lazy Create if first message
                 if (!session) {
                     console.log('Session not found, creating new session. Query:', query);
                     session = new ChatSession({
                         userId: searchUserId || null,
+                        customer: socket.customer?.id || null,
                         guestId: searchGuestId, // Prefer the one from message, then socket
                         guestDetails: socket.guestDetails || {},
                         socketId: socket.id,
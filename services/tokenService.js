@@ -0,0 +1,292 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const AdminSession = require('../models/AdminSession');
+const { config } = require('../config/env');
+const logger = require('./logger');
+
+/**
+ * Hash an opaque token for storage/lookup
+ * @param {string} token Raw token
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Sign a short-lived admin access token
+ * @param {Object} user User document
+ * @param {string} [sessionId] Refresh token family the access token belongs to
+ * @returns {string} Signed JWT
+ */
+function signAccessToken(user, sessionId) {
+    const payload = { id: user._id, role: user.role };
+    if (sessionId) payload.sid = sessionId;
+
+    return jwt.sign(
+        payload,
+        process.env.SECRET_KEY,
+        {
+            expiresIn: process.env.JWT_EXPIRES_IN || '1h',
+            issuer: config.jwt.issuer,
+            audience: config.jwt.audience
+        }
+    );
+}
+
+/**
+ * Sign a short-lived token proving the password step of a 2FA login succeeded.
+ * Uses a separate audience so it can never be used as an access token.
+ * @param {Object} user User document
+ * @param {string} purpose '2fa_verify' (code required) or '2fa_setup' (enrollment required)
+ * @returns {string} Signed JWT
+ */
+function signTwoFactorToken(user, purpose) {
+    return jwt.sign(
+        { id: user._id, role: user.role, purpose },
+        process.env.SECRET_KEY,
+        {
+            expiresIn: config.twoFactor.pendingTokenExpiresIn,
+            issuer: config.jwt.issuer,
+            audience: config.twoFactor.pendingTokenAudience
+        }
+    );
+}
+
+/**
+ * Verify a pending two-factor token
+ * @param {string} token
+ * @returns {Object} Decoded payload (throws if invalid/expired)
+ */
+function verifyTwoFactorToken(token) {
+    return jwt.verify(token, process.env.SECRET_KEY, {
+        issuer: config.jwt.issuer,
+        audience: config.twoFactor.pendingTokenAudience
+    });
+}
+
+/**
+ * Refresh token handling shared by admin users and customers: issue, rotate
+ * with reuse detection, and revoke. Each store works on its own model, keyed
+ * by the owner field ('user' / 'customer').
+ * @param {Object} options
+ * @param {Object} options.Model Refresh token model
+ * @param {string} options.ownerField Field referencing the token owner
+ * @param {Function} options.expiresInDays () => refresh token lifetime in days
+ * @param {string} options.label Used in security log messages, e.g. 'Refresh token'
+ * @param {Object} [options.hooks] Extra writes alongside the token writes
+ * @param {Function} [options.hooks.familyRevoked] (family, reason, at) => Promise
+ * @param {Function} [options.hooks.ownerRevoked] (ownerId, reason, at, exceptFamily) => Promise
+ * @param {Function} [options.hooks.rotated] (record, next, req) => Promise
+ */
+function createRefreshTokenStore({ Model, ownerField, expiresInDays, label, hooks = {} }) {
+    /**
+     * Issue a new refresh token and persist its hash
+     * @param {Object} owner User / FrontendUser document
+     * @param {Object} req Express request (for IP / user agent)
+     * @param {string} [family] Existing family id when rotating
+     * @returns {Promise<{token: string, family: string, expiresAt: Date}>}
+     */
+    async function issueRefreshToken(owner, req, family) {
+        const token = crypto.randomBytes(48).toString('hex');
+        const tokenFamily = family || crypto.randomUUID();
+        const expiresAt = new Date(Date.now() + expiresInDays() * 24 * 60 * 60 * 1000);
+
+        await Model.create({
+            [ownerField]: owner._id,
+            tokenHash: hashToken(token),
+            family: tokenFamily,
+            expiresAt,
+            createdByIp: req?.ip,
+            userAgent: req?.headers?.['user-agent']
+        });
+
+        return { token, family: tokenFamily, expiresAt };
+    }
+
+    /**
+     * Revoke every live token in a family
+     * @param {string} family Family id
+     * @param {string} reason Revocation reason
+     * @returns {Promise<number>} Number of tokens revoked
+     */
+    async function revokeFamily(family, reason) {
+        const now = new Date();
+        const [result] = await Promise.all([
+            Model.updateMany(
+                { family, revokedAt: null },
+                { $set: { revokedAt: now, revokedReason: reason } }
+            ),
+            hooks.familyRevoked?.(family, reason, now)
+        ]);
+        return result.modifiedCount;
+    }
+
+    /**
+     * Revoke every live token belonging to an owner
+     * @param {string} ownerId User / FrontendUser id
+     * @param {string} reason Revocation reason
+     * @param {string} [exceptFamily] Session to keep (the caller's own)
+     * @returns {Promise<number>} Number of tokens revoked
+     */
+    async function revokeAllForOwner(ownerId, reason, exceptFamily) {
+        const now = new Date();
+        const filter = { [ownerField]: ownerId, revokedAt: null };
+        if (exceptFamily) filter.family = { $ne: exceptFamily };
+
+        const [result] = await Promise.all([
+            Model.updateMany(filter, { $set: { revokedAt: now, revokedReason: reason } }),
+            hooks.ownerRevoked?.(ownerId, reason, now, exceptFamily)
+        ]);
+        return result.modifiedCount;
+    }
+
+    /**
+     * Exchange a refresh token for a new one in the same family.
+     * Presenting a token that was already rotated or revoked is treated as
+     * theft: the whole family is revoked and null is returned.
+     * @param {string} token Raw refresh token
+     * @param {Object} req Express request
+     * @returns {Promise<{record: Object, next: Object}|null>}
+     */
+    async function rotateRefreshToken(token, req) {
+        const tokenHash = hashToken(token);
+
+        // Atomically claim the token so concurrent refreshes cannot both succeed
+        const record = await Model.findOneAndUpdate(
+            { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+            { $set: { revokedAt: new Date(), revokedReason: 'rotated' } },
+            { new: true }
+        );
+
+        if (!record) {
+            const stale = await Model.findOne({ tokenHash }).lean();
+            if (stale && stale.revokedAt) {
+                const revoked = await revokeFamily(stale.family, 'reuse_detected');
+                logger.logSecurity(`${label} reuse detected - family revoked`, {
+                    [`${ownerField}Id`]: stale[ownerField],
+                    family: stale.family,
+                    revokedCount: revoked,
+                    ip: req.ip,
+                    userAgent: req.headers['user-agent']
+                });
+            }
+            return null;
+        }
+
+        const next = await issueRefreshToken({ _id: record[ownerField] }, req, record.family);
+        record.replacedByHash = hashToken(next.token);
+        await Promise.all([
+            record.save(),
+            hooks.rotated?.(record, next, req)
+        ]);
+
+        return { record, next };
+    }
+
+    /**
+     * Revoke the family of a presented refresh token (logout)
+     * @param {string} token Raw refresh token
+     * @param {string} [ownerId] Only revoke if the token belongs to this owner
+     * @returns {Promise<string|null>} Revoked family id
+     */
+    async function revokeByToken(token, ownerId) {
+        const record = await Model.findOne({ tokenHash: hashToken(token) }).lean();
+        if (!record) return null;
+        if (ownerId && record[ownerField].toString() !== ownerId.toString()) return null;
+
+        await revokeFamily(record.family, 'logout');
+        return record.family;
+    }
+
+    return {
+        issueRefreshToken,
+        revokeFamily,
+        revokeAllForOwner,
+        rotateRefreshToken,
+        revokeByToken
+    };
+}
+
+// Admin refresh tokens - each family is also an AdminSession (device list)
+const adminTokens = createRefreshTokenStore({
+    Model: RefreshToken,
+    ownerField: 'user',
+    expiresInDays: () => config.jwt.refreshExpiresInDays,
+    label: 'Refresh token',
+    hooks: {
+        familyRevoked: (family, reason, at) => AdminSession.updateOne(
+            { sessionId: family, revokedAt: null },
+            { $set: { revokedAt: at, revokedReason: reason } }
+        ),
+        ownerRevoked: (userId, reason, at, exceptFamily) => {
+            const filter = { user: userId, revokedAt: null };
+            if (exceptFamily) filter.sessionId = { $ne: exceptFamily };
+            return AdminSession.updateMany(filter, { $set: { revokedAt: at, revokedReason: reason } });
+        },
+        rotated: (record, next, req) => AdminSession.updateOne(
+            { sessionId: record.family },
+            { $set: { lastActiveAt: new Date(), expiresAt: next.expiresAt, ip: req.ip } }
+        )
+    }
+});
+
+const {
+    issueRefreshToken,
+    revokeFamily,
+    rotateRefreshToken,
+    revokeByToken,
+    revokeAllForOwner: revokeAllForUser
+} = adminTokens;
+
+/**
+ * Start a new login session: issues the first refresh token of a new
+ * family and records the device it was issued to
+ * @param {Object} user User document
+ * @param {Object} req Express request
+ * @param {Object} [device] Parsed device info ({ ip, browser, os, device })
+ * @returns {Promise<{token: string, family: string, expiresAt: Date}>}
+ */
+async function startSession(user, req, device = {}) {
+    const refresh = await issueRefreshToken(user, req);
+
+    await AdminSession.create({
+        user: user._id,
+        sessionId: refresh.family,
+        ip: device.ip || req?.ip,
+        browser: device.browser,
+        os: device.os,
+        device: device.device,
+        userAgent: req?.headers?.['user-agent'],
+        expiresAt: refresh.expiresAt
+    });
+
+    return refresh;
+}
+
+/**
+ * Has the session an access token belongs to been revoked?
+ * Tokens without a session id (issued before sessions were tracked) pass.
+ * @param {string} [sessionId] `sid` claim of the access token
+ * @returns {Promise<boolean>}
+ */
+async function isSessionRevoked(sessionId) {
+    if (!sessionId) return false;
+    return Boolean(await AdminSession.exists({ sessionId, revokedAt: { $ne: null } }));
+}
+
+module.exports = {
+    hashToken,
+    createRefreshTokenStore,
+    signAccessToken,
+    signTwoFactorToken,
+    verifyTwoFactorToken,
+    issueRefreshToken,
+    startSession,
+    isSessionRevoked,
+    rotateRefreshToken,
+    revokeFamily,
+    revokeAllForUser,
+    revokeByToken
+};
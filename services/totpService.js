@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const { config } = require('../config/env');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TIME_STEP = 30; // seconds (RFC 6238 default)
+const DIGITS = 6;
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+/**
+ * Decode an RFC 4648 base32 string
+ * @param {string} input
+ * @returns {Buffer}
+ */
+function base32Decode(input) {
+    const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 character');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * Generate an HOTP code (RFC 4226) for a counter
+ * @param {Buffer} key Shared secret
+ * @param {number} counter Moving factor
+ * @returns {string} Zero padded code
+ */
+function hotp(key, counter) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', key).update(buffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+        | ((hmac[offset + 1] & 0xff) << 16)
+        | ((hmac[offset + 2] & 0xff) << 8)
+        | (hmac[offset + 3] & 0xff);
+
+    return (binary % 10 ** DIGITS).toString().padStart(DIGITS, '0');
+}
+
+/**
+ * Generate a new base32 TOTP secret
+ * @returns {string}
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Build the otpauth:// provisioning URI rendered as a QR code by authenticator apps
+ * @param {string} secret Base32 secret
+ * @param {string} accountName Usually the admin email
+ * @returns {string}
+ */
+function buildProvisioningUri(secret, accountName) {
+    const issuer = config.twoFactor.issuer;
+    const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(TIME_STEP)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Verify a TOTP code allowing +/- `window` time steps of clock drift
+ * @param {string} secret Base32 secret
+ * @param {string} code Code entered by the user
+ * @param {Object} [options]
+ * @param {number} [options.window=1] Allowed drift in steps
+ * @param {number} [options.lastUsedStep] Steps at or before this are rejected (replay protection)
+ * @returns {number|null} Matched time step, or null when invalid
+ */
+function verifyCode(secret, code, { window = 1, lastUsedStep } = {}) {
+    if (!/^\d{6}$/.test(String(code || ''))) return null;
+
+    const key = base32Decode(secret);
+    const currentStep = Math.floor(Date.now() / 1000 / TIME_STEP);
+
+    for (let drift = -window; drift <= window; drift++) {
+        const step = currentStep + drift;
+        if (lastUsedStep !== undefined && lastUsedStep !== null && step <= lastUsedStep) continue;
+
+        const expected = hotp(key, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(code)))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+/**
+ * Derive the AES key used to encrypt TOTP secrets at rest
+ */
+function getEncryptionKey() {
+    const material = config.twoFactor.encryptionKey || process.env.SECRET_KEY;
+    return crypto.createHash('sha256').update(String(material)).digest();
+}
+
+/**
+ * Encrypt a TOTP secret for storage (AES-256-GCM)
+ * @param {string} secret
+ * @returns {string} iv:tag:ciphertext (hex)
+ */
+function encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+    return `${iv.toString('hex')}:${tag.toString('hex')}:${encrypted.toString('hex')}`;
+}
+
+/**
+ * Decrypt a stored TOTP secret
+ * @param {string} payload iv:tag:ciphertext (hex)
+ * @returns {string}
+ */
+function decryptSecret(payload) {
+    const [iv, tag, encrypted] = payload.split(':');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), Buffer.from(iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(tag, 'hex'));
+    return Buffer.concat([decipher.update(Buffer.from(encrypted, 'hex')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Generate single-use recovery codes
+ * @returns {{codes: string[], hashes: string[]}} Plain codes (shown once) and their hashes
+ */
+function generateRecoveryCodes() {
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+        const raw = crypto.randomBytes(5).toString('hex');
+        codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Hash a recovery code for storage/lookup
+ * @param {string} code
+ * @returns {string}
+ */
+function hashRecoveryCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[^a-f0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+module.exports = {
+    generateSecret,
+    buildProvisioningUri,
+    verifyCode,
+    encryptSecret,
+    decryptSecret,
+    generateRecoveryCodes,
+    hashRecoveryCode
+};
@@ -0,0 +1,56 @@
+// Clock times as written in Panchangam entries: '10:30 AM', '7.30 pm', '13:45'
+const TIME_PATTERN = /(\d{1,2})[:.](\d{2})\s*([AaPp][Mm])?/g;
+
+/**
+ * All clock times in a string, as minutes since midnight
+ * @param {string} value
+ * @returns {number[]}
+ */
+function parseTimes(value) {
+    return [...String(value || '').matchAll(TIME_PATTERN)].map(([, hours, minutes, meridiem]) => {
+        let hour = Number(hours) % (meridiem ? 12 : 24);
+        if (meridiem && meridiem.toUpperCase() === 'PM') hour += 12;
+        return hour * 60 + Number(minutes);
+    });
+}
+
+/**
+ * Parse every range in a string such as '10:30 AM - 12:00 PM, 2:15 PM - 3:00 PM'
+ * @param {string} value
+ * @returns {Array<{start: number, end: number}>} Minutes since midnight; ranges that end before they start are dropped
+ */
+function parseTimeRanges(value) {
+    const times = parseTimes(value);
+    const ranges = [];
+    for (let i = 0; i + 1 < times.length; i += 2) {
+        if (times[i + 1] > times[i]) ranges.push({ start: times[i], end: times[i + 1] });
+    }
+    return ranges;
+}
+
+/**
+ * Parse a single time range such as '10:30 AM - 12:00 PM' or '07:30-09:00'
+ * @param {string} value
+ * @returns {{start: number, end: number}|null} Minutes since midnight, null when unparseable
+ */
+function parseTimeRange(value) {
+    const [start, end] = parseTimes(value);
+    return end > start ? { start, end } : null;
+}
+
+/**
+ * Minutes since midnight -> 'HH:mm'
+ * @param {number} minutes
+ * @returns {string}
+ */
+function formatMinutes(minutes) {
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+module.exports = {
+    parseTimes,
+    parseTimeRanges,
+    parseTimeRange,
+    formatMinutes
+};